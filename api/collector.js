@@ -1,570 +1,1134 @@
 // collector-fixed.js
 // ESM Express app — Vercel-ready (patched for timeouts, parallel reads, and safer retries).
-// Dependencies: express, body-parser, morgan, node-fetch
-// Install: npm i express body-parser morgan node-fetch
+// Dependencies: express, node-fetch, dotenv, @upstash/redis (only for STORAGE_BACKEND=redis)
+// Install: npm i
 // IMPORTANT: set env vars in Vercel project settings. See notes at bottom of file.
+// Shared modules live in lib/ (config, GitHub client, storage adapters) so they are not deployed as
+// separate serverless functions.
 
 import express from "express";
-import morgan from "morgan";
-import fetch from "node-fetch";
-import dotenv from "dotenv";
-
-// Load .env in non-production (local dev). Place your local env vars in a .env file at project root.
-if (process.env.NODE_ENV !== "production") {
-  dotenv.config({ path: process.env.ENV_PATH || ".env" });
-  console.log("[env] loaded for dev, GITHUB_TOKENS count:", (process.env.GITHUB_TOKENS || "").split(",").filter(Boolean).length);
-}
+import crypto from "crypto";
+import { AsyncResource } from "async_hooks";
+import zlib from "zlib";
+import { once } from "events";
+import {
+  TOKENS, DATA_UTAMA_GISTS, GIST_ID_GLOBAL, API_SECRETS, REQUIRE_SECRET_FOR_GET, AUTH_DISABLED,
+  MAX_ITEMS_PER_FILE, READ_BATCH_SIZE, AUTO_PROVISION_SHARDS, MAX_SHARDS, SHARD_LOW_WATERMARK,
+  DAILY_RESET, ROLLOVER_TIMEZONE, ROLLOVER_HOUR, ARCHIVE_RETENTION_DAYS, DEDUPE_WINDOW_HOURS,
+  CONTENT_HASH_DEDUPE, POST_VALIDATION, IDEMPOTENCY_TTL_SEC, IDEMPOTENCY_PENDING_SEC, INGEST_MODE,
+  QUEUE_DRAIN_MAX_BATCHES, EXPORT_CSV_COLUMNS, STATS_COUNTERS, STATS_TOP_FIELDS, STATS_TOP_N, STATS_CACHE_SEC,
+  WEBHOOK_CAPACITY_THRESHOLDS, WEBHOOK_RESPONSE_WAIT_MS, LIVE_MODE, LIVE_BACKLOG, LIVE_HEARTBEAT_SEC, LIVE_MAX_CLIENTS, LIVE_POLL_LIMIT,
+  LIVE_POLL_RETRY_MS, GIST_STATS, LOG_LEVEL, SHARD_FORMAT, MAX_BYTES_PER_FILE, RESPONSE_GZIP, RESPONSE_GZIP_MIN_BYTES,
+  SNAPSHOT_BEFORE_RESET, SNAPSHOT_RETENTION
+} from "../lib/config.js";
+import { zonedYMD, zonedHour, itemId, itemKey } from "../lib/util.js";
+import { dedupeKeys, dedupeKeysOf } from "../lib/dedupe.js";
+import { createStorage } from "../lib/storage/index.js";
+import { getTokenStatus, isTokensExhausted, getGistCacheStats, onTokensExhausted } from "../lib/github.js";
+import { parseFilters, matchesFilters, pageThroughShards, encodeCursor } from "../lib/query.js";
+import { getPostSchema, preparePost } from "../lib/schema.js";
+import { columnsFromSample, csvRow, csvItemRow, ndjsonLine } from "../lib/export.js";
+import { topValues, hourlySeries } from "../lib/stats.js";
+import { WEBHOOK_EVENTS, getWebhookSubscriptions, createWebhookDispatcher, deliverWebhook } from "../lib/webhooks.js";
+import { createLiveFeed, sseEvent, sseComment, parseWhere, matchesWhere } from "../lib/live.js";
+import { shardWritable, shardFreeSlots, planRebalance, itemsThatFit } from "../lib/shards.js";
+import {
+  createSnapshot, snapshotName, parseSnapshotName, encodeSnapshot, decodeSnapshot, validateSnapshot, diffSnapshot
+} from "../lib/snapshot.js";
+import {
+  SHARED_CLIENT, getApiKeys, findApiKey, routeAllowed, describeClient, clientMetric, clientUsage
+} from "../lib/clients.js";
+import { createLogger, withLogContext } from "../lib/log.js";
+import { counter, gauge, histogram, onCollect, renderMetrics, METRICS_CONTENT_TYPE } from "../lib/metrics.js";
+
+const log = createLogger("collector");
+const queueLog = createLogger("queue");
+const idempotencyLog = createLogger("idempotency");
+const shardsLog = createLogger("shards");
+
+// ----------------- Metrics (GET /collector/metrics) -----------------
+// GitHub latency / retries / 429s and the gist cache are tracked in lib/github.js
+const httpDuration = histogram("http_request_duration_seconds", "Collector HTTP requests by method, route and status");
+const ingestItems = counter("ingest_items_total", "Posts sent to POST /collector by outcome (accepted, skipped, stored, queued, rejected) and client");
+const storedItemsTotal = counter("stored_items_total", "Posts written to data_utama shards, by source (post, queue)");
+const resets = counter("resets_total", "Shard resets by kind (daily rollover, flush) and result");
+const lastReset = gauge("last_reset_timestamp_seconds", "Unix time of the last successful reset of this instance, by kind");
+const clientThrottled = counter("client_throttled_total", "Requests refused with 429 by client and limit");
+const shardItems = gauge("shard_items", "Posts in each data_utama shard (read at scrape time), with the shard status");
+const shardRemaining = gauge("shard_capacity_remaining_items", "Free slots per writable shard (MAX_ITEMS_PER_FILE minus its posts, less when MAX_BYTES_PER_FILE is closer)");
+const capacityRemaining = gauge("capacity_remaining_items", "Free slots over all writable shards");
 
 const app = express();
-app.use(morgan("tiny"));
+
+// ----------------- Request logging / tracing -----------------
+// Each request gets an id: the caller's X-Request-Id when it looks sane, a new uuid otherwise. It is
+// echoed back in X-Request-Id and attached (lib/log.js context) to every log line written while the
+// request is handled, down to ghFetch and the shard appends. One "request" line is logged per response.
+const REQUEST_ID_RE = /^[A-Za-z0-9._:-]{1,128}$/;
+const httpLog = createLogger("http");
+app.use((req, res, next) => {
+  const incoming = String(req.headers["x-request-id"] || "");
+  const requestId = REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+  req.id = requestId;
+  res.setHeader("X-Request-Id", requestId);
+  const start = process.hrtime.bigint();
+  let logged = false;
+  // "close" covers clients that went away (SSE streams, aborted exports) before "finish"
+  const done = () => {
+    if (logged) return;
+    logged = true;
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    const route = req.route ? (Array.isArray(req.route.path) ? req.route.path[0] : req.route.path) : "unmatched";
+    const status = res.writableFinished ? res.statusCode : "aborted";
+    httpDuration.observe({ method: req.method, route, status }, seconds);
+    httpLog.info("request", {
+      request_id: requestId, method: req.method, path: req.originalUrl || req.url, route, status,
+      duration_ms: Math.round(seconds * 1000), bytes: Number(res.getHeader("content-length")) || undefined,
+      client: req.apiClient ? req.apiClient.name : undefined
+    });
+  };
+  res.once("finish", done);
+  res.once("close", done);
+  withLogContext({ request_id: requestId }, next);
+});
+
 // Use a tolerant JSON body parser to avoid `request size did not match content length` errors
 // (some proxies / clients may send incorrect Content-Length headers). This parser reads the stream
-// manually and enforces a hard byte limit.
+// manually and enforces a hard byte limit. Bodies may be gzipped (Content-Encoding: gzip); the limit
+// then applies to the bytes received and again to the inflated JSON.
 const MAX_BODY_BYTES = Math.max(1024, parseInt(process.env.MAX_BODY_BYTES || "2097152", 10)); // default 2MB
+const BODY_ENCODINGS = ["identity", "gzip", "x-gzip"];
 app.use((req, res, next) => {
   // Only parse JSON-ish content here; let other routes pass through
   const ct = (req.headers['content-type'] || '').toLowerCase();
   if (!ct.includes('application/json')) return next();
+  const encoding = String(req.headers['content-encoding'] || 'identity').trim().toLowerCase();
+  if (!BODY_ENCODINGS.includes(encoding)) {
+    return res.status(415).json({ error: "unsupported_content_encoding", message: `Content-Encoding ${encoding} is not supported, send identity or gzip` });
+  }
 
   let received = 0;
-  let chunks = '';
-  req.setEncoding('utf8');
+  let inflated = 0;
+  const chunks = [];
+  let settled = false;
+  const fail = (status, body) => {
+    if (settled) return;
+    settled = true;
+    req.resume(); // drain the rest so the response can go out
+    res.status(status).json(body);
+  };
+  const collect = (chunk) => {
+    inflated += chunk.length;
+    if (inflated > MAX_BODY_BYTES) {
+      if (gunzip) gunzip.destroy();
+      return fail(413, { error: "payload_too_large", message: `body inflates to more than ${MAX_BODY_BYTES} bytes` });
+    }
+    chunks.push(chunk);
+  };
+  const finish = () => {
+    if (settled) return;
+    settled = true;
+    const text = Buffer.concat(chunks).toString('utf8');
+    if (!text) { req.body = {}; return next(); }
+    try {
+      req.body = JSON.parse(text);
+      return next();
+    } catch (e) {
+      log.warn("tolerant-parser: invalid json", { error: e });
+      return res.status(400).json({ error: 'invalid JSON' });
+    }
+  };
+
+  // stream callbacks run outside the request's log context unless bound to it
+  const gunzip = encoding === "identity" ? null : zlib.createGunzip();
+  if (gunzip) {
+    gunzip.on('data', AsyncResource.bind(collect));
+    gunzip.on('end', AsyncResource.bind(finish));
+    gunzip.on('error', AsyncResource.bind((err) => {
+      log.warn("tolerant-parser: invalid gzip body", { error: err });
+      fail(400, { error: 'invalid gzip body' });
+    }));
+  }
 
-  req.on('data', (chunk) => {
+  req.on('data', AsyncResource.bind((chunk) => {
     received += chunk.length;
     if (received > MAX_BODY_BYTES) {
       // stop parsing and fail fast
       req.connection && req.connection.destroy && req.connection.destroy();
       return; // stream will end with error on client side
     }
-    chunks += chunk;
-  });
+    if (settled) return;
+    if (gunzip) gunzip.write(chunk);
+    else collect(chunk);
+  }));
 
-  req.on('end', () => {
-    if (!chunks) { req.body = {}; return next(); }
-    try {
-      req.body = JSON.parse(chunks);
-      return next();
-    } catch (e) {
-      console.warn('tolerant-parser: invalid json', e.message);
-      return res.status(400).json({ error: 'invalid JSON' });
-    }
-  });
+  req.on('end', AsyncResource.bind(() => {
+    if (settled) return;
+    if (gunzip) gunzip.end();
+    else finish();
+  }));
 
-  req.on('error', (err) => {
-    console.warn('tolerant-parser error', err && err.message);
-    return res.status(400).json({ error: 'request read error' });
-  });
+  req.on('error', AsyncResource.bind((err) => {
+    log.warn("tolerant-parser: request read error", { error: err });
+    fail(400, { error: 'request read error' });
+  }));
 });
 
-// ----------------- CONFIG (ENV) -----------------
-const TOKENS = (process.env.GITHUB_TOKENS || "")
-  .split(",").map(s => s.trim()).filter(Boolean);
-
-const DATA_UTAMA_GISTS = (process.env.GIST_DATA_UTAMA || "")
-  .split(",").map(s => s.trim()).filter(Boolean);
-
-const GIST_ID_GLOBAL = (process.env.GIST_ID_GLOBAL || "").trim() || null;
-const GIST_DATA_TANGGAL = (process.env.GIST_DATA_TANGGAL || "").trim() || null;
-
-// Tunable defaults (made more conservative for serverless)
-const MAX_ITEMS_PER_FILE = Math.max(1, parseInt(process.env.MAX_ITEMS_PER_FILE || "1000", 10));
-const MAX_RETRIES = Math.max(1, parseInt(process.env.MAX_RETRIES || "2", 10)); // reduced default
-const RETRY_BASE_MS = Math.max(50, parseInt(process.env.RETRY_BASE_MS || "300", 10));
-const TOKEN_BACKOFF_SEC = Math.max(5, parseInt(process.env.TOKEN_BACKOFF_SEC || "60", 10));
-const USER_AGENT = process.env.USER_AGENT || "membit-collector";
-const MAX_SYNC_ATTEMPTS = Math.max(1, parseInt(process.env.MAX_SYNC_ATTEMPTS || "3", 10)); // reduced default
-const SYNC_RETRY_BASE_MS = Math.max(50, parseInt(process.env.SYNC_RETRY_BASE_MS || "200", 10));
-const READ_BATCH_SIZE = Math.min(Math.max(parseInt(process.env.READ_BATCH_SIZE || "200", 10), 1), 500);
-const FETCH_TIMEOUT_MS = Math.max(1000, parseInt(process.env.FETCH_TIMEOUT_MS || "8000", 10));
-
-// ----------------- small utils -----------------
-function nowMs(){ return Date.now(); }
-function sleep(ms){ return new Promise(r => setTimeout(r, ms)); }
-function utcYMD(d = new Date()){ return d.toISOString().slice(0, 10); }
-
-// ----------------- Token rotation & simple backoff -----------------
-const tokenDisabledUntil = {}; // token -> timestamp ms
-function isTokenAvailable(token){ return (tokenDisabledUntil[token] || 0) <= nowMs(); }
-
-let tokenIndex = 0;
-function pickNextAvailableToken(){
-  if (!TOKENS.length) return null;
-  const start = tokenIndex % TOKENS.length;
-  for (let i = 0; i < TOKENS.length; i++){
-    const idx = (start + i) % TOKENS.length;
-    const t = TOKENS[idx];
-    if (isTokenAvailable(t)){
-      tokenIndex = (idx + 1) % TOKENS.length;
-      return t;
-    }
+// ----------------- Response compression -----------------
+// GET bodies sent through res.send / res.json (everything but the export and live streams, which
+// write their own) are gzipped when the client accepts it and they reach RESPONSE_GZIP_MIN_BYTES.
+function wantsGzip(req){
+  return /\bgzip\b/i.test(req.get("Accept-Encoding") || "");
+}
+app.use((req, res, next) => {
+  if (!RESPONSE_GZIP || (req.method !== "GET" && req.method !== "HEAD")) return next();
+  const send = res.send;
+  res.send = function(body){
+    // objects come back here as a string from res.json
+    if ((typeof body !== "string" && !Buffer.isBuffer(body)) || res.getHeader("Content-Encoding")) return send.call(this, body);
+    const buf = Buffer.isBuffer(body) ? body : Buffer.from(body, "utf8");
+    if (buf.length < RESPONSE_GZIP_MIN_BYTES) return send.call(this, body);
+    res.vary("Accept-Encoding");
+    if (!wantsGzip(req)) return send.call(this, body);
+    if (typeof body === "string" && !res.getHeader("Content-Type")) res.type("html"); // what send would pick for a string
+    zlib.gzip(buf, (err, gz) => {
+      if (err) return send.call(this, body);
+      res.setHeader("Content-Encoding", "gzip");
+      send.call(this, gz);
+    });
+    return this;
+  };
+  next();
+});
+
+// ----------------- Storage -----------------
+// data_utama shards, the `seen` id set and the `last_date` marker live behind a storage adapter
+// (lib/storage): gists by default, Upstash Redis with STORAGE_BACKEND=redis.
+const storage = createStorage();
+
+// ----------------- Webhooks -----------------
+// Events are emitted from the code paths below; failed deliveries end up in the storage dead-letter
+// list (GET /collector/webhooks/dead-letters, replay with POST .../replay).
+const webhooksLog = createLogger("webhooks");
+const webhooks = createWebhookDispatcher({ onDeadLetter: (record) => storage.putDeadLetter(record) });
+onTokensExhausted((info) => webhooks.emit("tokens.exhausted", info));
+// Serverless platforms may freeze the function as soon as the response is sent, so a response waits
+// for the deliveries its own request started, up to WEBHOOK_RESPONSE_WAIT_MS (whatever is left keeps
+// going if the instance does). A long-lived server (app.listen) answers right away.
+let runningAsServer = false; // set where app.listen is called
+app.use((req, res, next) => {
+  if (runningAsServer || !WEBHOOK_RESPONSE_WAIT_MS) return next();
+  const started = new Set();
+  const end = res.end;
+  res.end = function(...args){
+    if (!started.size) return end.apply(this, args);
+    webhooks.settle(started, WEBHOOK_RESPONSE_WAIT_MS)
+      .then((done) => { if (!done) webhooksLog.warn("responding before webhook deliveries finished", { in_flight: started.size, waited_ms: WEBHOOK_RESPONSE_WAIT_MS }); })
+      .finally(() => end.apply(this, args));
+    return this;
+  };
+  webhooks.track(started, next);
+});
+
+function readAllDataUtama(){
+  return storage.readAllShards();
+}
+
+// ----------------- Shard capacity -----------------
+// corrupt / unreadable shards offer no room: nothing may be written to them until they are repaired.
+// Room is counted in posts, estimated from the stored size where MAX_BYTES_PER_FILE applies (gist).
+function freeCapacity(dataUtamaList){
+  return dataUtamaList.filter(shardWritable).reduce((a, d) => a + shardFreeSlots(d, MAX_ITEMS_PER_FILE, MAX_BYTES_PER_FILE), 0);
+}
+
+// Posts an empty shard is expected to hold: MAX_ITEMS_PER_FILE, or fewer when the current shards'
+// average post size says MAX_BYTES_PER_FILE fills up first
+function newShardSlots(dataUtamaList){
+  const sized = dataUtamaList.filter(d => Number.isFinite(d.bytes) && d.array.length > 0);
+  if (!MAX_BYTES_PER_FILE || !sized.length) return MAX_ITEMS_PER_FILE;
+  const perPost = sized.reduce((a, d) => a + d.bytes, 0) / sized.reduce((a, d) => a + d.array.length, 0);
+  return Math.max(1, Math.min(MAX_ITEMS_PER_FILE, Math.floor(MAX_BYTES_PER_FILE / perPost)));
+}
+
+// Provision new shards when the free space left after this batch would fall below SHARD_LOW_WATERMARK.
+// New (empty) shards are appended to dataUtamaList in place. Returns the new shard ids.
+async function ensureShardCapacity(dataUtamaList, incomingCount){
+  if (!AUTO_PROVISION_SHARDS) return [];
+  const free = freeCapacity(dataUtamaList);
+  const wanted = incomingCount + SHARD_LOW_WATERMARK;
+  if (free >= wanted) return [];
+  const needed = Math.ceil((wanted - free) / newShardSlots(dataUtamaList));
+  try {
+    const created = await storage.provisionShards(needed);
+    for (const id of created) dataUtamaList.push({ shardId: id, filename: "data_utama.json", array: [] });
+    return created;
+  } catch (e) {
+    if (isTokensExhausted(e)) throw e;
+    log.warn("ensureShardCapacity: provisioning failed", { error: e });
+    return [];
   }
-  return null;
 }
-function disableTokenFor(token, sec){
-  if (!token) return;
-  tokenDisabledUntil[token] = nowMs() + sec * 1000;
-}
-
-// ----------------- GitHub Gist helpers with retry & token fallback -----------------
-async function ghFetch(url, opts = {}){
-  const token = pickNextAvailableToken();
-  const headers = Object.assign({}, opts.headers || {});
-  headers["User-Agent"] = USER_AGENT;
-  if (token) headers["Authorization"] = `token ${token}`;
-
-  // AbortController timeout (Node 18+ in Vercel provides global AbortController)
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
-  try {
-    const finalOpts = Object.assign({}, opts, { headers, signal: controller.signal });
-    const start = Date.now();
-    const res = await fetch(url, finalOpts);
-    const took = Date.now() - start;
-    console.log(`[ghFetch] url=${url} status=${res.status} token=${token? 'yes':'no'} took=${took}ms`);
-    return { res, token };
-  } catch (e){
-    if (e.name === 'AbortError') {
-      console.warn(`[ghFetch] timeout for ${url} after ${FETCH_TIMEOUT_MS}ms`);
-    } else {
-      console.warn(`[ghFetch] error fetching ${url}: ${e.message}`);
+
+// ----------------- Archive + drain (shared by flush and daily rollover) -----------------
+function isTruthyParam(v){
+  return ["1", "true", "yes"].includes(String(v ?? "").toLowerCase());
+}
+function flushTimestamp(d = new Date()){
+  // 2026-01-31T12:30:00.000Z -> 2026-01-31T12-30-00Z (safe for gist filenames)
+  return d.toISOString().replace(/\.\d+Z$/, "Z").replace(/:/g, "-");
+}
+
+// the shards of two archive payloads combined per shard (posts deduped by key); `newer` supplies the meta
+function mergeArchives(older, newer){
+  const byShard = new Map();
+  for (const s of [...(Array.isArray(older.shards) ? older.shards : []), ...newer.shards]) {
+    const items = byShard.get(s.shardId) || [];
+    const keys = new Set(items.map(itemKey));
+    for (const it of Array.isArray(s.items) ? s.items : []) {
+      if (!keys.has(itemKey(it))) { keys.add(itemKey(it)); items.push(it); }
     }
-    throw e;
-  } finally {
-    clearTimeout(timeout);
+    byShard.set(s.shardId, items);
   }
+  const shards = Array.from(byShard, ([shardId, items]) => ({ shardId, count: items.length, items }));
+  return Object.assign({}, older, newer, { total: shards.reduce((a, s) => a + s.count, 0), shards });
 }
 
-async function ghFetchWithRetries(url, opts = {}){
-  let lastErr = null;
-  for (let attempt = 0; attempt < MAX_RETRIES; attempt++){
-    try {
-      console.log(`[ghFetchWithRetries] attempt=${attempt+1}/${MAX_RETRIES} url=${url}`);
-      const { res, token } = await ghFetch(url, opts);
-      if (res.status === 429){
-        if (token) {
-          disableTokenFor(token, TOKEN_BACKOFF_SEC);
-          console.warn(`[ghFetchWithRetries] 429 -> disabling token for ${TOKEN_BACKOFF_SEC}s`);
-        }
-        const text = await res.text().catch(()=>"");
-        lastErr = new Error(`GitHub 429: ${text}`);
-        const backoff = RETRY_BASE_MS * Math.pow(2, attempt);
-        console.log(`[ghFetchWithRetries] sleeping ${backoff}ms after 429`);
-        await sleep(backoff);
-        continue;
-      }
-      if (res.status >= 500){
-        if (token) {
-          disableTokenFor(token, Math.max(5, Math.floor(TOKEN_BACKOFF_SEC/4)));
-          console.warn(`[ghFetchWithRetries] ${res.status} -> temporary disable token`);
-        }
-        const text = await res.text().catch(()=>"");
-        lastErr = new Error(`GitHub ${res.status}: ${text}`);
-        const backoff = RETRY_BASE_MS * Math.pow(2, attempt);
-        console.log(`[ghFetchWithRetries] sleeping ${backoff}ms after ${res.status}`);
-        await sleep(backoff);
-        continue;
-      }
-      // return res (200..499) to caller
-      return { res, token };
-    } catch (e){
-      lastErr = e;
-      const backoff = RETRY_BASE_MS * Math.pow(2, attempt);
-      console.log(`[ghFetchWithRetries] fetch error (${e.message}), sleeping ${backoff}ms before retry`);
-      await sleep(backoff);
-      continue;
+/*
+ Write every data_utama shard into one archive named `filename`, then drain the shards. Items that
+ land in a shard between the snapshot and the clear are kept in place so nothing is dropped by a
+ concurrent POST. With DEDUPE_WINDOW_HOURS=0 the seen list is reset to the ids still in a shard;
+ otherwise seen ids keep expiring on their own window and are left alone.
+ `meta` is merged into the archive payload; `label` prefixes log lines. A day_ archive that already exists
+ is merged into (merged_into_existing in the report) rather than overwritten.
+ returns a report: { dry_run, total, sources: [...], archive, id_global_reset }
+*/
+async function archiveAndDrain(filename, { dryRun = false, meta = {}, label = "flush" } = {}){
+  const dataUtamaList = await readAllDataUtama();
+  const sources = dataUtamaList.map(d => ({ shardId: d.shardId, filename: d.filename, count: d.array.length }));
+  const total = sources.reduce((a, s) => a + s.count, 0);
+  const report = { dry_run: dryRun, total, sources, archive: null, id_global_reset: false };
+
+  if (dryRun) {
+    report.archive = storage.describeArchiveTarget(filename);
+    return report;
+  }
+  const rlog = createLogger(label);
+  if (total === 0) {
+    rlog.info("nothing to archive");
+    return report;
+  }
+
+  // 1) archive first — if this fails nothing has been cleared yet
+  let payload = Object.assign({}, meta, {
+    total,
+    shards: dataUtamaList.map(d => ({ shardId: d.shardId, count: d.array.length, items: d.array }))
+  });
+  // a day archive that is already there (a rollover run twice for one day) is added to, never replaced
+  if (filename.startsWith("day_")) {
+    const existing = await storage.readArchive(filename);
+    if (existing) {
+      payload = mergeArchives(existing, payload);
+      report.merged_into_existing = true;
+      rlog.warn("archive already exists, merging into it", { archive: filename, items: total });
     }
   }
-  throw lastErr || new Error("ghFetchWithRetries failed");
-}
+  report.archive = await storage.writeArchive(filename, payload);
+  rlog.info("archived", { items: total, archive: report.archive });
 
-// API base (allow mocking in dev/local via GITHUB_API_BASE)
-const GITHUB_API_BASE = (process.env.GITHUB_API_BASE || "https://api.github.com").replace(/\/$/, "");
+  // 2) drain shards, keeping anything written after the snapshot
+  const keptIds = [];
+  await Promise.allSettled(dataUtamaList.map(async (d, i) => {
+    if (d.array.length === 0) return;
+    try {
+      const archivedKeys = new Set(d.array.map(itemKey));
+      const current = await storage.readShard(d.shardId);
+      if (!shardWritable(current)) throw new Error(`shard is ${current.status} now, not draining it`);
+      const leftover = current.array.filter(it => !archivedKeys.has(itemKey(it)));
+      await storage.replaceShard(d.shardId, leftover, current.filename || d.filename);
+      for (const it of leftover) keptIds.push(...dedupeKeys(it));
+      sources[i].flushed = true;
+      sources[i].kept = leftover.length;
+    } catch (e) {
+      sources[i].flushed = false;
+      sources[i].error = e.message;
+      rlog.warn("failed draining shard", { shard: d.shardId, error: e });
+    }
+  }));
+
+  if (DEDUPE_WINDOW_HOURS > 0) return report;
 
-// Compatibility wrapper: patch helper used across the codebase. This uses the same
-// ghFetchWithRetries flow and returns parsed JSON on success.
-if (typeof globalThis.patchGistWithRetries === 'undefined') {
-  globalThis.patchGistWithRetries = async function(gistId, filesObj) {
-    const url = `${GITHUB_API_BASE}/gists/${gistId}`;
-    const opts = {
-      method: "PATCH",
-      headers: { "Content-Type": "application/json", "User-Agent": USER_AGENT },
-      body: JSON.stringify({ files: filesObj })
-    };
-    const { res } = await ghFetchWithRetries(url, opts);
-    if (!res.ok) {
-      const text = await res.text().catch(()=>"");
-      throw new Error(`Failed PATCH gist ${gistId}: ${res.status} ${text}`);
+  // 3) reset data_id_global.json to { seen: [...] } — only ids still present in data_utama remain
+  const failedIds = [];
+  for (let i = 0; i < sources.length; i++) {
+    if (sources[i].flushed === false) {
+      for (const it of dataUtamaList[i].array) failedIds.push(...dedupeKeys(it));
     }
-    const j = await res.json();
-    console.log(`[PATCH RESP] gist=${gistId} files=${Object.keys(filesObj).join(',')} status=${res.status}`);
-    return j;
-  };
+  }
+  try {
+    report.id_global_reset = await storage.replaceSeen(Array.from(new Set([...keptIds, ...failedIds])));
+  } catch (e) {
+    rlog.warn("failed resetting data_id_global", { error: e });
+    report.id_global_error = e.message;
+  }
+  return report;
 }
 
-if (typeof globalThis.patchGistWithRetries === 'undefined') {
-  globalThis.patchGistWithRetries = async function(gistId, filesObj) {
-    const url = `${GITHUB_API_BASE}/gists/${gistId}`;
-    const opts = {
-      method: "PATCH",
-      headers: { "Content-Type": "application/json", "User-Agent": USER_AGENT },
-      body: JSON.stringify({ files: filesObj })
-    };
-    const { res } = await ghFetchWithRetries(url, opts);
-    if (!res.ok) {
-      const text = await res.text().catch(()=>"");
-      throw new Error(`Failed PATCH gist ${gistId}: ${res.status} ${text}`);
-    }
-    const j = await res.json();
-    console.log(`[PATCH RESP] gist=${gistId} files=${Object.keys(filesObj).join(',')} status=${res.status}`);
-    return j;
-  };
+// ----------------- Snapshots (backup / restore of the whole state) -----------------
+// A snapshot bundles every shard, the seen ids and last_date (lib/snapshot.js). One is stored before
+// every flush and daily rollover (SNAPSHOT_BEFORE_RESET) and before every restore; the newest
+// SNAPSHOT_RETENTION are kept.
+const snapshotLog = createLogger("snapshot");
+
+// `shards` / `lastDate` when the caller already read them
+async function takeSnapshot(reason, { shards = null, lastDate } = {}){
+  const list = shards || await readAllDataUtama();
+  const state = await storage.exportSeen();
+  return createSnapshot({
+    reason,
+    storage: storage.kind,
+    lastDate: lastDate !== undefined ? lastDate : await storage.getLastDate(),
+    shards: list,
+    seen: state ? { storage: storage.kind, count: await storage.seenCount(), state } : null
+  });
+}
+
+function describeSnapshot(bundle){
+  return { created_at: bundle.created_at, reason: bundle.reason, storage: bundle.storage, last_date: bundle.last_date, shards: bundle.shards.length, items: bundle.shards.reduce((a, s) => a + s.items.length, 0) };
 }
 
-// ----------------- Helper: fetch gist with SHA and raw content (used by many flows)
-async function fetchGistContentWithSha(gistId){
-  const url = `${GITHUB_API_BASE}/gists/${gistId}`;
-  const { res } = await ghFetchWithRetries(url, { method: 'GET' });
-  if (!res.ok) {
-    const text = await res.text().catch(()=>"");
-    throw new Error(`Failed fetching gist ${gistId}: ${res.status} ${text}`);
-  }
-  const js = await res.json();
-  const files = js.files || {};
-  const preferredNames = ["data_utama.json","data_id_global.json","data_tanggal.json"];
-  let chosenName = Object.keys(files)[0] || null;
-  for (const pn of preferredNames) { if (files[pn]) { chosenName = pn; break; } }
-  if (!chosenName) return { gistMeta: js, filename: null, content: null, contentRaw: null, fileSha: null, rawUrl: null };
-  const file = files[chosenName];
-  const rawUrl = file.raw_url || null;
-  let contentRaw = file.content || null;
-  if (rawUrl) {
+// store a bundle, then prune to SNAPSHOT_RETENTION. returns { name, location, pruned, ...describeSnapshot }
+async function saveSnapshot(bundle){
+  const name = snapshotName(bundle.reason, new Date(bundle.created_at));
+  const location = await storage.writeSnapshot(name, encodeSnapshot(bundle));
+  const names = (await storage.listSnapshots()).filter(n => parseSnapshotName(n));
+  const pruned = [];
+  for (const old of names.slice(0, Math.max(0, names.length - SNAPSHOT_RETENTION))) {
     try {
-      const { res: rRaw } = await ghFetchWithRetries(rawUrl, { method: 'GET' });
-      contentRaw = await rRaw.text().catch(()=> file.content || "");
-    } catch(e){ contentRaw = file.content || ""; }
-  }
-  let parsed = null;
-  try { parsed = JSON.parse(contentRaw); } catch(e){ parsed = null; }
-  return { gistMeta: js, filename: chosenName, content: parsed, contentRaw, fileSha: file.sha, rawUrl };
-}
-
-// Patch once helper that accepts optional fileSha (fast path used by safe append)
-async function patchGistOnce(gistId, filename, newContent, fileSha=null){
-  const url = `${GITHUB_API_BASE}/gists/${gistId}`;
-  const body = { files: {} };
-  body.files[filename] = { content: JSON.stringify(newContent, null, 2) };
-  if (fileSha) body.files[filename].sha = fileSha;
-  const opts = { method: 'PATCH', headers: { 'Content-Type': 'application/json', 'User-Agent': USER_AGENT }, body: JSON.stringify(body) };
-  const { res } = await ghFetchWithRetries(url, opts);
-  if (!res.ok) {
-    const t = await res.text().catch(()=>"");
-    throw new Error(`Failed PATCH gist ${gistId}: ${res.status} ${t}`);
-  }
-  const j = await res.json();
-  console.log(`[PATCH ONCE] gist=${gistId} file=${filename} status=${res.status}`);
-  return j;
-}
-
-// Simple safe append: fetch once, compute new array, single patch (fast-fail on conflict)
-async function safeAppendToGistSimple(gistEntry, incomingItems){
-  const { gistId, filename } = gistEntry;
-  const fetched = await fetchGistContentWithSha(gistId);
-  const existingArray = Array.isArray(fetched.content) ? fetched.content : (fetched.content && Array.isArray(fetched.content.posts) ? fetched.content.posts : []);
-  const fileSha = fetched.fileSha || null;
-  const available = Math.max(0, MAX_ITEMS_PER_FILE - existingArray.length);
-  if (available <= 0) return { stored: [], notStored: incomingItems, updatedArray: existingArray };
-  const toTake = incomingItems.slice(0, available);
-  const newArr = existingArray.concat(toTake);
-  try {
-    await patchGistOnce(gistId, fetched.filename || (filename || 'data_utama.json'), newArr, fileSha);
-    return { stored: toTake, notStored: incomingItems.slice(toTake.length), updatedArray: newArr };
-  } catch(e){
-    console.warn(`safeAppendToGistSimple: patch failed for ${gistId}: ${e.message}`);
-    // on conflict or other error, fail-fast and return nothing stored
-    return { stored: [], notStored: incomingItems, updatedArray: existingArray };
-  }
-}
-
-// ----------------- Date gist selection & daily reset -----------------
-function pickDateGistId(){
-  if (process.env.GIST_DATA_TANGGAL && process.env.GIST_DATA_TANGGAL.trim()) return process.env.GIST_DATA_TANGGAL.trim();
-  if (GIST_ID_GLOBAL) return GIST_ID_GLOBAL;
-  if (DATA_UTAMA_GISTS && DATA_UTAMA_GISTS.length > 0) return DATA_UTAMA_GISTS[0];
-  return null;
+      await storage.deleteSnapshot(old);
+      pruned.push(old);
+    } catch (e) {
+      snapshotLog.warn("failed pruning snapshot", { snapshot: old, error: e });
+    }
+  }
+  const out = Object.assign({ name, location }, describeSnapshot(bundle), { pruned });
+  snapshotLog.info("stored snapshot", { snapshot: name, reason: bundle.reason, items: out.items, pruned: pruned.length });
+  return out;
 }
-async function getDateFromSelectedGist(){
-  const gid = pickDateGistId();
-  if (!gid) return null;
+
+// Before a flush / rollover. A failed snapshot is logged and the reset goes ahead: it writes its own
+// archive of the posts, and holding resets back would leave the shards to fill up.
+async function snapshotBeforeReset(reason, { lastDate } = {}){
+  if (!SNAPSHOT_BEFORE_RESET || !storage.snapshotsAvailable) return null;
   try {
-    const { filename, content } = await fetchGistContent(gid);
-    if (!content) return null;
-    if (typeof content === "string") return content;
-    if (content.last_date) return String(content.last_date);
-    if (content.date) return String(content.date);
-    return null;
+    return await saveSnapshot(await takeSnapshot(reason, { lastDate }));
   } catch (e) {
-    console.warn("getDateFromSelectedGist warning:", e.message);
-    return null;
+    if (isTokensExhausted(e)) throw e;
+    snapshotLog.warn("snapshot before reset failed, resetting without one", { reason, error: e });
+    return { error: e.message };
   }
 }
-async function writeDateToSelectedGist(dateStr){
-  const gid = pickDateGistId();
-  if (!gid) {
-    console.warn("writeDateToSelectedGist: no gist available to write date");
-    return null;
+
+/*
+ Put a validated snapshot back: each shard gets the bundle's posts (shards the bundle doesn't have are
+ emptied, shards it took while unreadable are left alone), then the seen ids and, unless keepLastDate,
+ last_date. The current state is stored as a pre_restore snapshot first (the restore is refused if
+ that fails), and when a write fails everything already written is put back from it. Posts stored
+ while a restore runs are kept. Seen ids from another backend can't be imported and are rebuilt from
+ the posts.
+ returns { dry_run, snapshot, diff, restored, undo_snapshot, seen, last_date }; restored: false with
+ error "unknown_shards" when refused, or with the write error and rolled_back when it failed
+*/
+async function restoreSnapshot(bundle, { dryRun = false, keepLastDate = false } = {}){
+  const current = await readAllDataUtama();
+  const currentDate = await storage.getLastDate();
+  const diff = diffSnapshot({ storage: storage.kind, lastDate: currentDate, seenCount: await storage.seenCount(), shards: current }, bundle);
+  if (keepLastDate) diff.last_date.changed = false;
+  const report = { dry_run: dryRun, snapshot: describeSnapshot(bundle), diff };
+  if (dryRun) return report;
+  if (diff.unknown_shards.length) {
+    return Object.assign(report, { restored: false, error: "unknown_shards", message: `the snapshot has shards this deployment doesn't list: ${diff.unknown_shards.join(", ")}` });
   }
+
+  const before = await takeSnapshot("pre_restore", { shards: current, lastDate: currentDate });
+  report.undo_snapshot = storage.snapshotsAvailable ? await saveSnapshot(before) : null;
+
+  const byId = new Map(bundle.shards.map(s => [s.shardId, s]));
+  const beforeById = new Map(current.map(s => [s.shardId, s]));
+  const written = [];
+  const lateKeys = [];
+  let seenWritten = false;
   try {
-    const gistInfo = await fetchGistContent(gid);
-    const filename = gistInfo.filename || "data_tanggal.json";
-    const filesObj = {};
-    filesObj[filename] = { content: JSON.stringify({ last_date: dateStr }, null, 2) };
-    return await patchGistWithRetries(gid, filesObj);
+    for (const row of diff.shards) {
+      if (row.action !== "replace") continue;
+      const pre = beforeById.get(row.shardId);
+      const target = byId.has(row.shardId) ? byId.get(row.shardId).items : [];
+      const known = new Set(pre.array.concat(target).map(itemKey));
+      const latest = await storage.readShard(row.shardId);
+      const late = latest.array.filter(it => !known.has(itemKey(it)));
+      await storage.replaceShard(row.shardId, target.concat(late), latest.filename || pre.filename);
+      written.push(row.shardId);
+      if (late.length) row.kept_late = late.length;
+      for (const it of late) lateKeys.push(...dedupeKeys(it));
+    }
+    seenWritten = true;
+    const imported = bundle.seen && bundle.seen.storage === storage.kind && await storage.importSeen(bundle.seen.state);
+    if (imported) {
+      if (lateKeys.length) await storage.addSeen(lateKeys);
+      report.seen = { restored: "state", count: bundle.seen.count };
+    } else {
+      const rebuilt = await rebuildSeen();
+      report.seen = { restored: "rebuilt_from_posts", keys: rebuilt.keys + (rebuilt.late_added || 0) };
+    }
+    if (!keepLastDate && bundle.last_date !== currentDate) await storage.setLastDate(bundle.last_date);
+    report.last_date = keepLastDate ? currentDate : bundle.last_date;
   } catch (e) {
-    console.warn("writeDateToSelectedGist error:", e.message);
-    return null;
+    if (!isTokensExhausted(e)) snapshotLog.error("restore failed, rolling back", { error: e, shards_written: written.length });
+    report.restored = false;
+    report.error = e.message;
+    report.rolled_back = await rollBackRestore(before, written, seenWritten);
+    return report;
   }
+  report.restored = true;
+  snapshotLog.info("restored snapshot", { created_at: bundle.created_at, shards: written.length, items: diff.totals.snapshot });
+  return report;
 }
-async function clearAllDataUtamaAndIdGlobal(){
-  // clear data_utama in parallel (safe in most cases)
-  await Promise.allSettled(DATA_UTAMA_GISTS.map(async (gid) => {
+
+// put the pre_restore state back where a failed restore already wrote
+async function rollBackRestore(before, shardIds, seenWritten){
+  const out = { shards: [], failed: [] };
+  const byId = new Map(before.shards.map(s => [s.shardId, s]));
+  for (const id of shardIds) {
     try {
-      const gi = await fetchGistContent(gid);
-      const filename = gi.filename || "data_utama.json";
-      const filesObj = {};
-      filesObj[filename] = { content: JSON.stringify([], null, 2) };
-      await patchGistWithRetries(gid, filesObj);
-      console.log(`Cleared data_utama gist ${gid}`);
+      await storage.replaceShard(id, byId.get(id).items, byId.get(id).filename);
+      out.shards.push(id);
     } catch (e) {
-      console.warn(`Failed clearing data_utama gist ${gid}: ${e.message}`);
+      out.failed.push({ shardId: id, error: e.message });
     }
-  }));
+  }
+  if (seenWritten) {
+    try {
+      if (!before.seen || !(await storage.importSeen(before.seen.state))) await storage.replaceSeen([]);
+      if (before.last_date) await storage.setLastDate(before.last_date);
+      out.seen = true;
+    } catch (e) {
+      out.failed.push({ seen: true, error: e.message });
+    }
+  }
+  out.ok = out.failed.length === 0;
+  if (!out.ok) snapshotLog.error("rollback incomplete, restore the undo snapshot", { failed: out.failed });
+  return out;
+}
+
+// ----------------- Flush (?flush=1) -----------------
+async function flushDataUtama({ dryRun = false } = {}){
+  // queued posts belong to this flush too, so move them into the shards first
+  let queue = dryRun ? null : await drainIngestQueue();
+  const flushedAt = new Date();
+  const filename = `flush_${flushTimestamp(flushedAt)}.json`;
+  const snapshot = dryRun
+    ? (SNAPSHOT_BEFORE_RESET && storage.snapshotsAvailable ? storage.describeSnapshotTarget(snapshotName("flush", flushedAt)) : null)
+    : await snapshotBeforeReset("flush");
+  const report = await archiveAndDrain(filename, { dryRun, meta: { flushed_at: flushedAt.toISOString() }, label: "flush" });
+  report.snapshot = snapshot;
+  if (!dryRun) {
+    const failed = report.sources.some(src => src.flushed === false);
+    resets.inc({ kind: "flush", result: failed ? "partial" : "ok" });
+    if (!failed) lastReset.set({ kind: "flush" }, Math.floor(flushedAt.getTime() / 1000));
+  }
+  // what didn't fit before now has empty shards to go to
+  if (queue && queue.left_in_batches > 0) queue = await drainIngestQueue();
+  return Object.assign({ dry_run: dryRun, flushed_at: flushedAt.toISOString() }, report, queue && queue.depth ? { queue } : {});
+}
+
+// ----------------- Daily rollover -----------------
+// The "day" runs from ROLLOVER_HOUR:00 to ROLLOVER_HOUR:00 in ROLLOVER_TIMEZONE.
+function currentDay(d = new Date()){
+  return zonedYMD(d, ROLLOVER_TIMEZONE, ROLLOVER_HOUR);
+}
+// seconds until currentDay() moves on (searched, so DST and half-hour offsets come out right)
+function secondsUntilRollover(now = Date.now()){
+  const today = currentDay(new Date(now));
+  let lo = 0, hi = 26 * 3600;
+  while (hi - lo > 1) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (currentDay(new Date(now + mid * 1000)) === today) lo = mid;
+    else hi = mid;
+  }
+  return hi;
+}
+function dayArchiveName(day){ return `day_${day}.json`; }
+
+// day_2026-01-31.json / flush_2026-01-31T12-30-00Z.json -> "2026-01-31" (null for other files)
+function archiveDay(filename){
+  const m = /^(?:day|flush)_(\d{4}-\d{2}-\d{2})/.exec(filename);
+  return m ? m[1] : null;
+}
 
-  // clear global id gist (single)
-  if (GIST_ID_GLOBAL) {
+async function pruneArchives(today){
+  if (!ARCHIVE_RETENTION_DAYS) return [];
+  const cutoff = new Date(Date.parse(`${today}T00:00:00Z`) - ARCHIVE_RETENTION_DAYS * 86400 * 1000).toISOString().slice(0, 10);
+  const pruned = [];
+  for (const name of await storage.listArchives()) {
+    const day = archiveDay(name);
+    if (!day || day >= cutoff) continue;
     try {
-      const gi = await fetchGistContent(GIST_ID_GLOBAL);
-      const filename = gi.filename || "data_id_global.json";
-      const filesObj = {};
-      filesObj[filename] = { content: JSON.stringify({ seen: [] }, null, 2) };
-      await patchGistWithRetries(GIST_ID_GLOBAL, filesObj);
-      console.log("Cleared data_id_global gist");
+      await storage.deleteArchive(name);
+      pruned.push(name);
     } catch (e) {
-      console.warn("Failed clearing data_id_global:", e.message);
+      rolloverLog.warn("failed pruning archive", { archive: name, error: e });
     }
   }
+  if (pruned.length) rolloverLog.info("pruned archives", { archives: pruned.length, older_than: cutoff });
+  return pruned;
 }
-async function checkAndResetDaily(){
-  const today = utcYMD();
+
+const rolloverLog = createLogger("rollover");
+
+// Runs before every POST /collector and GET /collector (not ?flush=1), and from POST /collector/admin/rollover.
+// A date marker that can't be read or written fails the check (reason "failed"): an unreadable one doesn't
+// count as a first run, and nothing is archived or drained until the new date is claimed.
+// force runs the rollover even when it isn't due (or the marker is unset); the day so far is then archived
+// as day_<today>_forced_<time>.json, so the regular rollover can still write day_<today>.json.
+// returns { rolled_over, day, last_date, reason } or, after a rollover, the archive it wrote
+async function checkAndResetDaily({ force = false } = {}){
+  if (!DAILY_RESET) return { rolled_over: false, reason: "disabled" };
+  const today = currentDay();
   try {
-    const last = await getDateFromSelectedGist();
-    // If last is null, this is likely first-run / uninitialized. Do NOT clear existing gists in that case.
-    // Instead, initialize the date gist to avoid accidental wipes on first run.
-    if (last === null) {
-      console.log("checkAndResetDaily: date gist uninitialized. Initializing to", today, "and skipping clear.");
-      await writeDateToSelectedGist(today);
-      return;
+    const last = await storage.getLastDate();
+    // If last is null, this is likely first-run / uninitialized. Do NOT clear existing data in that case.
+    // Instead, initialize the date marker to avoid accidental wipes on first run.
+    if (last === null && !force) {
+      rolloverLog.info("checkAndResetDaily: date marker uninitialized, initializing it and skipping the clear", { today });
+      await storage.setLastDate(today);
+      return { rolled_over: false, day: today, last_date: null, reason: "initialized" };
     }
-    if (last === today) return;
-    console.log("Daily reset triggered. last_date:", last, "today:", today);
-    const dateGistId = pickDateGistId();
-    if (!dateGistId) {
-      console.warn("checkAndResetDaily: no gist configured to store date - skipping reset");
-      return;
+    if (last === today && !force) return { rolled_over: false, day: today, last_date: last, reason: "not_due" };
+    const day = last === null || last === today ? today : last;
+    const archiveName = day === today ? `day_${today}_forced_${flushTimestamp()}.json` : dayArchiveName(day);
+    rolloverLog.info(force ? "forced rollover triggered" : "daily rollover triggered", { last_date: last, today, timezone: ROLLOVER_TIMEZONE });
+    // claim the rollover first so concurrent requests don't archive the same day twice
+    await storage.setLastDate(today);
+    let archived, snapshot;
+    try {
+      snapshot = await snapshotBeforeReset("daily_reset", { lastDate: last });
+      archived = await archiveAndDrain(archiveName, {
+        meta: { day, timezone: ROLLOVER_TIMEZONE, rollover_hour: ROLLOVER_HOUR, archived_at: new Date().toISOString(), forced: force || undefined },
+        label: "rollover"
+      });
+    } catch (e) {
+      // snapshot / archive failed: nothing was cleared, give the next request another go
+      if (last !== null) {
+        await storage.setLastDate(last).catch(err => rolloverLog.error("failed putting the date marker back", { last_date: last, error: err }));
+      }
+      resets.inc({ kind: "daily", result: "failed" });
+      throw e;
     }
-    await clearAllDataUtamaAndIdGlobal();
-    await writeDateToSelectedGist(today);
-    console.log("Daily reset complete:", today);
+    const pruned = await pruneArchives(today);
+    const compacted = await storage.compactSeen();
+    if (compacted) rolloverLog.info("compacted seen ids", { dropped: compacted });
+    rolloverLog.info("daily rollover complete", { today, archived: archived.total });
+    resets.inc({ kind: "daily", result: "ok" });
+    lastReset.set({ kind: "daily" }, Math.floor(Date.now() / 1000));
+    webhooks.emit("daily.reset", { previous_day: day, day: today, timezone: ROLLOVER_TIMEZONE, archive: archived.archive, archived: archived.total, forced: force || undefined });
+    return Object.assign({ rolled_over: true, day: today, last_date: last }, force ? { forced: true } : {}, { snapshot, archive: archived.archive, archived: archived.total, sources: archived.sources, pruned });
   } catch (e) {
-    console.warn("checkAndResetDaily error:", e.message ?? e);
+    if (isTokensExhausted(e)) throw e;
+    rolloverLog.warn("checkAndResetDaily failed", { error: e });
+    return { rolled_over: false, day: today, reason: "failed", error: e.message };
   }
 }
 
-// ----------------- id_global helpers -----------------
-async function getIdGlobalSet(){
-  if (!GIST_ID_GLOBAL) return new Set();
-  try {
-    const { filename, content } = await fetchGistContent(GIST_ID_GLOBAL);
-    if (!content) return new Set();
-    let arr = [];
-    if (Array.isArray(content)) arr = content;
-    else if (Array.isArray(content.seen)) arr = content.seen;
-    else if (Array.isArray(content.ids)) arr = content.ids;
-    else return new Set();
-    return new Set(arr.map(String));
-  } catch (e){
-    console.warn("getIdGlobalSet warning:", e.message);
-    return new Set();
+// ----------------- Auth (shared secret, named API keys) -----------------
+// Compare sha256 digests so timingSafeEqual always gets equal-length buffers and the
+// comparison time does not depend on where the strings differ.
+function secretDigest(s){ return crypto.createHash("sha256").update(String(s)).digest(); }
+function matchesAnySecret(provided){
+  const providedDigest = secretDigest(provided);
+  let ok = false;
+  // check every secret (no early exit) so timing doesn't reveal which slot matched
+  for (const secret of API_SECRETS) {
+    if (crypto.timingSafeEqual(providedDigest, secretDigest(secret))) ok = true;
   }
+  return ok;
 }
-async function writeIdGlobalSet(idArray){
-  if (!GIST_ID_GLOBAL) throw new Error("GIST_ID_GLOBAL not configured");
-  const payload = JSON.stringify({ seen: idArray }, null, 2);
-  const gistInfo = await fetchGistContent(GIST_ID_GLOBAL);
-  const filename = gistInfo.filename || "data_id_global.json";
-  const filesObj = {};
-  filesObj[filename] = { content: payload };
-  return await patchGistWithRetries(GIST_ID_GLOBAL, filesObj);
+function readProvidedSecret(req){
+  const header = req.headers["x-secret"];
+  if (header) return String(header);
+  const auth = req.headers["authorization"] || "";
+  const m = /^Bearer\s+(.+)$/i.exec(auth);
+  return m ? m[1].trim() : null;
 }
+const authLog = createLogger("auth");
+const clientsLog = createLogger("clients");
 
-// ----------------- data_utama helpers -----------------
-async function readAllDataUtama(){
-  // parallelize reads to reduce total latency
-  const promises = DATA_UTAMA_GISTS.map(async (gid) => {
-    try {
-      const g = await fetchGistContent(gid);
-      let arr = [];
-      if (Array.isArray(g.content)) arr = g.content;
-      else if (g.content && Array.isArray(g.content.posts)) arr = g.content.posts;
-      else arr = [];
-      return { gistId: gid, filename: g.filename || "data_utama.json", array: arr };
-    } catch (e) {
-      console.warn(`readAllDataUtama: can't read gist ${gid}: ${e.message}`);
-      return { gistId: gid, filename: "data_utama.json", array: [] };
-    }
-  });
-  return Promise.all(promises);
+function denyAuth(req, res, status, code, message){
+  const ip = (req.headers["x-forwarded-for"] || "").split(",")[0].trim() || req.socket?.remoteAddress || "unknown";
+  authLog.warn("denied", { method: req.method, path: req.originalUrl || req.url, ip, reason: code });
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  if (status === 401) res.setHeader("WWW-Authenticate", 'Bearer realm="collector"');
+  return res.status(status).json({ error: status === 401 ? "unauthorized" : "forbidden", code, message });
 }
 
-// ----------------- SAFE append (optimistic sync) -----------------
-function jitterBackoff(attempt, baseMs = SYNC_RETRY_BASE_MS){
-  const exp = Math.pow(2, attempt) * baseMs;
-  const jitter = Math.floor(Math.random() * baseMs);
-  return exp + jitter;
+// Middleware: reject unless the request carries one of API_SECRETS or a named API key (X-SECRET or
+// Authorization: Bearer). Sets req.apiClient (not req.client: Node already uses that for the socket);
+// a named key must be allowed the route and is held to its requests_per_minute (see lib/clients.js).
+function requireSecret(req, res, next){
+  if (AUTH_DISABLED) return next();
+  if (!API_SECRETS.length && !getApiKeys().length) {
+    return denyAuth(req, res, 403, "auth_not_configured", "No COLLECTOR_API_SECRET(S) or API_KEYS configured on the server; protected routes are closed.");
+  }
+  const provided = readProvidedSecret(req);
+  if (!provided) return denyAuth(req, res, 401, "missing_secret", "Send the API secret or key in the X-SECRET header.");
+  if (matchesAnySecret(provided)) {
+    req.apiClient = { name: SHARED_CLIENT, shared: true };
+    return next();
+  }
+  const client = findApiKey(provided);
+  if (!client) return denyAuth(req, res, 403, "invalid_secret", "API secret is not valid.");
+  if (!routeAllowed(client, req.method, req.path)) {
+    return denyAuth(req, res, 403, "route_not_allowed", `API key ${client.name} may not call ${req.method} ${req.path}.`);
+  }
+  req.apiClient = client;
+  const limit = client.limits.requests_per_minute;
+  if (limit === null) return next();
+  storage.hitRateWindow(`${client.name}:requests`, 60, 1, limit)
+    .then(r => (r.allowed ? next() : sendThrottled(req, res, { limit: "requests_per_minute", value: limit, used: r.count, retryAfter: r.reset_sec })))
+    // a storage hiccup shouldn't lock every client out
+    .catch(e => { clientsLog.warn("rate check failed", { client: client.name, error: e }); next(); });
 }
 
-/*
- gistEntry: { gistId, filename, array: existingArray }
- incomingItems: array of objects to store
- returns { stored: [...], notStored: [...], updatedArray: [...] }
-*/
-if (typeof globalThis.safeAppendToGist === 'undefined') {
-  globalThis.safeAppendToGist = async function(gistEntry, incomingItems){
-    return safeAppendToGistSimple(gistEntry, incomingItems);
-  };
+// 429 for a named key over one of its limits. Throttled requests are counted per hour in a rate window
+// rather than the ingest counters, so a client hammering the API doesn't cost a storage write each time.
+function sendThrottled(req, res, { limit, value, used, retryAfter }){
+  const client = req.apiClient;
+  clientsLog.warn("throttled", { client: client.name, method: req.method, path: req.originalUrl || req.url, limit, value, used, retry_after: retryAfter });
+  clientThrottled.inc({ client: client.name, limit });
+  storage.hitRateWindow(`${client.name}:throttled`, 3600, 1).catch(() => {});
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    error: limit === "items_per_day" ? "quota_exceeded" : "rate_limited",
+    client: client.name, limit, value, used, retry_after: retryAfter
+  });
 }
 
-// Backwards-compatible alias: some older code calls fetchGistContent(gistId)
-if (typeof globalThis.fetchGistContent === 'undefined') {
-  globalThis.fetchGistContent = async function(gistId){
-    return fetchGistContentWithSha(gistId);
-  };
+// Item limits of a named key for one POST body, checked before anything is written. The daily quota is
+// checked against the posts sent and charged with the posts accepted (recordIngestCounts); concurrent
+// requests can overshoot it by one batch each.
+// returns null, { tooLarge: {...} } for a batch that can never fit, or the sendThrottled() details
+async function checkItemLimits(client, reqBody){
+  const limits = client.limits;
+  const sent = Array.isArray(reqBody) ? reqBody.length : reqBody && Array.isArray(reqBody.posts) ? reqBody.posts.length : 0;
+  for (const l of ["items_per_minute", "items_per_day"]) {
+    if (limits[l] !== null && sent > limits[l]) {
+      return { tooLarge: { error: "batch_exceeds_limit", client: client.name, limit: l, value: limits[l], sent } };
+    }
+  }
+  if (limits.items_per_day !== null) {
+    const used = (clientUsage(await storage.readIngestCounts(currentDay()))[client.name] || {}).items || 0;
+    if (used + sent > limits.items_per_day) {
+      return { limit: "items_per_day", value: limits.items_per_day, used, retryAfter: secondsUntilRollover() };
+    }
+  }
+  if (limits.items_per_minute !== null) {
+    const r = await storage.hitRateWindow(`${client.name}:items`, 60, sent, limits.items_per_minute);
+    if (!r.allowed) return { limit: "items_per_minute", value: limits.items_per_minute, used: r.count, retryAfter: r.reset_sec };
+  }
+  return null;
 }
 
-// ----------------- ROUTES -----------------
-// Support both root (when deployed as api/collector) and explicit /collector paths
-app.options(["/collector", "/"], (req, res) => {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-SECRET");
-  res.status(200).end();
-});
+// Route policy for GET /collector: flush is always protected, plain reads only when REQUIRE_SECRET_FOR_GET is set.
+// A named API key sent to an open read is still checked (routes, requests_per_minute) so its limits hold.
+function requireSecretForGet(req, res, next){
+  const q = req.query || {};
+  if (isTruthyParam(q.flush) || REQUIRE_SECRET_FOR_GET) return requireSecret(req, res, next);
+  const provided = !AUTH_DISABLED && getApiKeys().length ? readProvidedSecret(req) : null;
+  if (provided && findApiKey(provided)) return requireSecret(req, res, next);
+  return next();
+}
 
-// POST /collector
-app.post(["/collector", "/"], async (req, res) => {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  try {
-    await checkAndResetDaily();
+// Shared catch-all for route handlers: exhausted GitHub tokens become a 503 with a retry hint.
+function sendRouteError(res, err, label){
+  // errors raised for bad client input carry their HTTP status (400 bad cursor, 410 expired cursor, ...)
+  if (err && err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  if (isTokensExhausted(err)) {
+    log.warn("route failed: GitHub tokens exhausted", { route: label, retry_after: err.retryAfterSec });
+    res.setHeader("Retry-After", String(err.retryAfterSec));
+    return res.status(503).json({ error: "github_rate_limited", message: err.message, retry_after: err.retryAfterSec });
+  }
+  log.error("route failed", { route: label, error: err, stack: err && err.stack });
+  return res.status(500).json({ error: err?.message ?? "internal" });
+}
 
-    let items = [];
-    if (Array.isArray(req.body)) items = req.body;
-    else if (req.body && Array.isArray(req.body.posts)) items = req.body.posts;
-    else return res.status(400).json({ error: "Body must be array or { posts: [...] }" });
+// any of these on GET /collector switches from batch pages to cursor pages
+const CURSOR_MODE_PARAMS = ["cursor", "limit", "since_id", "id", "author", "user", "created_from", "created_to", "q"];
+// POST responses list at most this many rejected posts (the `rejected` count is always complete)
+const MAX_REJECTIONS_REPORTED = 100;
+// load the post schema, webhook subscriptions and API keys at startup so a broken POST_SCHEMA_FILE /
+// POST_SCHEMA_JSON / WEBHOOKS / API_KEYS fails the deploy
+if (POST_VALIDATION) getPostSchema();
+getWebhookSubscriptions();
+if (storage.kind === "gist" && !GIST_STATS && !GIST_ID_GLOBAL && getApiKeys().some(k => k.limits.items_per_day !== null)) {
+  clientsLog.warn("items_per_day is set but there is no GIST_STATS / GIST_ID_GLOBAL to count usage in; daily quotas are not enforced");
+}
+if (INGEST_MODE === "queue" && !storage.queueAvailable) {
+  queueLog.warn("INGEST_MODE=queue but no queue is configured (GIST_INGEST_QUEUE); writing directly");
+}
+if (SNAPSHOT_BEFORE_RESET && !storage.snapshotsAvailable) {
+  snapshotLog.warn("SNAPSHOT_BEFORE_RESET is on but there is nowhere to keep snapshots (GIST_BACKUP); flushes and rollovers run without one");
+}
 
-    if (items.length === 0) return res.status(400).json({ error: "No items provided" });
+// ----------------- Ingest -----------------
+function reply(status, body){ return { status, body }; }
 
-    // normalize to objects
+/*
+ Validate, dedupe and store the posts of one POST body (an array or { posts: [...] }). Posts from an
+ authenticated client are stamped with collected_by = its name.
+ returns { status, body } for the route to send (and to record for Idempotency-Key replays)
+*/
+async function ingestPosts(reqBody, { client = null } = {}){
+  let items = [];
+  if (Array.isArray(reqBody)) items = reqBody;
+  else if (reqBody && Array.isArray(reqBody.posts)) items = reqBody.posts;
+  else return reply(400, { error: "Body must be array or { posts: [...] }" });
+
+  if (items.length === 0) return reply(400, { error: "No items provided" });
+
+  // normalize + validate each post; invalid ones are reported back instead of failing the batch
+  const rejected = [];
+  if (POST_VALIDATION) {
+    const valid = [];
+    items.forEach((raw, index) => {
+      const r = preparePost(raw);
+      if (r.ok) valid.push(r.post);
+      else rejected.push({ index, id: raw && typeof raw === "object" ? itemId(raw) : null, reasons: r.reasons });
+    });
+    items = valid;
+  } else {
     items = items.map(it => (typeof it === "object" ? it : { text: String(it) }));
+  }
+  const rejectedReport = { rejected: rejected.length, rejected_items: rejected.slice(0, MAX_REJECTIONS_REPORTED) };
+  if (items.length === 0) {
+    return reply(422, Object.assign({ error: "No valid items", accepted: 0, stored: 0 }, rejectedReport));
+  }
+  if (client) items = items.map(it => Object.assign({}, it, { collected_by: client.name }));
+
+  // dedupe against id_global (membership check only for the incoming keys): rest_id and id both
+  // count, and id-less items are checked by their content fingerprint
+  const keyed = items.map(it => Object.assign({ obj: it }, dedupeKeysOf(it)));
+  const seenSet = await storage.seenMany(Array.from(new Set(keyed.flatMap(x => x.keys))));
+
+  const newItemsObjs = [];
+  const skippedBy = { id: 0, hash: 0 };
+  for (const x of keyed){
+    if (!x.keys.length) newItemsObjs.push(x.obj);
+    else if (x.keys.some(k => seenSet.has(k))) skippedBy[x.by]++;
+    else {
+      // a repeat inside the same request counts as seen too
+      x.keys.forEach(k => seenSet.add(k));
+      newItemsObjs.push(x.obj);
+    }
+  }
+  const skipped = skippedBy.id + skippedBy.hash;
 
-    // read id_global (dedupe)
-    const seenSet = await getIdGlobalSet();
+  if (newItemsObjs.length === 0){
+    return reply(200, Object.assign({ accepted: 0, skipped, skipped_by_id: skippedBy.id, skipped_by_hash: skippedBy.hash, stored: 0 }, rejectedReport));
+  }
 
-    const incomingById = [];
-    const incomingNoId = [];
-    let skipped = 0;
-    for (const it of items){
-      const id = it?.rest_id ?? it?.id ?? null;
-      if (!id) incomingNoId.push(it);
-      else {
-        if (seenSet.has(String(id))) skipped++;
-        else incomingById.push({ id: String(id), obj: it });
-      }
+  const dedupeKeysOfAll = (list) => Array.from(new Set(list.flatMap(dedupeKeys)));
+  const base = { accepted: newItemsObjs.length, skipped, skipped_by_id: skippedBy.id, skipped_by_hash: skippedBy.hash };
+
+  // queue mode: park everything in the ingest queue and answer; /collector/drain stores it later
+  if (INGEST_MODE === "queue" && storage.queueAvailable) {
+    const batch = await storage.enqueueBatch(newItemsObjs);
+    // queued posts count as seen so a resend before the drain isn't queued twice
+    await storage.addSeen(dedupeKeysOfAll(newItemsObjs));
+    return reply(202, Object.assign(base, { stored: 0, queued: batch.count, queue_batch: batch.batchId, not_stored: 0 }, rejectedReport));
+  }
+
+  const { storedItems, remaining: leftover, updatedShards, provisioned, noCapacity } = await storeInShards(newItemsObjs);
+
+  // whatever the shards could not take goes to the queue instead of being dropped
+  let remaining = leftover;
+  let queued = [];
+  if (leftover.length > 0 && storage.queueAvailable) {
+    try {
+      await storage.enqueueBatch(leftover);
+      queued = leftover;
+      remaining = [];
+    } catch (e) {
+      if (isTokensExhausted(e)) throw e;
+      queueLog.warn("failed queueing unstored items", { items: leftover.length, error: e });
     }
+  }
 
-    const newItemsObjs = [...incomingById.map(x => x.obj), ...incomingNoId];
-    if (newItemsObjs.length === 0){
-      return res.status(200).json({ accepted: 0, skipped, stored: 0 });
+  // update id_global only for items that were actually stored (or durably queued)
+  const storedIds = dedupeKeysOfAll(storedItems.concat(queued));
+
+  if (storedIds.length > 0){
+    await storage.addSeen(storedIds);
+  }
+
+  const response = Object.assign(base, {
+    stored: storedItems.length,
+    queued: queued.length,
+    not_stored: remaining.length,
+    stored_gists: updatedShards,
+    not_stored_examples: remaining.slice(0,5),
+    ...rejectedReport
+  });
+  if (provisioned.length > 0) response.provisioned_shards = provisioned;
+
+  if (remaining.length > 0){
+    response.warning = noCapacity
+      ? `No capacity in DATA_UTAMA shards (MAX_SHARDS=${MAX_SHARDS} reached or provisioning disabled)`
+      : `Not enough capacity in data_utama shards; ${remaining.length} items not stored. Raise MAX_SHARDS or add gist IDs to GIST_DATA_UTAMA.`;
+    return reply(202, response);
+  }
+  if (queued.length > 0){
+    response.warning = `${queued.length} items could not be written to data_utama yet and were queued; they are stored on the next drain.`;
+    return reply(202, response);
+  }
+
+  return reply(201, response);
+}
+
+// shard.capacity once per threshold a shard's fill went past (from the count read before the append)
+function emitCapacityCrossings(shardId, before, after){
+  for (const threshold of WEBHOOK_CAPACITY_THRESHOLDS) {
+    const mark = Math.ceil(MAX_ITEMS_PER_FILE * threshold / 100);
+    if (before < mark && after >= mark) {
+      webhooks.emit("shard.capacity", { shard: shardId, count: after, capacity: MAX_ITEMS_PER_FILE, fill_pct: Math.round((after / MAX_ITEMS_PER_FILE) * 1000) / 10, threshold });
     }
+  }
+}
 
-    const dataUtamaList = await readAllDataUtama();
+/*
+ Append items across the data_utama shards in order, provisioning new shards when running low.
+ source ("post" | "queue") is passed on to the items.stored webhook.
+ returns { storedItems, remaining, updatedShards, provisioned, noCapacity }
+*/
+async function storeInShards(items, { source = "post" } = {}){
+  const dataUtamaList = await readAllDataUtama();
+  const provisioned = await ensureShardCapacity(dataUtamaList, items.length);
 
-    // Quick capacity check to avoid heavy work when there's absolutely no room
-    const capacities = dataUtamaList.map(d => Math.max(0, MAX_ITEMS_PER_FILE - (Array.isArray(d.array) ? d.array.length : 0)));
-    const totalCap = capacities.reduce((a,b) => a + b, 0);
-    if (totalCap === 0){
-      return res.status(202).json({ accepted: newItemsObjs.length, skipped, stored: 0, not_stored: newItemsObjs.length, warning: "No capacity in DATA_UTAMA gists" });
-    }
-
-    let remaining = newItemsObjs.slice();
-    const storedItems = [];
-    const updatedGists = [];
-
-    for (let i = 0; i < dataUtamaList.length && remaining.length > 0; i++){
-      const entry = dataUtamaList[i];
-      try {
-        const result = await safeAppendToGist(entry, remaining);
-        if (result.stored && result.stored.length > 0){
-          storedItems.push(...result.stored);
-          updatedGists.push(entry.gistId);
-        }
-        remaining = result.notStored;
-      } catch (e){
-        console.warn(`safeAppendToGist failed for gist ${entry.gistId}: ${e.message}`);
-        continue;
+  // Quick capacity check to avoid heavy work when there's absolutely no room
+  if (freeCapacity(dataUtamaList) === 0){
+    return { storedItems: [], remaining: items.slice(), updatedShards: [], provisioned, noCapacity: true };
+  }
+
+  let remaining = items.slice();
+  const storedItems = [];
+  const updatedShards = [];
+  const storedPerShard = [];
+
+  for (let i = 0; i < dataUtamaList.length && remaining.length > 0; i++){
+    const entry = dataUtamaList[i];
+    if (!shardWritable(entry)) continue;
+    try {
+      const before = entry.array.length;
+      const result = await storage.appendToShard(entry, remaining);
+      if (result.stored && result.stored.length > 0){
+        storedItems.push(...result.stored);
+        storedItemsTotal.inc({ source }, result.stored.length);
+        updatedShards.push(entry.shardId);
+        storedPerShard.push({ shard: entry.shardId, count: result.stored.length, ids: result.stored.map(itemId).filter(Boolean) });
+        emitCapacityCrossings(entry.shardId, before, before + result.stored.length);
       }
+      remaining = result.notStored;
+    } catch (e){
+      if (isTokensExhausted(e)) throw e;
+      log.warn("appendToShard failed", { shard: entry.shardId, error: e });
+      continue;
     }
+  }
+  if (storedItems.length) {
+    webhooks.emit("items.stored", { source, count: storedItems.length, shards: storedPerShard });
+    liveFeed.publish(storedItems);
+  }
+  return { storedItems, remaining, updatedShards: Array.from(new Set(updatedShards)), provisioned, noCapacity: false };
+}
 
-    // update id_global only for ids that were actually stored
-    const storedIds = storedItems
-      .map(it => it?.rest_id ?? it?.id ?? null)
-      .filter(Boolean)
-      .map(String);
+// ----------------- Ingest queue drain -----------------
+// One drain at a time: the lock is a short-lived record (same store as Idempotency-Key) whose
+// random token has to survive a read-back.
+const QUEUE_DRAIN_LOCK = "lock:queue-drain";
+const QUEUE_DRAIN_LOCK_SEC = 120;
+
+async function acquireDrainLock(){
+  const token = crypto.randomBytes(8).toString("hex");
+  await storage.putIdempotencyRecord(QUEUE_DRAIN_LOCK, { state: "lock", nonce: token }, QUEUE_DRAIN_LOCK_SEC, { onlyIfAbsent: true });
+  const held = await storage.getIdempotencyRecord(QUEUE_DRAIN_LOCK);
+  // no record store configured (gist backend without GIST_IDEMPOTENCY / GIST_ID_GLOBAL): run unlocked
+  if (!held) return token;
+  return held.nonce === token ? token : null;
+}
 
-    if (storedIds.length > 0){
-      const merged = new Set([...Array.from(await getIdGlobalSet()), ...storedIds]);
-      await writeIdGlobalSet(Array.from(merged));
+/*
+ Move queued batches (oldest first) into the data_utama shards. A batch that only partly fits keeps
+ its leftovers for the next drain; draining stops there since the shards are full.
+ returns { drained_batches, stored, left_in_batches, locked, depth }
+*/
+async function drainIngestQueue({ maxBatches = QUEUE_DRAIN_MAX_BATCHES } = {}){
+  const report = { drained_batches: 0, stored: 0, left_in_batches: 0, locked: false, stored_gists: [] };
+  if (!storage.queueAvailable) return Object.assign(report, { depth: null });
+  const token = await acquireDrainLock();
+  if (!token) {
+    report.locked = true;
+    return Object.assign(report, { depth: await storage.queueDepth() });
+  }
+  try {
+    const shardsUsed = new Set();
+    for (const batch of await storage.listQueueBatches(maxBatches)) {
+      if (!batch.items.length) {
+        await storage.completeQueueBatch(batch, []);
+        continue;
+      }
+      const { storedItems, remaining, updatedShards } = await storeInShards(batch.items, { source: "queue" });
+      await storage.completeQueueBatch(batch, remaining);
+      updatedShards.forEach(id => shardsUsed.add(id));
+      report.stored += storedItems.length;
+      if (remaining.length) {
+        report.left_in_batches += remaining.length;
+        queueLog.warn("items still don't fit, keeping them queued", { batch: batch.batchId, items: remaining.length });
+        break;
+      }
+      report.drained_batches++;
     }
+    report.stored_gists = Array.from(shardsUsed);
+  } finally {
+    await storage.deleteIdempotencyRecord(QUEUE_DRAIN_LOCK).catch(e => queueLog.warn("failed releasing drain lock", { error: e }));
+  }
+  if (report.stored) queueLog.info("drained", { batches: report.drained_batches, stored: report.stored });
+  return Object.assign(report, { depth: await storage.queueDepth() });
+}
 
-    const response = {
-      accepted: newItemsObjs.length,
-      skipped,
-      stored: storedItems.length,
-      not_stored: remaining.length,
-      stored_gists: Array.from(new Set(updatedGists)),
-      not_stored_examples: remaining.slice(0,5)
-    };
+// ----------------- Idempotency-Key -----------------
+// A POST carrying Idempotency-Key first claims the key (a short-lived "pending" record), runs, then
+// stores { status, body } for IDEMPOTENCY_TTL_SEC. Retries with the same key and body get the stored
+// response replayed; the same key with another body is a 409, as is a retry while the first is running.
+// Failures (5xx) release the key so the client can retry for real.
+function requestFingerprint(body){
+  return crypto.createHash("sha256").update(JSON.stringify(body ?? null)).digest("hex");
+}
 
-    if (remaining.length > 0){
-      response.warning = `Not enough capacity in configured GIST_DATA_UTAMA; ${remaining.length} items not stored. Add more gist IDs to GIST_DATA_UTAMA env.`;
-      return res.status(202).json(response);
-    }
+// returns null (no key), { key, fingerprint } (claimed, go ahead) or { done: { status, body, headers } }
+async function claimIdempotencyKey(req){
+  const key = req.get("Idempotency-Key");
+  if (key === undefined) return null;
+  if (!key || key.length > 255) {
+    return { done: { status: 400, body: { error: "invalid_idempotency_key", message: "Idempotency-Key must be 1-255 characters" } } };
+  }
+  const fingerprint = requestFingerprint(req.body);
+  const nonce = crypto.randomBytes(8).toString("hex");
+  const pending = { state: "pending", fingerprint, nonce, created_at: new Date().toISOString() };
+  let claimed = await storage.putIdempotencyRecord(key, pending, IDEMPOTENCY_PENDING_SEC, { onlyIfAbsent: true });
+  let existing = await storage.getIdempotencyRecord(key);
+  if (!claimed && !existing) {
+    // expired between the two calls; take it over
+    await storage.putIdempotencyRecord(key, pending, IDEMPOTENCY_PENDING_SEC);
+    existing = await storage.getIdempotencyRecord(key);
+    claimed = true;
+  }
+  // read back: when two requests race on a backend without an atomic claim, only the one whose
+  // nonce survived goes ahead
+  if (claimed && existing && existing.nonce === nonce) return { key, fingerprint };
+  if (!existing) return { key, fingerprint };
+  if (existing.fingerprint !== fingerprint) {
+    return { done: { status: 409, body: { error: "idempotency_key_reused", message: "Idempotency-Key was already used with a different request body" } } };
+  }
+  if (existing.state !== "done") {
+    return { done: { status: 409, body: { error: "idempotency_in_progress", message: "A request with this Idempotency-Key is still being processed; retry later" }, headers: { "Retry-After": "5" } } };
+  }
+  return { done: { status: existing.status, body: existing.body, headers: { "Idempotent-Replayed": "true" } } };
+}
 
-    return res.status(201).json(response);
+async function completeIdempotencyKey(claim, result){
+  try {
+    if (result.status >= 500) await storage.deleteIdempotencyRecord(claim.key);
+    else await storage.putIdempotencyRecord(claim.key, { state: "done", fingerprint: claim.fingerprint, status: result.status, body: result.body, created_at: new Date().toISOString() }, IDEMPOTENCY_TTL_SEC);
+  } catch (e) {
+    if (isTokensExhausted(e)) throw e;
+    idempotencyLog.warn("failed recording key", { key: claim.key, error: e });
+  }
+}
 
+// ----------------- ROUTES -----------------
+// Support both root (when deployed as api/collector) and explicit /collector paths
+app.options(["/collector", "/"], (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Content-Encoding, X-SECRET, Authorization, Idempotency-Key, X-Request-Id");
+  res.status(200).end();
+});
+
+// POST /collector
+// Idempotency-Key: <key> (optional) makes retries safe, see the Idempotency-Key section above
+app.post(["/collector", "/"], requireSecret, async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  let claim = null;
+  try {
+    await checkAndResetDaily();
+    claim = await claimIdempotencyKey(req);
+    if (claim && claim.done) return res.status(claim.done.status).set(claim.done.headers || {}).json(claim.done.body);
+    const client = req.apiClient && !req.apiClient.shared ? req.apiClient : null;
+    const over = client ? await checkItemLimits(client, req.body) : null;
+    if (over) {
+      // nothing was written, so a retry under the same Idempotency-Key has to run again
+      if (claim && claim.key) await storage.deleteIdempotencyRecord(claim.key);
+      claim = null;
+      if (over.tooLarge) return res.status(413).json(over.tooLarge);
+      return sendThrottled(req, res, over);
+    }
+    const result = await ingestPosts(req.body, { client: req.apiClient });
+    if (claim) await completeIdempotencyKey(claim, result);
+    await recordIngestCounts(result.body, req.apiClient);
+    for (const m of INGEST_METRICS) ingestItems.inc({ result: m, client: req.apiClient ? req.apiClient.name : "anonymous" }, Number(result.body[m]) || 0);
+    return res.status(result.status).json(result.body);
   } catch (err){
-    console.error("POST /collector error:", err);
-    return res.status(500).json({ error: err?.message ?? "internal" });
+    if (claim && claim.key) {
+      await storage.deleteIdempotencyRecord(claim.key).catch(e => idempotencyLog.warn("failed releasing key", { key: claim.key, error: e }));
+    }
+    return sendRouteError(res, err, "POST /collector");
   }
 });
 
 // GET /collector with batch support
 // query: ?batch=1&batch_size=200
-app.get(["/collector", "/"], async (req, res) => {
+// cursor mode (used as soon as any of these is given): ?limit=200&cursor=<next_cursor>&since_id=..
+//   filters: id=a,b  author=name (alias user)  created_from=..  created_to=..  q=text
+// flush: ?flush=1 (archive + drain all data_utama gists), add &dry_run=1 to preview only
+app.get(["/collector", "/"], requireSecretForGet, async (req, res) => {
   res.setHeader("Access-Control-Allow-Origin", "*");
   try {
+    const q = req.query || {};
+
+    if (isTruthyParam(q.flush)) {
+      const report = await flushDataUtama({ dryRun: isTruthyParam(q.dry_run) });
+      const failed = report.sources.some(s => s.flushed === false);
+      return res.status(failed ? 207 : 200).json(report);
+    }
+
     await checkAndResetDaily();
 
-    const q = req.query || {};
+    if (CURSOR_MODE_PARAMS.some(p => q[p] !== undefined)) {
+      const filters = parseFilters(q);
+      const limit = Math.min(Math.max(parseInt(q.limit || q.batch_size || String(READ_BATCH_SIZE), 10) || READ_BATCH_SIZE, 1), 500);
+      const page = await pageThroughShards({
+        shardIds: await storage.listShards(),
+        readShard: (id) => storage.readShard(id),
+        limit,
+        cursor: q.cursor || null,
+        sinceId: q.since_id || null,
+        filters
+      });
+      const body = { posts: page.posts, count: page.posts.length, next_cursor: page.next_cursor, has_more: page.has_more };
+      if (page.since_id_found !== null) body.since_id_found = page.since_id_found;
+      return res.status(200).json(body);
+    }
+
     const batchParam = q.batch;
     const batchNum = Math.max(parseInt(batchParam || "1", 10) || 1, 1);
 
@@ -600,19 +1164,803 @@ app.get(["/collector", "/"], async (req, res) => {
 
     return res.status(200).json({ batches: result, total, batch_count: batchCount, batch: batchArr });
   } catch (err) {
-    console.error("GET /collector error:", err);
-    return res.status(500).json({ error: err?.message ?? "internal" });
+    return sendRouteError(res, err, "GET /collector");
+  }
+});
+
+// ----------------- Ingest queue -----------------
+// POST /collector/drain   move queued posts into data_utama (call it from a cron / after outages)
+// GET  /collector/queue   queue depth
+app.post(["/collector/drain", "/drain"], requireSecret, async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  try {
+    if (!storage.queueAvailable) return res.status(404).json({ error: "queue_not_configured", message: "set GIST_INGEST_QUEUE (gist backend) to enable the ingest queue" });
+    const limit = parseInt((req.query || {}).max_batches || "", 10);
+    const report = await drainIngestQueue(Number.isFinite(limit) && limit > 0 ? { maxBatches: limit } : {});
+    return res.status(report.locked ? 409 : 200).json(report);
+  } catch (err) {
+    return sendRouteError(res, err, "POST /collector/drain");
+  }
+});
+
+app.get(["/collector/queue", "/queue"], requireSecretForGet, async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  try {
+    if (!storage.queueAvailable) return res.status(200).json({ mode: INGEST_MODE, available: false });
+    return res.status(200).json(Object.assign({ mode: INGEST_MODE, available: true }, await storage.queueDepth()));
+  } catch (err) {
+    return sendRouteError(res, err, "GET /collector/queue");
+  }
+});
+
+// ----------------- Webhook admin -----------------
+// GET    /collector/webhooks                         subscriptions (secrets hidden) + dead-letter count
+// GET    /collector/webhooks/dead-letters            failed deliveries, oldest first
+// POST   /collector/webhooks/dead-letters/replay     body { ids: [...] } (omit for all): resend with a fresh
+//                                                    signature; delivered ones leave the list
+// DELETE /collector/webhooks/dead-letters/:id        drop one without resending
+app.get(["/collector/webhooks", "/webhooks"], requireSecret, async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  try {
+    const deadLetters = await storage.listDeadLetters();
+    return res.status(200).json({
+      events: WEBHOOK_EVENTS,
+      subscriptions: getWebhookSubscriptions().map(s => ({ url: s.url, events: s.events, signed: !!s.secret })),
+      dead_letters: deadLetters.length
+    });
+  } catch (err) {
+    return sendRouteError(res, err, "GET /collector/webhooks");
+  }
+});
+
+app.get(["/collector/webhooks/dead-letters", "/webhooks/dead-letters"], requireSecret, async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  try {
+    const deadLetters = await storage.listDeadLetters();
+    return res.status(200).json({ count: deadLetters.length, dead_letters: deadLetters });
+  } catch (err) {
+    return sendRouteError(res, err, "GET /collector/webhooks/dead-letters");
+  }
+});
+
+app.post(["/collector/webhooks/dead-letters/replay", "/webhooks/dead-letters/replay"], requireSecret, async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  try {
+    const body = req.body || {};
+    if (body.ids !== undefined && !Array.isArray(body.ids)) return res.status(400).json({ error: "ids must be an array of dead letter ids" });
+    const wanted = Array.isArray(body.ids) ? new Set(body.ids.map(String)) : null;
+    const records = (await storage.listDeadLetters()).filter(r => !wanted || wanted.has(r.id));
+    const results = [];
+    const delivered = [];
+    for (const record of records) {
+      const sub = getWebhookSubscriptions().find(s => s.url === record.url);
+      if (!sub) {
+        results.push({ id: record.id, ok: false, error: "no subscription for this url anymore" });
+        continue;
+      }
+      const r = await deliverWebhook(record, sub.secret);
+      results.push({ id: record.id, ok: r.ok, status: r.status, error: r.error });
+      if (r.ok) delivered.push(record.id);
+      else {
+        await storage.putDeadLetter(Object.assign({}, record, {
+          attempts: (record.attempts || 0) + r.attempts, last_status: r.status, last_error: r.error,
+          failed_at: new Date().toISOString(), replays: (record.replays || 0) + 1
+        }));
+      }
+    }
+    if (delivered.length) await storage.deleteDeadLetters(delivered);
+    const missing = wanted ? Array.from(wanted).filter(id => !records.some(r => r.id === id)) : [];
+    return res.status(200).json({ replayed: records.length, delivered: delivered.length, failed: records.length - delivered.length, missing, results });
+  } catch (err) {
+    return sendRouteError(res, err, "POST /collector/webhooks/dead-letters/replay");
+  }
+});
+
+app.delete(["/collector/webhooks/dead-letters/:id", "/webhooks/dead-letters/:id"], requireSecret, async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  try {
+    const removed = await storage.deleteDeadLetters([String(req.params.id)]);
+    if (!removed) return res.status(404).json({ error: "dead letter not found" });
+    return res.status(200).json({ deleted: req.params.id });
+  } catch (err) {
+    return sendRouteError(res, err, "DELETE /collector/webhooks/dead-letters");
+  }
+});
+
+// ----------------- Shard admin -----------------
+// GET  /collector/admin/shards                 every shard: parse status, count, bytes, file sha, item checks
+// GET  /collector/admin/shards/:id             one shard
+// POST /collector/admin/shards/:id/repair      { mode: "restore" (gist history; optional version) |
+//                                                "quarantine" (move bad content aside), dry_run }
+// POST /collector/admin/shards/rebalance       spread items evenly over the writable shards { dry_run }
+// POST /collector/admin/seen/rebuild           reset the seen ids to what the shards (and queue) hold { dry_run }
+function adminDryRun(req){
+  return isTruthyParam((req.query || {}).dry_run) || isTruthyParam((req.body || {}).dry_run);
+}
+async function requireKnownShard(id){
+  if (!(await storage.listShards()).includes(id)) {
+    const err = new Error(`unknown shard ${id}`);
+    err.status = 404;
+    throw err;
+  }
+}
+
+/*
+ Items of all writable shards (deduped by itemKey, in listing order) split evenly over those shards,
+ within MAX_ITEMS_PER_FILE and (gist) MAX_BYTES_PER_FILE. Shards that gain items are written first, so an
+ interrupted run leaves duplicates rather than gaps; items appended to a shard while this runs are
+ carried over into its new content, or appended elsewhere when it has no room for them.
+*/
+async function rebalanceShards({ dryRun = false } = {}){
+  const shards = await readAllDataUtama();
+  const usable = shards.filter(shardWritable);
+  const seenKeys = new Set();
+  const items = [];
+  for (const s of usable) {
+    for (const it of s.array) {
+      const k = itemKey(it);
+      if (!seenKeys.has(k)) { seenKeys.add(k); items.push(it); }
+    }
+  }
+  // the byte cap is the gist adapter's (it is what appends there check too)
+  const maxBytes = storage.kind === "gist" ? MAX_BYTES_PER_FILE : 0;
+  const { plan, overflow, overflowBy } = planRebalance(usable.map(s => s.shardId), items, MAX_ITEMS_PER_FILE, { format: SHARD_FORMAT, maxBytes });
+  const before = new Map(usable.map(s => [s.shardId, s]));
+  const report = {
+    dry_run: dryRun,
+    total: items.length,
+    duplicates_removed: usable.reduce((a, s) => a + s.array.length, 0) - items.length,
+    skipped: shards.filter(s => !shardWritable(s)).map(s => ({ shardId: s.shardId, status: s.status })),
+    shards: plan.map(p => ({ shardId: p.shardId, before: before.get(p.shardId).array.length, after: p.items.length }))
+  };
+  // only when MAX_ITEMS_PER_FILE / MAX_BYTES_PER_FILE were lowered (or SHARD_FORMAT made bigger) below what
+  // the shards hold: nothing is written then
+  if (overflow.length) {
+    report.overflow = overflow.length;
+    report.overflow_by = overflowBy;
+  }
+  if (dryRun || overflow.length) return report;
+  let spill = [];
+  const order = plan.slice().sort((a, b) => (b.items.length - before.get(b.shardId).array.length) - (a.items.length - before.get(a.shardId).array.length));
+  for (const p of order) {
+    const snapshot = before.get(p.shardId);
+    const current = await storage.readShard(p.shardId);
+    if (!shardWritable(current)) throw new Error(`shard ${p.shardId} became ${current.status} during rebalance`);
+    const late = current.array.filter(it => !seenKeys.has(itemKey(it)));
+    // posts stored during the rebalance stay with their shard as far as it has room left
+    const lateFits = Math.min(late.length, MAX_ITEMS_PER_FILE - p.items.length, itemsThatFit(p.items, late, SHARD_FORMAT, maxBytes));
+    await storage.replaceShard(p.shardId, p.items.concat(late.slice(0, lateFits)), current.filename || snapshot.filename);
+    if (lateFits) report.shards.find(r => r.shardId === p.shardId).after += lateFits;
+    spill.push(...late.slice(lateFits));
+  }
+  // and the rest is appended wherever there is room, like any other post (or queued when there is none)
+  for (const p of plan) {
+    if (!spill.length) break;
+    const r = await storage.appendToShard({ shardId: p.shardId, filename: before.get(p.shardId).filename }, spill);
+    report.shards.find(s => s.shardId === p.shardId).after += r.stored.length;
+    spill = r.notStored;
+  }
+  if (spill.length) {
+    if (storage.queueAvailable) await storage.enqueueBatch(spill);
+    report.late_not_stored = { items: spill.length, queued: storage.queueAvailable };
+    shardsLog.warn("posts stored during the rebalance didn't fit back", { items: spill.length, queued: storage.queueAvailable });
+  }
+  shardsLog.info("rebalanced", { items: items.length, shards: plan.length });
+  return report;
+}
+
+/*
+ Replace the seen ids with the dedupe keys of everything in the shards and the ingest queue. Ids that
+ only live in archives are forgotten, so archived posts can be ingested again; in window mode the
+ rebuilt ids count as seen from now.
+*/
+async function rebuildSeen({ dryRun = false } = {}){
+  const shards = await readAllDataUtama();
+  const queued = storage.queueAvailable ? await storage.listQueueBatches() : [];
+  const keys = new Set();
+  for (const s of shards) for (const it of s.array) dedupeKeys(it).forEach(k => keys.add(k));
+  for (const b of queued) for (const it of b.items) dedupeKeys(it).forEach(k => keys.add(k));
+  const report = {
+    dry_run: dryRun,
+    keys: keys.size,
+    seen_before: await storage.seenCount(),
+    skipped_shards: shards.filter(s => !shardWritable(s)).map(s => ({ shardId: s.shardId, status: s.status }))
+  };
+  if (dryRun) return report;
+  await storage.replaceSeen(Array.from(keys));
+  // posts stored while this ran
+  const late = new Set();
+  for (const s of await readAllDataUtama()) for (const it of s.array) dedupeKeys(it).forEach(k => { if (!keys.has(k)) late.add(k); });
+  if (late.size) await storage.addSeen(Array.from(late));
+  report.late_added = late.size;
+  shardsLog.info("rebuilt seen ids from shards", { keys: keys.size + late.size });
+  return report;
+}
+
+app.get(["/collector/admin/shards", "/admin/shards"], requireSecret, async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  try {
+    const shards = await Promise.all((await storage.listShards()).map(id => storage.inspectShard(id)));
+    return res.status(200).json({ max_items_per_file: MAX_ITEMS_PER_FILE, unhealthy: shards.filter(s => !shardWritable(s)).length, shards });
+  } catch (err) {
+    return sendRouteError(res, err, "GET /collector/admin/shards");
+  }
+});
+
+// ?items=1 adds the shard's posts (as parsed; [] for a shard that doesn't parse)
+app.get(["/collector/admin/shards/:id", "/admin/shards/:id"], requireSecret, async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  try {
+    await requireKnownShard(req.params.id);
+    const report = await storage.inspectShard(req.params.id);
+    if (isTruthyParam((req.query || {}).items)) report.items = (await storage.readShard(req.params.id)).array;
+    return res.status(200).json(report);
+  } catch (err) {
+    return sendRouteError(res, err, "GET /collector/admin/shards/:id");
+  }
+});
+
+app.post(["/collector/admin/shards/rebalance", "/admin/shards/rebalance"], requireSecret, async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  try {
+    const report = await rebalanceShards({ dryRun: adminDryRun(req) });
+    return res.status(report.overflow ? 409 : 200).json(report);
+  } catch (err) {
+    return sendRouteError(res, err, "POST /collector/admin/shards/rebalance");
+  }
+});
+
+app.post(["/collector/admin/shards/:id/repair", "/admin/shards/:id/repair"], requireSecret, async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  try {
+    const id = req.params.id;
+    await requireKnownShard(id);
+    const body = req.body || {};
+    const mode = String(body.mode || (req.query || {}).mode || "");
+    const dryRun = adminDryRun(req);
+    let result;
+    if (mode === "restore") {
+      if (typeof storage.restoreShard !== "function") return res.status(501).json({ error: "restore_not_supported", message: `the ${storage.kind} backend keeps no revision history; use mode=quarantine` });
+      result = await storage.restoreShard(id, { version: body.version || (req.query || {}).version || null, dryRun });
+    } else if (mode === "quarantine") {
+      result = await storage.quarantineShard(id, { dryRun });
+    } else {
+      return res.status(400).json({ error: "mode must be restore or quarantine" });
+    }
+    const after = dryRun ? null : await storage.inspectShard(id);
+    return res.status(result.restored === false && !dryRun ? 409 : 200).json(Object.assign({ shardId: id, mode }, result, after ? { shard: after } : {}));
+  } catch (err) {
+    return sendRouteError(res, err, "POST /collector/admin/shards/:id/repair");
+  }
+});
+
+app.post(["/collector/admin/seen/rebuild", "/admin/seen/rebuild"], requireSecret, async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  try {
+    return res.status(200).json(await rebuildSeen({ dryRun: adminDryRun(req) }));
+  } catch (err) {
+    return sendRouteError(res, err, "POST /collector/admin/seen/rebuild");
+  }
+});
+
+// POST /collector/admin/rollover — run the daily rollover now when it is due (otherwise it waits for the
+// next POST / GET /collector). ?force=1 (or { force: true }) runs it anyway: snapshot, archive, drain and a
+// new date marker, the day so far archived under its own name. Archiving without the rollover is ?flush=1.
+app.post(["/collector/admin/rollover", "/admin/rollover"], requireSecret, async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  try {
+    const force = isTruthyParam((req.query || {}).force) || !!(req.body && req.body.force === true);
+    const report = await checkAndResetDaily({ force });
+    return res.status(report.reason === "failed" ? 500 : 200).json(report);
+  } catch (err) {
+    return sendRouteError(res, err, "POST /collector/admin/rollover");
+  }
+});
+
+// ----------------- Snapshot admin -----------------
+// GET  /collector/admin/snapshots           stored snapshots (oldest first) and the snapshot settings
+// POST /collector/admin/snapshots           take and store a snapshot now { dry_run }
+// GET  /collector/admin/snapshots/current   a snapshot of the state right now, not stored (for downloads)
+// GET  /collector/admin/snapshots/:name     a stored snapshot bundle
+// POST /collector/admin/restore             { name } (stored) or { bundle } (uploaded), { dry_run, keep_last_date }
+//   dry_run only validates and returns the diff. keep_last_date leaves the date marker alone; otherwise
+//   a restored last_date from before today makes the next read roll that day over again.
+function snapshotsNotConfigured(res){
+  return res.status(404).json({ error: "snapshots_not_configured", message: "set GIST_BACKUP to keep snapshots on the gist backend" });
+}
+
+app.get(["/collector/admin/snapshots", "/admin/snapshots"], requireSecret, async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  try {
+    const names = storage.snapshotsAvailable ? await storage.listSnapshots() : [];
+    return res.status(200).json({
+      available: storage.snapshotsAvailable,
+      before_reset: SNAPSHOT_BEFORE_RESET,
+      retention: SNAPSHOT_RETENTION,
+      snapshots: names.map(parseSnapshotName).filter(Boolean)
+    });
+  } catch (err) {
+    return sendRouteError(res, err, "GET /collector/admin/snapshots");
+  }
+});
+
+app.post(["/collector/admin/snapshots", "/admin/snapshots"], requireSecret, async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  try {
+    if (!storage.snapshotsAvailable) return snapshotsNotConfigured(res);
+    if (adminDryRun(req)) return res.status(200).json({ dry_run: true, location: storage.describeSnapshotTarget(snapshotName("manual")) });
+    return res.status(200).json(Object.assign({ dry_run: false }, await saveSnapshot(await takeSnapshot("manual"))));
+  } catch (err) {
+    return sendRouteError(res, err, "POST /collector/admin/snapshots");
+  }
+});
+
+app.get(["/collector/admin/snapshots/current", "/admin/snapshots/current"], requireSecret, async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  try {
+    return res.status(200).json(await takeSnapshot("manual"));
+  } catch (err) {
+    return sendRouteError(res, err, "GET /collector/admin/snapshots/current");
+  }
+});
+
+async function loadStoredSnapshot(name){
+  const stored = storage.snapshotsAvailable && parseSnapshotName(name) ? await storage.readSnapshot(name) : null;
+  if (stored == null) {
+    const err = new Error(`no snapshot named ${name}`);
+    err.status = 404;
+    throw err;
+  }
+  return decodeSnapshot(stored);
+}
+
+app.get(["/collector/admin/snapshots/:name", "/admin/snapshots/:name"], requireSecret, async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  try {
+    return res.status(200).json(await loadStoredSnapshot(req.params.name));
+  } catch (err) {
+    return sendRouteError(res, err, "GET /collector/admin/snapshots/:name");
+  }
+});
+
+app.post(["/collector/admin/restore", "/admin/restore"], requireSecret, async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  try {
+    const body = req.body || {};
+    let bundle;
+    if (typeof body.name === "string" && body.name) {
+      bundle = await loadStoredSnapshot(body.name);
+    } else if (body.bundle && typeof body.bundle === "object") {
+      try { bundle = decodeSnapshot(body.bundle); } catch (e) { return res.status(400).json({ error: "invalid_snapshot", errors: [e.message] }); }
+    } else {
+      return res.status(400).json({ error: "name (a stored snapshot) or bundle is required" });
+    }
+    const errors = validateSnapshot(bundle);
+    if (errors.length) return res.status(400).json({ error: "invalid_snapshot", errors });
+    const keepLastDate = isTruthyParam(body.keep_last_date) || isTruthyParam((req.query || {}).keep_last_date);
+    const report = await restoreSnapshot(bundle, { dryRun: adminDryRun(req), keepLastDate });
+    return res.status(report.restored === false ? (report.error === "unknown_shards" ? 409 : 500) : 200).json(report);
+  } catch (err) {
+    return sendRouteError(res, err, "POST /collector/admin/restore");
+  }
+});
+
+// GET /collector/admin/clients?day=YYYY-MM-DD (default today) — named API keys with their routes,
+// limits and usage for the day; for today also the current minute windows and the 429s this hour.
+// Usage recorded under names that aren't configured (the shared secret, removed keys) is listed apart.
+app.get(["/collector/admin/clients", "/admin/clients"], requireSecret, async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  try {
+    const today = currentDay();
+    const day = req.query.day ? String(req.query.day) : today;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) return res.status(400).json({ error: "day must be YYYY-MM-DD" });
+    const usage = clientUsage(await storage.readIngestCounts(day));
+    const keys = getApiKeys();
+    const clients = await Promise.all(keys.map(async (k) => {
+      const used = usage[k.name] || { requests: 0, items: 0 };
+      const row = Object.assign(describeClient(k), { usage: used });
+      if (day !== today) return row;
+      if (k.limits.items_per_day !== null) row.items_left_today = Math.max(0, k.limits.items_per_day - used.items);
+      // amount 0 reads a window without counting anything
+      const [requests, items, throttled] = await Promise.all(["requests", "items", "throttled"].map((w, i) =>
+        storage.hitRateWindow(`${k.name}:${w}`, i === 2 ? 3600 : 60, 0)));
+      row.current = { requests_this_minute: requests.count, items_this_minute: items.count, throttled_this_hour: throttled.count };
+      return row;
+    }));
+    const other = Object.keys(usage).filter(name => !keys.some(k => k.name === name)).sort()
+      .map(name => ({ name, usage: usage[name] }));
+    return res.status(200).json({
+      day, timezone: ROLLOVER_TIMEZONE,
+      windows: storage.kind === "redis" ? "shared" : "per_instance",
+      clients, other_clients: other
+    });
+  } catch (err) {
+    return sendRouteError(res, err, "GET /collector/admin/clients");
+  }
+});
+
+// ----------------- Stats -----------------
+const INGEST_METRICS = ["accepted", "skipped", "stored", "queued", "rejected"];
+
+// Hourly counters (hours in ROLLOVER_TIMEZONE, grouped by rollover day). Best effort: a failed
+// counter write never fails the POST. Per-client usage (client.<name>.requests / .items) goes in the
+// same counters; for named keys it is recorded even with STATS_COUNTERS=0 because items_per_day and
+// /collector/admin/clients read it.
+async function recordIngestCounts(body, client = null){
+  if (!body) return;
+  const counts = {};
+  if (STATS_COUNTERS) {
+    for (const m of INGEST_METRICS) if (Number(body[m]) > 0) counts[m] = Number(body[m]);
+  }
+  if (client && (STATS_COUNTERS || !client.shared)) {
+    counts[clientMetric(client.name, "requests")] = 1;
+    if (Number(body.accepted) > 0) counts[clientMetric(client.name, "items")] = Number(body.accepted);
+  }
+  if (!Object.keys(counts).length) return;
+  try {
+    await storage.addIngestCounts(currentDay(), zonedHour(new Date(), ROLLOVER_TIMEZONE), counts);
+  } catch (e) {
+    log.warn("failed recording ingest counts", { error: e });
+  }
+}
+
+let statsCache = null; // { at, key, body } — per instance, STATS_CACHE_SEC
+
+async function computeStats(fields){
+  const [shards, seenCount, ingestHours, queue] = await Promise.all([
+    readAllDataUtama(),
+    storage.seenCount(),
+    storage.readIngestCounts(currentDay()),
+    storage.queueAvailable ? storage.queueDepth() : Promise.resolve(null)
+  ]);
+  const pct = (n, d) => (d > 0 ? Math.round((n / d) * 1000) / 10 : 0);
+  const total = shards.reduce((a, s) => a + s.array.length, 0);
+  const capacity = shards.length * MAX_ITEMS_PER_FILE;
+  return {
+    generated_at: new Date().toISOString(),
+    total_items: total,
+    capacity: {
+      max_items_per_file: MAX_ITEMS_PER_FILE, max_bytes_per_file: storage.kind === "gist" ? MAX_BYTES_PER_FILE || null : null,
+      shards: shards.length, total: capacity, fill_pct: pct(total, capacity)
+    },
+    shards: shards.map(s => Object.assign(
+      { shardId: s.shardId, count: s.array.length, fill_pct: pct(s.array.length, MAX_ITEMS_PER_FILE), status: s.status || "ok" },
+      Number.isFinite(s.bytes) ? { bytes: s.bytes, bytes_fill_pct: MAX_BYTES_PER_FILE ? pct(s.bytes, MAX_BYTES_PER_FILE) : null } : {}
+    )),
+    seen: { count: seenCount, mode: DEDUPE_WINDOW_HOURS > 0 ? "window" : "daily", estimated: storage.kind === "gist" && DEDUPE_WINDOW_HOURS > 0 },
+    queue,
+    ingest: Object.assign({ day: currentDay(), timezone: ROLLOVER_TIMEZONE, recording: STATS_COUNTERS }, hourlySeries(ingestHours, INGEST_METRICS)),
+    top: topValues(shards.flatMap(s => s.array), fields, STATS_TOP_N),
+    gist_cache: storage.kind === "gist" ? getGistCacheStats() : null
+  };
+}
+
+// GET /collector/stats?fields=author,hashtags (default STATS_TOP_FIELDS)  &refresh=1 skips the cache
+app.get(["/collector/stats", "/stats"], requireSecretForGet, async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  try {
+    const q = req.query || {};
+    const fields = q.fields ? String(q.fields).split(",").map(f => f.trim()).filter(Boolean) : STATS_TOP_FIELDS;
+    const key = fields.join(",");
+    const fresh = statsCache && statsCache.key === key && Date.now() - statsCache.at < STATS_CACHE_SEC * 1000;
+    if (fresh && !isTruthyParam(q.refresh)) {
+      return res.status(200).json(Object.assign({}, statsCache.body, { cached: true, age_sec: Math.round((Date.now() - statsCache.at) / 1000) }));
+    }
+    const body = await computeStats(fields);
+    statsCache = { at: Date.now(), key, body };
+    return res.status(200).json(Object.assign({}, body, { cached: false, age_sec: 0 }));
+  } catch (err) {
+    return sendRouteError(res, err, "GET /collector/stats");
+  }
+});
+
+// ----------------- Live feed (SSE) -----------------
+// GET /collector/live  text/event-stream of posts as they are stored ("post" events, data = the post)
+//   filters: the GET /collector ones (id, author, created_from, created_to, q) plus where=<path>:<value>
+//   resume: Last-Event-ID header (or ?last_event_id=) after a reconnect
+// stream mode (long-lived server): posts stored by this process, a "reset" event when Last-Event-ID
+//   can't be resumed, and a heartbeat comment every LIVE_HEARTBEAT_SEC.
+// poll mode (serverless export, which buffers whole responses): each request sends the posts stored
+//   since the client's cursor, a "sync" event whose id is the next cursor, and ends; EventSource
+//   reconnects after `retry` and sends that id back as Last-Event-ID.
+const liveFeed = createLiveFeed({ backlog: LIVE_BACKLOG });
+function liveMode(){
+  if (LIVE_MODE !== "auto") return LIVE_MODE;
+  return runningAsServer ? "stream" : "poll";
+}
+// drop a client whose socket stopped draining rather than buffering for it forever
+const LIVE_MAX_BUFFERED_BYTES = 1024 * 1024;
+
+function openEventStream(res){
+  res.status(200).set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    "Connection": "keep-alive",
+    "X-Accel-Buffering": "no",
+    "Access-Control-Allow-Origin": "*"
+  });
+  res.flushHeaders();
+}
+
+function liveStream(req, res, lastEventId, matches){
+  openEventStream(res);
+  res.write(`retry: ${LIVE_POLL_RETRY_MS}\n\n`);
+  const send = (chunk) => {
+    if (res.writableEnded) return;
+    if (res.writableLength > LIVE_MAX_BUFFERED_BYTES) {
+      log.warn("live client is not reading, closing its stream");
+      return res.end();
+    }
+    res.write(chunk);
+  };
+  const { events, reset } = liveFeed.since(lastEventId);
+  if (reset) send(sseEvent({ event: "reset", data: { reason: reset } }));
+  else if (!lastEventId) send(sseEvent({ event: "ready", id: liveFeed.lastId, data: { mode: "stream" } }));
+  for (const ev of events) if (matches(ev.item)) send(sseEvent({ event: "post", id: ev.id, data: ev.item }));
+  const unsubscribe = liveFeed.subscribe((ev) => { if (matches(ev.item)) send(sseEvent({ event: "post", id: ev.id, data: ev.item })); });
+  const heartbeat = setInterval(() => send(sseComment(`ping ${new Date().toISOString()}`)), LIVE_HEARTBEAT_SEC * 1000);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
+
+// cursor at the end of the last non-empty shard: where a new poll-mode client starts
+async function endOfShardsCursor(shardIds){
+  for (let i = shardIds.length - 1; i >= 0; i--) {
+    const arr = (await storage.readShard(shardIds[i])).array;
+    if (arr.length) return encodeCursor(shardIds[i], arr.length, arr[arr.length - 1]);
+  }
+  return shardIds.length ? encodeCursor(shardIds[0], 0, null) : null;
+}
+
+async function livePoll(req, res, lastEventId, filters, where){
+  const shardIds = await storage.listShards();
+  let page = null;
+  let reset = null;
+  if (lastEventId) {
+    try {
+      page = await pageThroughShards({
+        shardIds, readShard: (id) => storage.readShard(id), limit: LIVE_POLL_LIMIT, cursor: lastEventId, filters
+      });
+    } catch (e) {
+      // not one of our cursors (e.g. a stream-mode id), or the shard was flushed under it
+      if (!(e.status === 400 || e.status === 410)) throw e;
+      reset = e.status === 410 ? "cursor_expired" : "unknown_event_id";
+    }
+  }
+  openEventStream(res);
+  if (!page) {
+    res.write(`retry: ${LIVE_POLL_RETRY_MS}\n\n`);
+    if (reset) res.write(sseEvent({ event: "reset", data: { reason: reset } }));
+    res.write(sseEvent({ event: "ready", id: await endOfShardsCursor(shardIds), data: { mode: "poll" } }));
+    return res.end();
+  }
+  // more waiting: come back right away
+  res.write(`retry: ${page.has_more ? 250 : LIVE_POLL_RETRY_MS}\n\n`);
+  for (const it of page.posts) if (matchesWhere(it, where)) res.write(sseEvent({ event: "post", data: it }));
+  res.write(sseEvent({ event: "sync", id: page.next_cursor, data: { has_more: page.has_more } }));
+  return res.end();
+}
+
+app.get(["/collector/live", "/live"], requireSecretForGet, async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  try {
+    const mode = liveMode();
+    if (mode === "off") return res.status(404).json({ error: "live_feed_disabled", message: "set LIVE_MODE to enable /collector/live" });
+    const q = req.query || {};
+    const filters = parseFilters(q);
+    const where = parseWhere(q.where);
+    const lastEventId = req.get("Last-Event-ID") || q.last_event_id || null;
+    if (mode === "poll") return await livePoll(req, res, lastEventId, filters, where);
+    if (liveFeed.clients >= LIVE_MAX_CLIENTS) {
+      res.setHeader("Retry-After", "30");
+      return res.status(503).json({ error: "too_many_live_clients", max: LIVE_MAX_CLIENTS });
+    }
+    return liveStream(req, res, lastEventId, (it) => matchesFilters(it, filters) && matchesWhere(it, where));
+  } catch (err) {
+    if (res.headersSent) {
+      res.write(sseEvent({ event: "error", data: { error: err.message } }));
+      return res.end();
+    }
+    return sendRouteError(res, err, "GET /collector/live");
+  }
+});
+
+// ----------------- Export -----------------
+// GET /collector/export?format=ndjson|csv  streams every post instead of paging
+//   columns=a,b.c    CSV columns as dot paths (default EXPORT_CSV_COLUMNS; "auto" = every field
+//                    found in the first shard/day, nested objects flattened to dot paths)
+//   days=2026-01-30,2026-01-31   also export those archived days (oldest first, before the live shards)
+//   current=0        leave out the live shards (only with days=)
+//   same filters as cursor mode; the response is gzipped when the client sends Accept-Encoding: gzip
+async function writeChunk(stream, chunk){
+  if (!stream.write(chunk)) await once(stream, "drain");
+}
+
+// Yields one array of posts per archived day, then per live shard, reading them one at a time
+async function* exportSources(days, includeCurrent){
+  for (const day of days) {
+    const payload = await storage.readArchive(dayArchiveName(day));
+    for (const shard of (payload && payload.shards) || []) {
+      if (Array.isArray(shard.items)) yield shard.items;
+    }
+  }
+  if (!includeCurrent) return;
+  for (const shardId of await storage.listShards()) yield (await storage.readShard(shardId)).array;
+}
+
+app.get(["/collector/export", "/export"], requireSecretForGet, async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  const q = req.query || {};
+  let out = null;
+  try {
+    const format = String(q.format || (/text\/csv/.test(req.get("Accept") || "") ? "csv" : "ndjson")).toLowerCase();
+    if (!["ndjson", "csv"].includes(format)) return res.status(400).json({ error: "format must be ndjson or csv" });
+    const filters = parseFilters(q);
+    const days = q.days ? String(q.days).split(",").map(d => d.trim()).filter(Boolean).sort() : [];
+    const badDay = days.find(d => !/^\d{4}-\d{2}-\d{2}$/.test(d));
+    if (badDay) return res.status(400).json({ error: `days: ${badDay} is not YYYY-MM-DD` });
+    if (days.length) {
+      const archived = new Set(await storage.listArchives());
+      const missing = days.filter(d => !archived.has(dayArchiveName(d)));
+      if (missing.length) return res.status(404).json({ error: "not_found", message: `no archive for ${missing.join(", ")}` });
+    }
+    const includeCurrent = !(days.length && q.current !== undefined && !isTruthyParam(q.current));
+
+    const sources = exportSources(days, includeCurrent);
+    let first = await sources.next();
+    let columns = null;
+    if (format === "csv") {
+      columns = q.columns && q.columns !== "auto" ? String(q.columns).split(",").map(c => c.trim()).filter(Boolean)
+        : q.columns === "auto" ? columnsFromSample(first.done ? [] : first.value) : EXPORT_CSV_COLUMNS;
+    }
+
+    const stamp = flushTimestamp();
+    res.status(200);
+    res.setHeader("Content-Type", format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="membit-export-${stamp}.${format === "csv" ? "csv" : "ndjson"}"`);
+    out = res;
+    if (wantsGzip(req)) {
+      res.setHeader("Content-Encoding", "gzip");
+      res.setHeader("Vary", "Accept-Encoding");
+      out = zlib.createGzip();
+      out.pipe(res);
+    }
+
+    let rows = 0;
+    if (columns) await writeChunk(out, csvRow(columns));
+    for (; !first.done; first = await sources.next()) {
+      for (const it of first.value) {
+        if (!matchesFilters(it, filters)) continue;
+        await writeChunk(out, columns ? csvItemRow(it, columns) : ndjsonLine(it));
+        rows++;
+      }
+    }
+    out.end();
+    log.info("export done", { format, rows, days: days.length, current: includeCurrent });
+  } catch (err) {
+    if (!res.headersSent) {
+      if (out && out !== res) out.unpipe(res);
+      ["Content-Encoding", "Content-Disposition", "Vary"].forEach(h => res.removeHeader(h));
+      return sendRouteError(res, err, "GET /collector/export");
+    }
+    // mid-stream: the status is already out, so cut the body short rather than end it cleanly
+    log.warn("export failed mid-stream", { error: err });
+    res.destroy(err);
+  }
+});
+
+// ----------------- History (archived days / flushes) -----------------
+// GET /collector/history                 -> { archives: [{ name, day, kind }] }
+// GET /collector/history/2026-01-31      -> posts archived at that day's rollover
+// GET /collector/history/<archive name>  -> posts of any archive (e.g. flush_...json)
+//   paging: ?offset=0&limit=200, same filters as cursor mode (id, author, created_from, created_to, q)
+function describeArchive(name){
+  return { name, day: archiveDay(name), kind: name.startsWith("day_") ? "day" : name.startsWith("flush_") ? "flush" : "other" };
+}
+
+app.get(["/collector/history", "/history"], requireSecretForGet, async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  try {
+    const names = await storage.listArchives();
+    return res.status(200).json({
+      archives: names.map(describeArchive),
+      retention_days: ARCHIVE_RETENTION_DAYS,
+      timezone: ROLLOVER_TIMEZONE,
+      rollover_hour: ROLLOVER_HOUR
+    });
+  } catch (err) {
+    return sendRouteError(res, err, "GET /collector/history");
+  }
+});
+
+app.get(["/collector/history/:name", "/history/:name"], requireSecretForGet, async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  try {
+    const q = req.query || {};
+    const name = /^\d{4}-\d{2}-\d{2}$/.test(req.params.name) ? dayArchiveName(req.params.name) : req.params.name;
+    const filters = parseFilters(q);
+    const payload = await storage.readArchive(name);
+    if (!payload || !Array.isArray(payload.shards)) {
+      return res.status(404).json({ error: "not_found", message: `no archive named ${name}` });
+    }
+    const items = [];
+    for (const shard of payload.shards) {
+      if (Array.isArray(shard.items)) items.push(...shard.items.filter(it => matchesFilters(it, filters)));
+    }
+    const offset = Math.max(parseInt(q.offset || "0", 10) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(q.limit || String(READ_BATCH_SIZE), 10) || READ_BATCH_SIZE, 1), 500);
+    const posts = items.slice(offset, offset + limit);
+    return res.status(200).json({
+      archive: describeArchive(name),
+      total: items.length,
+      offset,
+      count: posts.length,
+      has_more: offset + posts.length < items.length,
+      posts
+    });
+  } catch (err) {
+    return sendRouteError(res, err, "GET /collector/history/:name");
+  }
+});
+
+// ----------------- Metrics -----------------
+// shard fill is read when scraped (through the gist read cache, so mostly 304s)
+onCollect(async () => {
+  const shards = await readAllDataUtama();
+  shardItems.reset();
+  shardRemaining.reset();
+  let free = 0;
+  for (const s of shards) {
+    shardItems.set({ shard: s.shardId, status: s.status || "ok" }, s.array.length);
+    if (!shardWritable(s)) continue;
+    const left = shardFreeSlots(s, MAX_ITEMS_PER_FILE, MAX_BYTES_PER_FILE);
+    shardRemaining.set({ shard: s.shardId }, left);
+    free += left;
+  }
+  capacityRemaining.set({}, free);
+});
+
+// GET /collector/metrics — Prometheus text format (counters are per instance, see lib/metrics.js).
+// Scrapers can send the secret as Authorization: Bearer when REQUIRE_SECRET_FOR_GET is set.
+app.get(["/collector/metrics", "/metrics"], requireSecretForGet, async (req, res) => {
+  try {
+    const { text, failed } = await renderMetrics();
+    for (const e of failed) {
+      if (isTokensExhausted(e)) log.warn("metrics: shard capacity skipped, GitHub tokens exhausted");
+      else log.warn("metrics collector failed", { error: e });
+    }
+    res.setHeader("Content-Type", METRICS_CONTENT_TYPE);
+    return res.status(200).send(text);
+  } catch (err) {
+    return sendRouteError(res, err, "GET /collector/metrics");
   }
 });
 
-// health
+// health (always open)
 app.get("/health", (req, res) => {
   res.json({
     ok: true,
+    storage: storage.kind,
     gist_data_utama_count: DATA_UTAMA_GISTS.length,
     gist_id_global: !!GIST_ID_GLOBAL,
     max_items_per_file: MAX_ITEMS_PER_FILE,
-    tokens: TOKENS.length
+    shard_file: storage.kind === "gist" ? { format: SHARD_FORMAT, max_bytes: MAX_BYTES_PER_FILE || null } : null,
+    max_shards: MAX_SHARDS,
+    auto_provision_shards: AUTO_PROVISION_SHARDS,
+    ingest: { mode: INGEST_MODE, queue: storage.queueAvailable },
+    dedupe: Object.assign(DEDUPE_WINDOW_HOURS > 0 ? { mode: "window", window_hours: DEDUPE_WINDOW_HOURS } : { mode: "daily" }, { content_hash: CONTENT_HASH_DEDUPE }),
+    rollover: { enabled: DAILY_RESET, timezone: ROLLOVER_TIMEZONE, hour: ROLLOVER_HOUR, day: currentDay(), archive_retention_days: ARCHIVE_RETENTION_DAYS },
+    tokens: TOKENS.length,
+    token_status: getTokenStatus(),
+    gist_cache: getGistCacheStats(),
+    webhooks: { subscriptions: getWebhookSubscriptions().length, in_flight: webhooks.pending },
+    live: { mode: liveMode(), clients: liveFeed.clients, backlog: liveFeed.backlogSize },
+    auth: { secrets: API_SECRETS.length, api_keys: getApiKeys().length, get_protected: REQUIRE_SECRET_FOR_GET, disabled: AUTH_DISABLED },
+    snapshots: { available: storage.snapshotsAvailable, before_reset: SNAPSHOT_BEFORE_RESET, retention: SNAPSHOT_RETENTION },
+    log_level: LOG_LEVEL,
+    response_gzip: RESPONSE_GZIP
   });
 });
 
@@ -623,14 +1971,19 @@ app.get("/health", (req, res) => {
 
 import serverless from "serverless-http";
 
-// Start a local HTTP server when not in production for quick dev testing
-if (process.env.NODE_ENV !== "production") {
+// Start a local HTTP server when not in production for quick dev testing. The CLI (bin/membit.js) loads
+// the app in-process with MEMBIT_CLI set and listens on a loopback port of its own; the route tests
+// (NODE_ENV=test) do the same.
+if (process.env.NODE_ENV !== "production" && process.env.NODE_ENV !== "test" && !process.env.MEMBIT_CLI) {
   const port = parseInt(process.env.PORT || "3000", 10);
-  app.listen(port, () => console.log(`collector dev server listening at http://localhost:${port}`));
+  app.listen(port, () => log.info("dev server listening", { url: `http://localhost:${port}` }));
+  runningAsServer = true;
 }
 
 // Export serverless handler for Vercel — this provides the proper (req,res) function wrapper
 export default serverless(app);
+// the plain Express app, for the CLI and the tests
+export { app };
 
 /*
 DEPLOY NOTES (Vercel):
@@ -639,10 +1992,57 @@ DEPLOY NOTES (Vercel):
   - GIST_DATA_UTAMA (comma-separated gist IDs)
   - GIST_ID_GLOBAL (optional)
   - GIST_DATA_TANGGAL (optional)
+  - COLLECTOR_API_SECRET / COLLECTOR_API_SECRETS (comma-separated, for rotation) — required for POST and ?flush=1
+  - REQUIRE_SECRET_FOR_GET (optional, "1" to also protect plain GET reads)
+  - API_KEYS (JSON) or API_KEYS_FILE (path): named client keys with allowed routes, requests/items per minute and
+    items per day (see lib/clients.js). Usage at /collector/admin/clients; per-minute windows are per instance on
+    the gist backend and shared on redis
+  - STORAGE_BACKEND (optional, "gist" default or "redis"; redis needs UPSTASH_REDIS_REST_URL and
+    UPSTASH_REDIS_REST_TOKEN, plus optional REDIS_PREFIX and REDIS_SHARD_COUNT)
+  - GIST_SHARD_REGISTRY (optional, dedicated gist that records auto-provisioned data_utama shards)
+  - AUTO_PROVISION_SHARDS (default on), MAX_SHARDS (default 20), SHARD_LOW_WATERMARK (free items, default 10% of a file)
+  - GIST_ARCHIVE (optional, gist that receives ?flush=1 and daily rollover archives; a new secret gist is created
+    per archive otherwise, and /collector/history can only read archives kept in GIST_ARCHIVE)
+  - ROLLOVER_TIMEZONE (IANA name, default UTC), ROLLOVER_HOUR (0-23, default 0), DAILY_RESET (default on, "0" disables)
+  - ARCHIVE_RETENTION_DAYS (default 30, 0 keeps archives forever)
+  - DEDUPE_WINDOW_HOURS (default 72; 0 = seen list cleared with the shards), DEDUPE_BUCKET_HOURS (6),
+    DEDUPE_BUCKET_CAPACITY (10000 ids per Bloom filter), DEDUPE_FALSE_POSITIVE_RATE (0.001)
+  - CONTENT_HASH_DEDUPE (default on, fingerprint id-less items), CONTENT_HASH_FIELDS (comma-separated dot paths)
+  - STATS_COUNTERS (default on), STATS_TOP_FIELDS (dot paths, default author,user.screen_name,hashtags,lang),
+    STATS_TOP_N (10), STATS_CACHE_SEC (60), GIST_STATS (optional gist for ingest_stats.json; GIST_ID_GLOBAL otherwise)
+  - EXPORT_CSV_COLUMNS (comma-separated dot paths, default columns of /collector/export?format=csv)
+  - INGEST_MODE ("direct" default, or "queue"), GIST_INGEST_QUEUE (gist backend queue; redis always has one),
+    QUEUE_DRAIN_MAX_BATCHES (default 20). Schedule POST /collector/drain (e.g. a Vercel cron) in queue mode.
+  - IDEMPOTENCY_TTL_SEC (default 86400), IDEMPOTENCY_PENDING_SEC (default 120), GIST_IDEMPOTENCY (optional,
+    gist for idempotency.json; GIST_ID_GLOBAL is used otherwise)
+  - POST_VALIDATION (default on), POST_REQUIRE_ID (default off while CONTENT_HASH_DEDUPE is on, so id-less posts
+    are fingerprinted; on otherwise), POST_SCHEMA_FILE / POST_SCHEMA_JSON (custom schema, see lib/schema.js)
+  - GIST_CACHE (default on, ETag read cache for gist GETs), GIST_CACHE_FRESH_MS (default 0 = revalidate every read;
+    higher values skip GitHub entirely for that long, so other instances' writes show up later), GIST_CACHE_MAX_MB (32)
+  - WEBHOOKS (JSON [{ url, events, secret }]) or WEBHOOK_URLS (comma-separated, all events) + WEBHOOK_SECRET (HMAC key),
+    WEBHOOK_MAX_ATTEMPTS (3), WEBHOOK_RETRY_BASE_MS (500), WEBHOOK_TIMEOUT_MS (3000), WEBHOOK_CAPACITY_THRESHOLDS
+    (percent, default 80,100), GIST_WEBHOOK_DLQ (optional gist for dead letters; GIST_ID_GLOBAL otherwise),
+    WEBHOOK_RESPONSE_WAIT_MS (5000, how long a serverless response waits for its request's deliveries; 0 = no wait)
+  - LIVE_MODE (auto / stream / poll / off; auto polls under the serverless export), LIVE_BACKLOG (1000),
+    LIVE_HEARTBEAT_SEC (15), LIVE_MAX_CLIENTS (100), LIVE_POLL_LIMIT (100), LIVE_POLL_RETRY_MS (5000)
+  - SHARD_FORMAT (gist shard files: pretty default, min, or gzip = gzip+base64 in a versioned envelope; any format
+    still reads), MAX_BYTES_PER_FILE (default 900000, 0 = count limit only), MAX_BODY_BYTES (default 2MB, also the
+    limit for gzipped POST bodies once inflated), RESPONSE_GZIP (default on) / RESPONSE_GZIP_MIN_BYTES (1024)
+  - SHARD_RESTORE_MAX_REVISIONS (default 20, gist revisions searched by /collector/admin/shards/:id/repair mode=restore)
+  - GIST_BACKUP (gist for state snapshots: every shard, the seen ids and last_date in one bundle; redis keeps them
+    under snapshot:<name>), SNAPSHOT_BEFORE_RESET (default on, snapshot before every flush and daily rollover),
+    SNAPSHOT_RETENTION (default 10 snapshots). List / take / read at /collector/admin/snapshots, restore with
+    POST /collector/admin/restore (a restore from a file sends the whole bundle: raise MAX_BODY_BYTES to fit)
+  - LOG_LEVEL (debug / info / warn / error, default info): logs are JSON lines with a request_id (also sent back
+    as X-Request-Id; a caller's X-Request-Id is reused). Prometheus metrics at /collector/metrics, per instance
   - FETCH_TIMEOUT_MS (ms, default 8000)
   - MAX_RETRIES (default reduced to 2)
   - MAX_SYNC_ATTEMPTS (default reduced to 3)
 - Redeploy the project after updating env vars.
+- Operating from a shell: `npm run cli -- <command>` (bin/membit.js: ingest, export, dump, flush, rollover, status,
+  shards, repair, rebalance, rebuild-seen, snapshot, snapshots, restore). It runs against a deployment with --url / COLLECTOR_URL, or loads this
+  app in-process against the storage in the local env / .env. POST /collector/admin/rollover runs a due rollover
+  (?force=1 runs it even when it isn't due; membit rollover --force).
 - Monitor function logs in Vercel to confirm reduced timeouts and watch ghFetch logs.
 
 WHY THESE CHANGES:
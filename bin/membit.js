@@ -0,0 +1,456 @@
+#!/usr/bin/env node
+// bin/membit.js
+// Command-line tool for operating the collector. Every command goes through the collector's own HTTP
+// routes: those of a deployed instance (--url / COLLECTOR_URL), or by default those of api/collector.js
+// loaded into this process on a loopback port, which then works directly against the storage set up by
+// the usual env vars / .env (GITHUB_TOKENS, GIST_DATA_UTAMA, STORAGE_BACKEND, ...).
+//
+//   membit ingest <file|->          POST the posts of a JSON array, { posts: [...] } or NDJSON file
+//          [--batch-size 500] [--no-gzip]
+//   membit export [--format ndjson|csv] [--columns a,b.c|auto] [--days d1,d2] [--no-current] [--out file]
+//   membit dump [--out file]        every shard with its posts, as one JSON document
+//   membit flush [--dry-run]        archive and clear the shards now (?flush=1)
+//   membit rollover [--force]       run the daily rollover if it is due (--force: now, due or not)
+//   membit status [--json]          capacity, shard fill, queue, ingest counters and GitHub token status
+//   membit shards [<id>] [--json]   validate the shards (parse status, item checks)
+//   membit repair <id> --mode quarantine|restore [--version <sha>] [--dry-run]
+//   membit rebalance [--dry-run]
+//   membit rebuild-seen [--dry-run] rebuild the seen ids from the shards and the ingest queue
+//   membit snapshot [<name>] [--out file[.gz]]  store a snapshot of the whole state; with --out download
+//                                   the current state (or stored snapshot <name>) instead
+//   membit snapshots [--json]       list the stored snapshots
+//   membit restore <file|name> [--yes] [--keep-last-date]  show what restoring a snapshot file or a stored
+//                                   snapshot would change; --yes restores it
+//
+// --url is the origin the /collector routes are served under; --secret defaults to COLLECTOR_API_SECRET.
+// Results go to stdout, progress and the app's logs (--verbose for info level) to stderr. The exit code
+// is 1 when a request failed or only partly succeeded and 2 for usage errors.
+
+import fs from "fs";
+import crypto from "crypto";
+import zlib from "zlib";
+import { once } from "events";
+import { pipeline } from "stream/promises";
+import { parseArgs } from "util";
+import fetch from "node-fetch";
+import { sleep, toPostsArray } from "../lib/util.js";
+import { decodeSnapshot } from "../lib/snapshot.js";
+
+const USAGE = `usage: membit <command> [options]
+
+commands:
+  ingest <file|->        post a JSON array, { posts: [...] } or NDJSON file (--batch-size, --no-gzip)
+  export                 stream every post (--format ndjson|csv, --columns, --days, --no-current, --out)
+  dump                   every shard with its posts as JSON (--out)
+  flush                  archive and clear the shards now (--dry-run)
+  rollover               run the daily rollover if it is due (--force: archive and reset now anyway)
+  status                 capacity, queue, ingest counters and token status (--json)
+  shards [<id>]          validate the shards (--json)
+  repair <id>            --mode quarantine|restore [--version <sha>] [--dry-run]
+  rebalance              spread the posts evenly over the shards (--dry-run)
+  rebuild-seen           rebuild the seen ids from the shards and the queue (--dry-run)
+  snapshot [<name>]      store a snapshot of all state; --out file[.gz] downloads the current state
+                         (or stored snapshot <name>) instead
+  snapshots              list the stored snapshots (--json)
+  restore <file|name>    diff a snapshot file or stored snapshot against the current state; --yes
+                         restores it (--keep-last-date leaves the date marker alone)
+
+options:
+  --url <origin>         a deployed collector (default COLLECTOR_URL; the app runs in-process otherwise)
+  --secret <secret>      sent as X-SECRET (default COLLECTOR_API_SECRET)
+  --verbose              the in-process app's info logs on stderr
+`;
+
+const OPTIONS = {
+  url: { type: "string" },
+  secret: { type: "string" },
+  verbose: { type: "boolean", default: false },
+  json: { type: "boolean", default: false },
+  "dry-run": { type: "boolean", default: false },
+  out: { type: "string", short: "o" },
+  "batch-size": { type: "string", default: "500" },
+  "no-gzip": { type: "boolean", default: false },
+  format: { type: "string" },
+  columns: { type: "string" },
+  days: { type: "string" },
+  "no-current": { type: "boolean", default: false },
+  mode: { type: "string" },
+  version: { type: "string" },
+  yes: { type: "boolean", short: "y", default: false },
+  "keep-last-date": { type: "boolean", default: false },
+  force: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false }
+};
+
+function usageError(message){
+  const err = new Error(message);
+  err.usage = true;
+  return err;
+}
+function say(msg){
+  process.stderr.write(msg + "\n");
+}
+function printJson(value){
+  process.stdout.write(JSON.stringify(value, null, 2) + "\n");
+}
+
+// ----------------- Target (deployed or in-process) -----------------
+async function remoteTarget(url, secret){
+  if (!/^https?:\/\/\S+$/i.test(url)) throw usageError(`--url must be an http(s) URL (got "${url}")`);
+  return { base: url.replace(/\/+$/, ""), secret: secret || process.env.COLLECTOR_API_SECRET || null, close: async () => {} };
+}
+
+// Loads api/collector.js without its dev server and listens on 127.0.0.1 with a one-off secret added to
+// COLLECTOR_API_SECRETS. The app's JSON logs go to stderr so stdout only carries the command's output.
+async function localTarget({ verbose }){
+  process.env.MEMBIT_CLI = "1";
+  if (!verbose && !process.env.LOG_LEVEL) process.env.LOG_LEVEL = "warn";
+  // restoring a snapshot file posts the whole bundle
+  if (!process.env.MAX_BODY_BYTES) process.env.MAX_BODY_BYTES = String(512 * 1024 * 1024);
+  const secret = crypto.randomBytes(24).toString("hex");
+  process.env.COLLECTOR_API_SECRETS = [process.env.COLLECTOR_API_SECRETS, secret].filter(Boolean).join(",");
+  const { setLogStream } = await import("../lib/log.js");
+  setLogStream(process.stderr);
+  const { app } = await import("../api/collector.js");
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  return {
+    base: `http://127.0.0.1:${server.address().port}`,
+    secret,
+    close: () => new Promise(resolve => server.close(() => resolve()))
+  };
+}
+
+// ----------------- HTTP -----------------
+const MAX_THROTTLE_RETRIES = 5;
+
+// One request to a collector route; 429s are retried after their Retry-After (a named key's limits).
+// returns { status, ok, headers, body } with body parsed when it is JSON, or the response itself (stream)
+async function call(target, method, path, { query = {}, body = null, headers = {}, stream = false } = {}){
+  const url = new URL(target.base + path);
+  for (const [k, v] of Object.entries(query)) {
+    if (v !== undefined && v !== null && v !== false) url.searchParams.set(k, String(v));
+  }
+  const h = Object.assign({ "User-Agent": "membit-cli" }, headers);
+  if (target.secret) h["X-SECRET"] = target.secret;
+  for (let attempt = 0; ; attempt++) {
+    const res = await fetch(url, { method, headers: h, body });
+    if (res.status === 429 && attempt < MAX_THROTTLE_RETRIES) {
+      const wait = Math.min(Math.max(parseInt(res.headers.get("retry-after") || "1", 10) || 1, 1), 120);
+      await res.text().catch(() => "");
+      say(`throttled (429), retrying in ${wait}s`);
+      await sleep(wait * 1000);
+      continue;
+    }
+    if (stream && res.ok) return { status: res.status, ok: true, headers: res.headers, response: res };
+    const text = await res.text();
+    let parsed = text;
+    if (/json/i.test(res.headers.get("content-type") || "")) {
+      try { parsed = JSON.parse(text); } catch (e) { parsed = text; }
+    }
+    return { status: res.status, ok: res.ok, headers: res.headers, body: parsed };
+  }
+}
+
+function describeFailure(r){
+  const b = r.body;
+  if (b && typeof b === "object") return `HTTP ${r.status}: ${b.error || "error"}${b.message ? ` (${b.message})` : ""}`;
+  return `HTTP ${r.status}: ${String(b || "").slice(0, 200)}`;
+}
+
+// print a JSON route result; 207 / 409 and errors make the exit code 1
+function report(r){
+  if (r.body && typeof r.body === "object") printJson(r.body);
+  else if (r.body) process.stdout.write(String(r.body) + "\n");
+  if (!r.ok) say(describeFailure(r));
+  return r.ok && r.status !== 207 ? 0 : 1;
+}
+
+async function openOutput(file){
+  if (!file || file === "-") return { stream: process.stdout, done: async () => {} };
+  const stream = fs.createWriteStream(file);
+  await once(stream, "open");
+  return { stream, done: async () => { stream.end(); await once(stream, "finish"); } };
+}
+
+// ----------------- ingest -----------------
+// JSON array, { posts: [...] }, a single post, or one post per line (NDJSON)
+function parsePostsFile(text, name){
+  const trimmed = text.trim();
+  if (!trimmed) return [];
+  try {
+    const value = JSON.parse(trimmed);
+    if (Array.isArray(value) || (value && Array.isArray(value.posts))) return toPostsArray(value);
+    if (value && typeof value === "object") return [value];
+  } catch (e) {
+    // not one JSON document: read it as NDJSON
+  }
+  const posts = [];
+  trimmed.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      posts.push(JSON.parse(line));
+    } catch (e) {
+      throw new Error(`${name}:${i + 1}: not valid JSON (${e.message})`);
+    }
+  });
+  return posts;
+}
+
+async function readInput(file){
+  if (file !== "-") return fs.promises.readFile(file, "utf8");
+  let text = "";
+  process.stdin.setEncoding("utf8");
+  for await (const chunk of process.stdin) text += chunk;
+  return text;
+}
+
+const INGEST_TOTALS = ["accepted", "stored", "queued", "skipped", "rejected", "not_stored"];
+
+// Posts are sent in batches, gzipped, each with an Idempotency-Key derived from the file and the batch
+// number, so running the same file again replays the stored outcomes instead of posting twice.
+async function cmdIngest(target, args, opts){
+  const file = args[0];
+  if (!file) throw usageError("ingest needs a file (or - for stdin)");
+  const batchSize = parseInt(opts["batch-size"], 10);
+  if (!Number.isInteger(batchSize) || batchSize < 1) throw usageError("--batch-size must be a positive integer");
+  const text = await readInput(file);
+  const posts = parsePostsFile(text, file);
+  const digest = crypto.createHash("sha256").update(text).digest("hex").slice(0, 16);
+  const batches = Math.ceil(posts.length / batchSize);
+  const totals = Object.fromEntries([["posts", posts.length], ["batches", batches], ["failed_batches", 0]].concat(INGEST_TOTALS.map(k => [k, 0])));
+  for (let i = 0; i < batches; i++) {
+    const json = JSON.stringify(posts.slice(i * batchSize, (i + 1) * batchSize));
+    const headers = { "Content-Type": "application/json", "Idempotency-Key": `membit-cli-${digest}-${batchSize}-${i}` };
+    let body = json;
+    if (!opts["no-gzip"]) {
+      body = zlib.gzipSync(json);
+      headers["Content-Encoding"] = "gzip";
+    }
+    const r = await call(target, "POST", "/collector", { body, headers });
+    const label = `batch ${i + 1}/${batches}`;
+    if (!r.ok) {
+      totals.failed_batches++;
+      say(`${label}: ${describeFailure(r)}`);
+      continue;
+    }
+    for (const k of INGEST_TOTALS) totals[k] += Number(r.body && r.body[k]) || 0;
+    const replayed = r.headers.get("idempotent-replayed") ? " (replayed)" : "";
+    say(`${label}: ${r.body.accepted} accepted, ${r.body.stored} stored, ${r.body.queued} queued, ${r.body.skipped} skipped, ${r.body.rejected} rejected${replayed}`);
+  }
+  printJson(totals);
+  return totals.failed_batches || totals.not_stored || totals.rejected ? 1 : 0;
+}
+
+// ----------------- export / dump -----------------
+async function cmdExport(target, args, opts){
+  const format = opts.format || "ndjson";
+  if (!["ndjson", "csv"].includes(format)) throw usageError("--format must be ndjson or csv");
+  const query = { format, columns: opts.columns, days: opts.days, current: opts["no-current"] ? "0" : undefined };
+  const r = await call(target, "GET", "/collector/export", { query, stream: true });
+  if (!r.ok) return report(r);
+  const out = await openOutput(opts.out);
+  await pipeline(r.response.body, out.stream, { end: out.stream !== process.stdout });
+  await out.done();
+  if (opts.out) say(`exported to ${opts.out}`);
+  return 0;
+}
+
+// { dumped_at, shards: [{ shardId, status, format, count, ..., items }] } — one shard in memory at a time
+async function cmdDump(target, args, opts){
+  const list = await call(target, "GET", "/collector/admin/shards");
+  if (!list.ok) return report(list);
+  const out = await openOutput(opts.out);
+  const write = async (s) => { if (!out.stream.write(s)) await once(out.stream, "drain"); };
+  await write(`{"dumped_at":${JSON.stringify(new Date().toISOString())},"shards":[`);
+  let failed = 0;
+  for (const [i, shard] of list.body.shards.entries()) {
+    const r = await call(target, "GET", `/collector/admin/shards/${encodeURIComponent(shard.shardId)}`, { query: { items: 1 } });
+    if (!r.ok) { failed++; say(`shard ${shard.shardId}: ${describeFailure(r)}`); }
+    const entry = r.ok ? r.body : Object.assign({}, shard, { items: null, error: describeFailure(r) });
+    await write((i ? "," : "") + "\n" + JSON.stringify(entry));
+  }
+  await write("\n]}\n");
+  await out.done();
+  if (opts.out) say(`dumped ${list.body.shards.length} shards to ${opts.out}`);
+  return failed ? 1 : 0;
+}
+
+// ----------------- status / shards -----------------
+function pad(s, n){ return String(s).padEnd(n); }
+
+async function cmdStatus(target, args, opts){
+  const [stats, health] = await Promise.all([
+    call(target, "GET", "/collector/stats", { query: { refresh: 1 } }),
+    call(target, "GET", "/health")
+  ]);
+  if (!stats.ok) return report(stats);
+  if (!health.ok) return report(health);
+  if (opts.json) { printJson({ stats: stats.body, health: health.body }); return 0; }
+  const s = stats.body, h = health.body;
+  const lines = [];
+  const file = h.shard_file ? ` (shard files: ${h.shard_file.format}${h.shard_file.max_bytes ? `, max ${h.shard_file.max_bytes} bytes` : ""})` : "";
+  lines.push(`storage   ${h.storage}${file}, ingest ${h.ingest.mode}`);
+  lines.push(`posts     ${s.total_items} of ${s.capacity.total} (${s.capacity.fill_pct}%) in ${s.capacity.shards} shards, max ${s.capacity.max_items_per_file} per shard`);
+  for (const sh of s.shards) {
+    const bytes = Number.isFinite(sh.bytes) ? `  ${sh.bytes} bytes${sh.bytes_fill_pct !== null && sh.bytes_fill_pct !== undefined ? ` (${sh.bytes_fill_pct}%)` : ""}` : "";
+    lines.push(`  ${pad(sh.shardId, 34)} ${pad(sh.count, 6)} ${pad(sh.fill_pct + "%", 7)} ${sh.status}${bytes}`);
+  }
+  if (s.queue) lines.push(`queue     ${s.queue.items} posts in ${s.queue.batches} batches${s.queue.oldest_enqueued_at ? `, oldest ${s.queue.oldest_enqueued_at}` : ""}`);
+  lines.push(`seen      ${s.seen.count}${s.seen.estimated ? " (estimated)" : ""}, ${s.seen.mode} dedupe`);
+  const totals = s.ingest && s.ingest.totals ? Object.entries(s.ingest.totals).map(([k, v]) => `${k} ${v}`).join(", ") : "";
+  lines.push(`today     ${s.ingest.day} ${s.ingest.timezone}${totals ? `: ${totals}` : ""}`);
+  lines.push(`tokens    ${h.tokens}`);
+  for (const t of h.token_status || []) {
+    const quota = t.remaining !== null && t.remaining !== undefined ? `${t.remaining}/${t.limit} left, resets ${t.reset_at}` : "quota not seen yet";
+    lines.push(`  ${pad(t.token, 8)} ${pad(t.available ? "available" : `disabled until ${t.disabled_until}`, 12)} ${quota}`);
+  }
+  process.stdout.write(lines.join("\n") + "\n");
+  return 0;
+}
+
+async function cmdShards(target, args, opts){
+  const id = args[0];
+  const r = id
+    ? await call(target, "GET", `/collector/admin/shards/${encodeURIComponent(id)}`)
+    : await call(target, "GET", "/collector/admin/shards");
+  if (!r.ok || opts.json) return report(r);
+  const shards = id ? [r.body] : r.body.shards;
+  const bad = shards.filter(s => !["ok", "empty"].includes(s.status));
+  for (const s of shards) {
+    const issues = ["non_object_items", "missing_id", "duplicate_items"].filter(k => s[k]).map(k => `${k} ${s[k]}`);
+    if (s.truncated) issues.push("truncated");
+    if (s.quarantined_files && s.quarantined_files.length) issues.push(`${s.quarantined_files.length} quarantine files`);
+    if (s.error) issues.push(s.error);
+    process.stdout.write(`${pad(s.shardId, 34)} ${pad(s.status, 12)} ${pad(s.format || "-", 13)} ${pad(s.count ?? "-", 6)} ${pad(Number.isFinite(s.bytes) ? s.bytes + "b" : "", 10)} ${issues.join(", ")}`.trimEnd() + "\n");
+  }
+  if (bad.length) say(`${bad.length} shard(s) need repair: membit repair <id> --mode quarantine|restore`);
+  return bad.length ? 1 : 0;
+}
+
+// ----------------- admin actions -----------------
+async function cmdRepair(target, args, opts){
+  const id = args[0];
+  if (!id) throw usageError("repair needs a shard id");
+  if (!["quarantine", "restore"].includes(opts.mode)) throw usageError("--mode must be quarantine or restore");
+  const body = JSON.stringify({ mode: opts.mode, version: opts.version || undefined, dry_run: opts["dry-run"] });
+  return report(await call(target, "POST", `/collector/admin/shards/${encodeURIComponent(id)}/repair`, { body, headers: { "Content-Type": "application/json" } }));
+}
+
+function adminPost(path){
+  return async (target, args, opts) => report(await call(target, "POST", path, { query: { dry_run: opts["dry-run"] ? 1 : undefined } }));
+}
+
+// ----------------- snapshots -----------------
+async function cmdSnapshot(target, args, opts){
+  const name = args[0];
+  if (!name && !opts.out) {
+    return report(await call(target, "POST", "/collector/admin/snapshots", { query: { dry_run: opts["dry-run"] ? 1 : undefined } }));
+  }
+  const path = name ? `/collector/admin/snapshots/${encodeURIComponent(name)}` : "/collector/admin/snapshots/current";
+  const r = await call(target, "GET", path, { stream: true });
+  if (!r.ok) return report(r);
+  const out = await openOutput(opts.out);
+  const stages = [r.response.body];
+  if (opts.out && /\.gz$/i.test(opts.out)) stages.push(zlib.createGzip());
+  await pipeline(...stages, out.stream, { end: out.stream !== process.stdout });
+  await out.done();
+  if (opts.out) say(`snapshot written to ${opts.out}`);
+  return 0;
+}
+
+async function cmdSnapshots(target, args, opts){
+  const r = await call(target, "GET", "/collector/admin/snapshots");
+  if (!r.ok || opts.json) return report(r);
+  const b = r.body;
+  if (!b.available) say("no snapshot storage configured (GIST_BACKUP on the gist backend)");
+  for (const s of b.snapshots) process.stdout.write(`${pad(s.created_at, 26)} ${pad(s.reason, 12)} ${s.name}\n`);
+  say(`${b.snapshots.length} stored, newest ${b.retention} kept, ${b.before_reset ? "taken" : "not taken"} before flushes and rollovers`);
+  return 0;
+}
+
+function printRestoreDiff(body){
+  const d = body.diff;
+  const s = body.snapshot;
+  const lines = [`snapshot   ${s.created_at} (${s.reason}, ${s.storage}): ${s.items} posts in ${s.shards} shards`];
+  lines.push(`  ${pad("shard", 34)} ${pad("now", 7)} ${pad("snapshot", 9)} ${pad("+added", 8)} ${pad("-removed", 9)} action`);
+  for (const row of d.shards) {
+    const note = row.reason || (row.not_in_snapshot ? "not in snapshot" : "");
+    lines.push(`  ${pad(row.shardId, 34)} ${pad(row.current, 7)} ${pad(row.snapshot ?? "-", 9)} ${pad(row.added ?? "-", 8)} ${pad(row.removed ?? "-", 9)} ${row.action}${note ? ` (${note})` : ""}`);
+  }
+  for (const id of d.unknown_shards) lines.push(`  ${pad(id, 34)} not a shard here`);
+  lines.push(`posts      ${d.totals.current} -> ${d.totals.snapshot} (+${d.totals.added} / -${d.totals.removed})`);
+  lines.push(`last_date  ${d.last_date.current} -> ${d.last_date.changed ? d.last_date.snapshot : `${d.last_date.current} (unchanged)`}`);
+  lines.push(`seen       ${d.seen.current} -> ${d.seen.restore === "state" ? d.seen.snapshot : "rebuilt from the restored posts"}`);
+  process.stdout.write(lines.join("\n") + "\n");
+}
+
+// a path that exists is a snapshot file (plain or gzipped JSON, as written by `snapshot --out`);
+// anything else is the name of a stored snapshot
+async function cmdRestore(target, args, opts){
+  const source = args[0];
+  if (!source) throw usageError("restore needs a snapshot file or the name of a stored snapshot");
+  const payload = { dry_run: !opts.yes, keep_last_date: opts["keep-last-date"] };
+  if (fs.existsSync(source)) payload.bundle = decodeSnapshot(await fs.promises.readFile(source));
+  else payload.name = source;
+  const r = await call(target, "POST", "/collector/admin/restore", {
+    body: zlib.gzipSync(JSON.stringify(payload)),
+    headers: { "Content-Type": "application/json", "Content-Encoding": "gzip" }
+  });
+  if (!r.ok || opts.json) return report(r);
+  printRestoreDiff(r.body);
+  if (!opts.yes) {
+    say(r.body.diff.unknown_shards.length ? "the snapshot has shards this deployment doesn't list; it can't be restored here" : "dry run: nothing changed, run again with --yes to restore");
+    return r.body.diff.unknown_shards.length ? 1 : 0;
+  }
+  if (r.body.undo_snapshot) say(`the previous state is stored as ${r.body.undo_snapshot.name}`);
+  say(`restored (seen ids: ${r.body.seen.restored}, last_date ${r.body.last_date})`);
+  return 0;
+}
+
+const COMMANDS = {
+  ingest: cmdIngest,
+  export: cmdExport,
+  dump: cmdDump,
+  flush: async (target, args, opts) => report(await call(target, "GET", "/collector", { query: { flush: 1, dry_run: opts["dry-run"] ? 1 : undefined } })),
+  rollover: async (target, args, opts) => report(await call(target, "POST", "/collector/admin/rollover", { query: { force: opts.force ? 1 : undefined } })),
+  status: cmdStatus,
+  shards: cmdShards,
+  repair: cmdRepair,
+  rebalance: adminPost("/collector/admin/shards/rebalance"),
+  "rebuild-seen": adminPost("/collector/admin/seen/rebuild"),
+  snapshot: cmdSnapshot,
+  snapshots: cmdSnapshots,
+  restore: cmdRestore
+};
+
+// ----------------- main -----------------
+async function main(argv){
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (e) {
+    say(`${e.message} (membit --help for usage)`);
+    return 2;
+  }
+  const [command, ...args] = parsed.positionals;
+  const opts = parsed.values;
+  if (opts.help || !command) { process.stdout.write(USAGE); return command || opts.help ? 0 : 2; }
+  const run = COMMANDS[command];
+  if (!run) { say(`unknown command: ${command} (membit --help for usage)`); return 2; }
+
+  const url = opts.url || process.env.COLLECTOR_URL;
+  let target = null;
+  try {
+    target = url ? await remoteTarget(url, opts.secret) : await localTarget(opts);
+    return await run(target, args, opts);
+  } catch (e) {
+    say(e.usage ? `${e.message} (membit --help for usage)` : `membit ${command}: ${e.message}`);
+    return e.usage ? 2 : 1;
+  } finally {
+    if (target) await target.close();
+  }
+}
+
+// exit explicitly: the in-process app keeps timers (cache, webhooks) that would hold the process open
+main(process.argv.slice(2)).then((code) => process.exit(code), (e) => { say(e.stack || String(e)); process.exit(1); });
@@ -0,0 +1,306 @@
+// dev/mock-gist-server.js
+// Local stand-in for the parts of the GitHub Gist API the collector uses, for offline dev:
+//   GET   /gists/:id             gist JSON (files[].content, raw_url, history)
+//   GET   /gists/:id/:version    gist at an older revision
+//   PATCH /gists/:id             update files (null deletes a file), adds a history entry
+//   POST  /gists                 create a gist
+//   GET   /raw/:id/:version/:file   raw file content (what raw_url points at)
+// Gist GETs carry an ETag; a request with a matching If-None-Match gets 304 Not Modified, which (as on
+// GitHub) doesn't use up rate limit quota.
+//
+// Control routes (not part of the GitHub API):
+//   GET  /__mock/gists           dump every gist
+//   POST /__mock/seed            { gists: { <id>: { <filename>: <content string or JSON> } } }
+//   POST /__mock/reset           drop all gists
+//   GET|POST /__mock/faults      read / set fault injection (body merged into current faults)
+//
+// Faults (rates are 0..1, applied per request):
+//   rate429, rate5xx, timeoutRate (request is never answered), truncateRate (API content cut
+//   short with truncated: true, like GitHub does for big files), latencyMs (+ latencyJitterMs),
+//   rateLimitPerToken (0 = off) per rateLimitWindowSec: X-RateLimit-* headers on every API response
+//   and a 403 with X-RateLimit-Remaining: 0 once a token's quota is used up
+//   next: ["429" | "5xx" | "timeout" | "truncate" | { fault, path, method }, ...] one fault for each of the
+//   next API requests, in order and ahead of the rates (for tests that need a fault to happen exactly
+//   once); an entry with a path and/or method waits for a matching request ("/gists/abc", "PATCH")
+// The API requests served (method and path, newest last, at most 1000) are kept in `requests`.
+//
+// Run: npm run mock:gist  then point the collector at it with GITHUB_API_BASE=http://localhost:4010
+// Env: MOCK_GIST_PORT (4010), MOCK_GIST_FILE (persist gists to this JSON file), MOCK_GIST_SEED
+// (JSON file in the /__mock/seed format), MOCK_FAULTS (JSON object of faults).
+
+import http from "http";
+import fs from "fs";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+const DEFAULT_FAULTS = {
+  rate429: 0, rate5xx: 0, timeoutRate: 0, truncateRate: 0, latencyMs: 0, latencyJitterMs: 0,
+  rateLimitPerToken: 0, rateLimitWindowSec: 60
+};
+const MAX_REQUEST_LOG = 1000;
+
+function newVersion(){ return crypto.randomBytes(20).toString("hex"); }
+function newGistId(){ return crypto.randomBytes(16).toString("hex"); }
+function fileSha(content){ return crypto.createHash("sha1").update(content).digest("hex"); }
+function asContent(v){ return typeof v === "string" ? v : JSON.stringify(v, null, 2); }
+
+/*
+ opts: { file: path to persist gists (optional), faults: {...}, seed: { <id>: { <filename>: content } } }
+ returns { server, listen(port), gists, faults, requests, seed(obj), reset(), close() }
+*/
+export function createMockGistServer(opts = {}){
+  const faults = Object.assign({}, DEFAULT_FAULTS, { next: [] }, opts.faults || {}); // next: a fresh queue per server
+  const requests = []; // "GET /gists/abc", newest last
+  let gists = {}; // id -> { id, description, public, files: { name: content }, history: [{ version, committed_at, files }] }
+  let baseUrl = "";
+  const quotas = {}; // Authorization header -> { used, resetAt (sec) }
+
+  if (opts.file && fs.existsSync(opts.file)) {
+    try { gists = JSON.parse(fs.readFileSync(opts.file, "utf8")) || {}; }
+    catch (e) { console.warn(`[mock-gist] can't read ${opts.file}: ${e.message}`); }
+  }
+  function persist(){
+    if (!opts.file) return;
+    fs.writeFileSync(opts.file, JSON.stringify(gists, null, 2));
+  }
+
+  function commit(gist){
+    gist.history.unshift({ version: newVersion(), committed_at: new Date().toISOString(), files: Object.assign({}, gist.files) });
+    gist.updated_at = gist.history[0].committed_at;
+  }
+  function upsertGist(id, files, meta = {}){
+    const gist = gists[id] || { id, description: meta.description || "", public: !!meta.public, files: {}, history: [], created_at: new Date().toISOString() };
+    for (const [name, v] of Object.entries(files)) {
+      if (v === null) delete gist.files[name];
+      else gist.files[name] = asContent(v);
+    }
+    gists[id] = gist;
+    commit(gist);
+    return gist;
+  }
+  function seed(obj = {}){
+    for (const [id, files] of Object.entries(obj)) upsertGist(id, files);
+    persist();
+  }
+  function reset(){
+    gists = {};
+    persist();
+  }
+
+  function gistView(gist, rev, forceTruncate = false){
+    const files = {};
+    const truncate = forceTruncate || Math.random() < faults.truncateRate;
+    for (const [name, content] of Object.entries(rev.files)) {
+      files[name] = {
+        filename: name,
+        type: "application/json",
+        raw_url: `${baseUrl}/raw/${gist.id}/${rev.version}/${encodeURIComponent(name)}`,
+        size: Buffer.byteLength(content),
+        truncated: truncate,
+        content: truncate ? content.slice(0, Math.floor(content.length / 2)) : content,
+        sha: fileSha(content)
+      };
+    }
+    return {
+      id: gist.id,
+      description: gist.description,
+      public: gist.public,
+      created_at: gist.created_at,
+      updated_at: gist.updated_at,
+      files,
+      history: gist.history.map(h => ({ version: h.version, committed_at: h.committed_at }))
+    };
+  }
+
+  function send(res, status, body, headers = {}){
+    const text = typeof body === "string" ? body : JSON.stringify(body);
+    res.writeHead(status, Object.assign({ "Content-Type": typeof body === "string" ? "text/plain; charset=utf-8" : "application/json; charset=utf-8" }, headers));
+    res.end(text);
+  }
+
+  function etagOf(rev){ return `"${rev.version}"`; }
+
+  // the first queued faults.next entry for this request (removed from the queue), or null
+  function takeForcedFault(method, pathname){
+    if (!Array.isArray(faults.next)) return null;
+    const i = faults.next.findIndex(f => typeof f !== "object" || ((!f.path || f.path === pathname) && (!f.method || f.method === method)));
+    if (i < 0) return null;
+    const [f] = faults.next.splice(i, 1);
+    return String(typeof f === "object" ? f.fault : f);
+  }
+
+  // The revision a GET /gists/:id[/:version] would return, if If-None-Match already names it
+  function notModified(req, parts){
+    if (req.method !== "GET" || parts[0] !== "gists" || (parts.length !== 2 && parts.length !== 3)) return null;
+    const gist = gists[parts[1]];
+    const rev = gist && (parts[2] ? gist.history.find(h => h.version === parts[2]) : gist.history[0]);
+    const tags = String(req.headers["if-none-match"] || "").split(",").map(t => t.trim().replace(/^W\//, ""));
+    return rev && tags.includes(etagOf(rev)) ? rev : null;
+  }
+
+  // Returns { headers, exhausted } for the caller's token, or null when rate limiting is off.
+  // free: report the quota without using any (304 responses)
+  function takeQuota(req, free = false){
+    if (!faults.rateLimitPerToken) return null;
+    const who = req.headers["authorization"] || "anonymous";
+    const now = Math.floor(Date.now() / 1000);
+    let q = quotas[who];
+    if (!q || q.resetAt <= now) q = quotas[who] = { used: 0, resetAt: now + faults.rateLimitWindowSec };
+    const exhausted = q.used >= faults.rateLimitPerToken;
+    if (!exhausted && !free) q.used++;
+    return {
+      exhausted,
+      headers: {
+        "X-RateLimit-Limit": String(faults.rateLimitPerToken),
+        "X-RateLimit-Remaining": String(Math.max(0, faults.rateLimitPerToken - q.used)),
+        "X-RateLimit-Reset": String(q.resetAt)
+      }
+    };
+  }
+
+  function handleControl(req, res, parts, body){
+    const route = parts[1];
+    if (route === "gists" && req.method === "GET") return send(res, 200, gists);
+    if (route === "seed" && req.method === "POST") { seed((body && body.gists) || {}); return send(res, 200, { ok: true, count: Object.keys(gists).length }); }
+    if (route === "reset" && req.method === "POST") { reset(); return send(res, 200, { ok: true }); }
+    if (route === "faults") {
+      if (req.method === "POST") Object.assign(faults, body || {});
+      return send(res, 200, faults);
+    }
+    return send(res, 404, { message: "Not Found" });
+  }
+
+  function handleApi(req, res, parts, body, extraHeaders = {}, truncate = false){
+    const reply = (status, b) => send(res, status, b, extraHeaders);
+    // raw_url content
+    if (parts[0] === "raw" && req.method === "GET") {
+      const gist = gists[parts[1]];
+      const rev = gist && gist.history.find(h => h.version === parts[2]);
+      const name = decodeURIComponent(parts[3] || "");
+      if (!rev || !(name in rev.files)) return reply(404, "404: Not Found");
+      return reply(200, rev.files[name]);
+    }
+    if (parts[0] !== "gists") return reply(404, { message: "Not Found" });
+
+    if (parts.length === 1 && req.method === "POST") {
+      if (!body || !body.files || !Object.keys(body.files).length) return reply(422, { message: "Validation Failed" });
+      const files = {};
+      for (const [name, f] of Object.entries(body.files)) files[name] = f && f.content != null ? String(f.content) : "";
+      const gist = upsertGist(newGistId(), files, { description: body.description, public: body.public });
+      persist();
+      return reply(201, gistView(gist, gist.history[0]));
+    }
+
+    const gist = gists[parts[1]];
+    if (!gist) return reply(404, { message: "Not Found" });
+
+    if (parts.length === 2 && req.method === "GET") {
+      return send(res, 200, gistView(gist, gist.history[0], truncate), Object.assign({ ETag: etagOf(gist.history[0]) }, extraHeaders));
+    }
+    if (parts.length === 3 && req.method === "GET") {
+      const rev = gist.history.find(h => h.version === parts[2]);
+      if (!rev) return reply(404, { message: "Not Found" });
+      return send(res, 200, gistView(gist, rev, truncate), Object.assign({ ETag: etagOf(rev) }, extraHeaders));
+    }
+    if (parts.length === 2 && req.method === "PATCH") {
+      if (!body || typeof body.files !== "object") return reply(422, { message: "Validation Failed" });
+      const files = {};
+      for (const [name, f] of Object.entries(body.files)) files[name] = f === null ? null : String(f.content ?? "");
+      upsertGist(gist.id, files);
+      if (body.description != null) gist.description = body.description;
+      persist();
+      return reply(200, gistView(gist, gist.history[0]));
+    }
+    return reply(404, { message: "Not Found" });
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.setEncoding("utf8");
+    req.on("data", (c) => { raw += c; });
+    req.on("end", () => {
+      const url = new URL(req.url, "http://localhost");
+      const parts = url.pathname.split("/").filter(Boolean);
+      let body = null;
+      if (raw) {
+        try { body = JSON.parse(raw); } catch (e) { return send(res, 400, { message: "Problems parsing JSON" }); }
+      }
+      if (parts[0] === "__mock") return handleControl(req, res, parts, body);
+      requests.push(`${req.method} ${url.pathname}`);
+      if (requests.length > MAX_REQUEST_LOG) requests.shift();
+      const forced = takeForcedFault(req.method, url.pathname);
+
+      const delay = faults.latencyMs + Math.floor(Math.random() * (faults.latencyJitterMs || 0));
+      setTimeout(() => {
+        if (forced === "timeout" || Math.random() < faults.timeoutRate) {
+          // never answer; drop the socket eventually so the process doesn't leak connections
+          setTimeout(() => req.socket.destroy(), 60000).unref();
+          return;
+        }
+        if (forced === "429" || Math.random() < faults.rate429) return send(res, 429, { message: "API rate limit exceeded (mock)" }, { "Retry-After": "1" });
+        if (forced === "5xx" || Math.random() < faults.rate5xx) return send(res, 502, { message: "Server Error (mock)" });
+        let quotaHeaders = {};
+        // a forced truncation needs a full response, not a 304
+        const unchanged = forced === "truncate" ? null : notModified(req, parts);
+        if (unchanged) {
+          const quota = takeQuota(req, true);
+          res.writeHead(304, Object.assign({ ETag: etagOf(unchanged) }, quota ? quota.headers : {}));
+          return res.end();
+        }
+        if (parts[0] !== "raw") {
+          const quota = takeQuota(req);
+          if (quota) quotaHeaders = quota.headers;
+          if (quota && quota.exhausted) return send(res, 403, { message: "API rate limit exceeded (mock)" }, quotaHeaders);
+        }
+        try {
+          handleApi(req, res, parts, body, quotaHeaders, forced === "truncate");
+        } catch (e) {
+          console.warn("[mock-gist] handler error:", e.message);
+          send(res, 500, { message: e.message });
+        }
+      }, delay);
+    });
+  });
+
+  if (opts.seed) seed(opts.seed);
+
+  return {
+    server,
+    faults,
+    get gists(){ return gists; },
+    requests,
+    seed,
+    reset,
+    listen(port = 0){
+      return new Promise((resolve) => {
+        server.listen(port, () => {
+          baseUrl = `http://localhost:${server.address().port}`;
+          resolve(baseUrl);
+        });
+      });
+    },
+    // drops connections still open (requests held by the timeout fault, keep-alive sockets)
+    close(){
+      return new Promise((resolve) => {
+        server.close(() => resolve());
+        server.closeAllConnections();
+      });
+    }
+  };
+}
+
+// Run as a standalone server: node dev/mock-gist-server.js
+if (process.argv[1] && fileURLToPath(import.meta.url) === fs.realpathSync(process.argv[1])) {
+  let seedObj = null;
+  if (process.env.MOCK_GIST_SEED) {
+    const parsed = JSON.parse(fs.readFileSync(process.env.MOCK_GIST_SEED, "utf8"));
+    seedObj = parsed.gists || parsed;
+  }
+  const mock = createMockGistServer({
+    file: process.env.MOCK_GIST_FILE || null,
+    faults: process.env.MOCK_FAULTS ? JSON.parse(process.env.MOCK_FAULTS) : {},
+    seed: seedObj
+  });
+  const port = parseInt(process.env.MOCK_GIST_PORT || "4010", 10);
+  mock.listen(port).then((url) => console.log(`[mock-gist] listening at ${url} (gists: ${Object.keys(mock.gists).length})`));
+}
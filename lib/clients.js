@@ -0,0 +1,131 @@
+// lib/clients.js
+// Named API keys: which client sent a request, which routes it may call and how much it may send.
+// Keys come from API_KEYS (inline JSON) or API_KEYS_FILE, an array of
+//
+//   {
+//     "name": "scraper-a",                 [A-Za-z0-9_-], stamped on stored posts as collected_by
+//     "key": "..." | "key_sha256": "<hex>", the key itself, or its sha256 so the secret stays out of env
+//     "routes": ["POST /collector", "GET /collector/*"],   default ["POST /collector"]
+//     "requests_per_minute": 60,           any route, per minute window
+//     "items_per_minute": 5000,            posts sent to POST /collector per minute window
+//     "items_per_day": 100000              posts accepted per rollover day (ROLLOVER_TIMEZONE/HOUR)
+//   }
+//
+// Limits left out are unlimited. Routes are "<METHOD> <path>" with * for any method, the /collector
+// prefix optional, and a trailing /* matching the path and everything below it. The shared
+// COLLECTOR_API_SECRET(S) stay unrestricted and are attributed to the "shared" client.
+
+import crypto from "crypto";
+import fs from "fs";
+import { API_KEYS_JSON, API_KEYS_FILE } from "./config.js";
+
+export const SHARED_CLIENT = "shared";
+export const CLIENT_LIMITS = ["requests_per_minute", "items_per_minute", "items_per_day"];
+// per-client metrics in the hourly ingest counters: client.<name>.<metric> (POST requests, posts accepted)
+export const CLIENT_METRICS = ["requests", "items"];
+
+const CLIENT_NAME_RE = /^[A-Za-z0-9_-]{1,64}$/;
+const DEFAULT_ROUTES = ["POST /collector"];
+
+export function keyDigest(s){ return crypto.createHash("sha256").update(String(s)).digest(); }
+
+// ----------------- routes -----------------
+// "/collector/export" and "/export" are the same route (see the path pairs in api/collector.js)
+function routePath(path){
+  const p = String(path || "/").replace(/^\/collector(?=\/|$)/, "").replace(/\/+$/, "");
+  return p || "/";
+}
+function parseRoute(spec, where){
+  const m = /^\s*([A-Za-z]+|\*)\s+(\/\S*|\*)\s*$/.exec(String(spec));
+  if (!m) throw new Error(`${where}: route "${spec}" must look like "<METHOD> <path>"`);
+  const method = m[1].toUpperCase();
+  if (m[2] === "*" || m[2] === "/*") return { method, path: "/", prefix: true };
+  const prefix = m[2].endsWith("/*");
+  return { method, path: routePath(prefix ? m[2].slice(0, -2) : m[2]), prefix };
+}
+function routeMatches(route, method, path){
+  if (route.method !== "*" && route.method !== method) return false;
+  if (path === route.path) return true;
+  return route.prefix && (route.path === "/" || path.startsWith(route.path + "/"));
+}
+export function routeAllowed(client, method, path){
+  if (!client || !client.routes) return true;
+  const m = String(method).toUpperCase() === "HEAD" ? "GET" : String(method).toUpperCase();
+  const p = routePath(path);
+  return client.routes.some(r => routeMatches(r, m, p));
+}
+
+// ----------------- keys -----------------
+function loadApiKeys(){
+  let list = [];
+  try {
+    if (API_KEYS_JSON) list = JSON.parse(API_KEYS_JSON);
+    else if (API_KEYS_FILE) list = JSON.parse(fs.readFileSync(API_KEYS_FILE, "utf8"));
+  } catch (e) {
+    throw new Error(`invalid API keys (${API_KEYS_JSON ? "API_KEYS" : API_KEYS_FILE}): ${e.message}`);
+  }
+  if (!Array.isArray(list)) throw new Error("invalid API keys: expected a JSON array");
+  const names = new Set();
+  return list.map((k, i) => {
+    const where = `API key ${i}`;
+    if (!k || typeof k !== "object") throw new Error(`${where}: expected an object`);
+    if (!CLIENT_NAME_RE.test(String(k.name || "")) || k.name === SHARED_CLIENT) {
+      throw new Error(`${where}: name must be 1-64 of [A-Za-z0-9_-] and not "${SHARED_CLIENT}"`);
+    }
+    if (names.has(k.name)) throw new Error(`${where}: duplicate name ${k.name}`);
+    names.add(k.name);
+    let digest;
+    if (typeof k.key === "string" && k.key) digest = keyDigest(k.key);
+    else if (typeof k.key_sha256 === "string" && /^[0-9a-f]{64}$/i.test(k.key_sha256)) digest = Buffer.from(k.key_sha256, "hex");
+    else throw new Error(`${where} (${k.name}): needs "key" or a hex "key_sha256"`);
+    const limits = {};
+    for (const l of CLIENT_LIMITS) {
+      if (k[l] === undefined || k[l] === null) { limits[l] = null; continue; }
+      if (!Number.isInteger(k[l]) || k[l] < 1) throw new Error(`${where} (${k.name}): ${l} must be a positive integer`);
+      limits[l] = k[l];
+    }
+    const specs = (Array.isArray(k.routes) && k.routes.length ? k.routes : DEFAULT_ROUTES).map(String);
+    const routes = specs.map(r => parseRoute(r, `${where} (${k.name})`));
+    return { name: k.name, digest, limits, routes, route_specs: specs };
+  });
+}
+
+let apiKeys = null;
+export function getApiKeys(){
+  if (!apiKeys) apiKeys = loadApiKeys();
+  return apiKeys;
+}
+
+// The client whose key matches, or null. Every key is compared so timing doesn't reveal which one matched.
+export function findApiKey(provided){
+  const providedDigest = keyDigest(provided);
+  let found = null;
+  for (const k of getApiKeys()) {
+    if (crypto.timingSafeEqual(providedDigest, k.digest) && !found) found = k;
+  }
+  return found;
+}
+
+// what the admin view shows about a key (never the digest)
+export function describeClient(k){
+  return { name: k.name, routes: k.route_specs, limits: k.limits };
+}
+
+// ----------------- usage -----------------
+export function clientMetric(name, metric){
+  return `client.${name}.${metric}`;
+}
+
+// { HH: { metric: n } } -> { name: { requests, items } } summed over the day
+export function clientUsage(hours){
+  const out = {};
+  for (const metrics of Object.values(hours || {})) {
+    for (const [m, n] of Object.entries(metrics || {})) {
+      const parts = /^client\.([A-Za-z0-9_-]+)\.([a-z_]+)$/.exec(m);
+      if (!parts || !CLIENT_METRICS.includes(parts[2])) continue;
+      const u = out[parts[1]] = out[parts[1]] || Object.fromEntries(CLIENT_METRICS.map(x => [x, 0]));
+      u[parts[2]] += Number(n) || 0;
+    }
+  }
+  return out;
+}
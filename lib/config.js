@@ -0,0 +1,216 @@
+// lib/config.js
+// All env-derived settings in one place so api/collector.js and the lib/ modules read the same values.
+// dotenv is loaded here (not in collector.js) because ESM imports are evaluated before the importing
+// module's body runs.
+
+import dotenv from "dotenv";
+
+// Load .env in non-production (local dev). Place your local env vars in a .env file at project root.
+// Startup notes go to stderr, so stdout stays clean for the CLI's output.
+if (process.env.NODE_ENV !== "production") {
+  dotenv.config({ path: process.env.ENV_PATH || ".env", quiet: true });
+  console.error("[env] loaded for dev, GITHUB_TOKENS count:", (process.env.GITHUB_TOKENS || "").split(",").filter(Boolean).length);
+}
+
+export function envFlag(name){
+  return ["1", "true", "yes"].includes(String(process.env[name] || "").toLowerCase());
+}
+export function envList(name){
+  return (process.env[name] || "").split(",").map(s => s.trim()).filter(Boolean);
+}
+
+// ----------------- CONFIG (ENV) -----------------
+export const TOKENS = envList("GITHUB_TOKENS");
+
+export const DATA_UTAMA_GISTS = envList("GIST_DATA_UTAMA");
+
+export const GIST_ID_GLOBAL = (process.env.GIST_ID_GLOBAL || "").trim() || null;
+export const GIST_DATA_TANGGAL = (process.env.GIST_DATA_TANGGAL || "").trim() || null;
+// Optional: gist that receives flush archives (one timestamped file per flush).
+// When empty, every flush creates a new secret gist instead.
+export const GIST_ARCHIVE = (process.env.GIST_ARCHIVE || "").trim() || null;
+// Optional: gist used as the durable ingest queue (one file per queued batch, see INGEST_MODE).
+export const GIST_INGEST_QUEUE = (process.env.GIST_INGEST_QUEUE || "").trim() || null;
+// Optional: gist for the hourly ingest counters (ingest_stats.json); falls back to GIST_ID_GLOBAL.
+export const GIST_STATS = (process.env.GIST_STATS || "").trim() || null;
+// Optional: gist for Idempotency-Key records (idempotency.json); falls back to GIST_ID_GLOBAL.
+export const GIST_IDEMPOTENCY = (process.env.GIST_IDEMPOTENCY || "").trim() || null;
+// Optional: gist for webhook dead letters (one dead_<time>_<rand>.json per delivery); falls back to GIST_ID_GLOBAL.
+export const GIST_WEBHOOK_DLQ = (process.env.GIST_WEBHOOK_DLQ || "").trim() || null;
+// Optional: gist for state snapshots (snapshot_<time>_<reason>.json, see lib/snapshot.js); the gist
+// backend keeps no snapshots without it.
+export const GIST_BACKUP = (process.env.GIST_BACKUP || "").trim() || null;
+
+// Shard auto-provisioning: new data_utama shards are created when free capacity drops below
+// SHARD_LOW_WATERMARK items, recorded in GIST_SHARD_REGISTRY (gist backend) and capped at MAX_SHARDS.
+export const GIST_SHARD_REGISTRY = (process.env.GIST_SHARD_REGISTRY || "").trim() || null;
+export const AUTO_PROVISION_SHARDS = process.env.AUTO_PROVISION_SHARDS === undefined ? true : envFlag("AUTO_PROVISION_SHARDS");
+export const MAX_SHARDS = Math.max(1, parseInt(process.env.MAX_SHARDS || "20", 10));
+
+// Shard file format and size (gist backend, lib/shards.js). SHARD_FORMAT is pretty (default, indented
+// JSON), min (JSON without whitespace) or gzip (gzip+base64 inside a versioned JSON envelope); every
+// format stays readable when it is changed. A shard is full at MAX_ITEMS_PER_FILE posts or
+// MAX_BYTES_PER_FILE bytes as written, whichever comes first (0 = no byte limit). The default keeps
+// files under the 1MB at which the gist API truncates content and a second (raw_url) read is needed.
+const SHARD_FORMAT_NAMES = ["pretty", "min", "gzip"];
+export const SHARD_FORMAT = SHARD_FORMAT_NAMES.includes((process.env.SHARD_FORMAT || "").trim().toLowerCase()) ? process.env.SHARD_FORMAT.trim().toLowerCase() : "pretty";
+export const MAX_BYTES_PER_FILE = Math.max(0, parseInt(process.env.MAX_BYTES_PER_FILE || "900000", 10) || 0);
+
+// Daily rollover: the day boundary is ROLLOVER_HOUR:00 in ROLLOVER_TIMEZONE (IANA name, e.g.
+// Asia/Jakarta). At rollover the previous day's shards are archived (day_YYYY-MM-DD.json) before
+// being cleared; DAILY_RESET=0 turns the rollover off. Archives older than ARCHIVE_RETENTION_DAYS
+// are pruned after each rollover (0 keeps them forever).
+export const DAILY_RESET = process.env.DAILY_RESET === undefined ? true : envFlag("DAILY_RESET");
+export const ROLLOVER_TIMEZONE = (() => {
+  const tz = (process.env.ROLLOVER_TIMEZONE || "UTC").trim();
+  try { new Intl.DateTimeFormat("en-CA", { timeZone: tz }); return tz; }
+  catch (e) { console.warn(`[env] invalid ROLLOVER_TIMEZONE ${tz}, using UTC`); return "UTC"; }
+})();
+export const ROLLOVER_HOUR = Math.min(23, Math.max(0, parseInt(process.env.ROLLOVER_HOUR || "0", 10) || 0));
+export const ARCHIVE_RETENTION_DAYS = Math.max(0, parseInt(process.env.ARCHIVE_RETENTION_DAYS || "30", 10));
+
+// Dedupe window: an id counts as seen for DEDUPE_WINDOW_HOURS after it was stored, independent of the
+// daily rollover and ?flush=1. 0 restores the old behaviour (a flat seen list cleared with the shards).
+// The gist backend keeps the window as Bloom filters, one per DEDUPE_BUCKET_HOURS, each sized for
+// DEDUPE_BUCKET_CAPACITY ids at DEDUPE_FALSE_POSITIVE_RATE (see lib/dedupe.js).
+export const DEDUPE_WINDOW_HOURS = Math.max(0, parseInt(process.env.DEDUPE_WINDOW_HOURS || "72", 10) || 0);
+export const DEDUPE_BUCKET_HOURS = Math.max(1, parseInt(process.env.DEDUPE_BUCKET_HOURS || "6", 10) || 6);
+export const DEDUPE_BUCKET_CAPACITY = Math.max(100, parseInt(process.env.DEDUPE_BUCKET_CAPACITY || "10000", 10) || 10000);
+export const DEDUPE_FALSE_POSITIVE_RATE = Math.min(0.1, Math.max(1e-6, parseFloat(process.env.DEDUPE_FALSE_POSITIVE_RATE || "0.001") || 0.001));
+
+// Storage backend: "gist" (default) or "redis" (Upstash, needs UPSTASH_REDIS_REST_URL / _TOKEN)
+export const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || "gist").trim().toLowerCase();
+export const REDIS_PREFIX = process.env.REDIS_PREFIX || "membit:";
+export const REDIS_SHARD_COUNT = Math.max(1, parseInt(process.env.REDIS_SHARD_COUNT || "5", 10));
+
+// Shared-secret auth. COLLECTOR_API_SECRETS accepts several comma-separated secrets so they can be
+// rotated (add the new one, update clients, drop the old one). COLLECTOR_API_SECRET (the name used by
+// the flush workflow) is accepted too and merged in.
+export const API_SECRETS = Array.from(new Set([...envList("COLLECTOR_API_SECRETS"), ...envList("COLLECTOR_API_SECRET")]));
+export const REQUIRE_SECRET_FOR_GET = envFlag("REQUIRE_SECRET_FOR_GET");
+// escape hatch for local dev only — protected routes are open when set
+export const AUTH_DISABLED = envFlag("AUTH_DISABLED");
+// Named per-client API keys (lib/clients.js): API_KEYS is a JSON array (inline) and API_KEYS_FILE a path
+// to one; see lib/clients.js for the entry format. They work next to the shared secrets above.
+export const API_KEYS_JSON = (process.env.API_KEYS || "").trim() || null;
+export const API_KEYS_FILE = (process.env.API_KEYS_FILE || "").trim() || null;
+
+// Tunable defaults (made more conservative for serverless)
+export const MAX_ITEMS_PER_FILE = Math.max(1, parseInt(process.env.MAX_ITEMS_PER_FILE || "1000", 10));
+export const MAX_RETRIES = Math.max(1, parseInt(process.env.MAX_RETRIES || "2", 10)); // reduced default
+export const RETRY_BASE_MS = Math.max(50, parseInt(process.env.RETRY_BASE_MS || "300", 10));
+export const TOKEN_BACKOFF_SEC = Math.max(5, parseInt(process.env.TOKEN_BACKOFF_SEC || "60", 10));
+export const USER_AGENT = process.env.USER_AGENT || "membit-collector";
+export const MAX_SYNC_ATTEMPTS = Math.max(1, parseInt(process.env.MAX_SYNC_ATTEMPTS || "3", 10)); // reduced default
+export const SYNC_RETRY_BASE_MS = Math.max(50, parseInt(process.env.SYNC_RETRY_BASE_MS || "200", 10));
+export const READ_BATCH_SIZE = Math.min(Math.max(parseInt(process.env.READ_BATCH_SIZE || "200", 10), 1), 500);
+export const SHARD_LOW_WATERMARK = Math.max(0, parseInt(process.env.SHARD_LOW_WATERMARK || String(Math.floor(MAX_ITEMS_PER_FILE / 10)), 10));
+export const FETCH_TIMEOUT_MS = Math.max(1000, parseInt(process.env.FETCH_TIMEOUT_MS || "8000", 10));
+// Gist read cache (lib/github.js): responses are kept with their ETag and revalidated with
+// If-None-Match (a 304 doesn't count against the rate limit). Within GIST_CACHE_FRESH_MS of the last
+// check a cached gist is served without asking GitHub at all (0 = always revalidate). GIST_CACHE=0 turns
+// the cache off; GIST_CACHE_MAX_MB bounds its memory.
+export const GIST_CACHE = process.env.GIST_CACHE === undefined ? true : envFlag("GIST_CACHE");
+export const GIST_CACHE_FRESH_MS = Math.max(0, parseInt(process.env.GIST_CACHE_FRESH_MS || "0", 10) || 0);
+export const GIST_CACHE_MAX_MB = Math.max(1, parseInt(process.env.GIST_CACHE_MAX_MB || "32", 10) || 32);
+
+// GET /collector filters: which item fields `author=` and `q=` look at (dot paths for nested fields)
+export const FILTER_AUTHOR_FIELDS = envList("FILTER_AUTHOR_FIELDS").length ? envList("FILTER_AUTHOR_FIELDS")
+  : ["author", "user", "username", "screen_name", "user.screen_name", "user.username", "user.name", "author.username", "author.name"];
+export const FILTER_TEXT_FIELDS = envList("FILTER_TEXT_FIELDS").length ? envList("FILTER_TEXT_FIELDS")
+  : ["text", "full_text", "content", "title", "description"];
+
+// GET /collector/export?format=csv: default columns (dot paths) when the request has no `columns=`
+export const EXPORT_CSV_COLUMNS = envList("EXPORT_CSV_COLUMNS").length ? envList("EXPORT_CSV_COLUMNS")
+  : ["rest_id", "id", "created_at", "author", "user.screen_name", "text", "full_text", "url", "collected_at", "collected_by"];
+
+// GET /collector/stats: hourly ingest counters (STATS_COUNTERS=0 skips recording them, which saves a
+// storage write per POST), top values for STATS_TOP_FIELDS (dot paths; array values count per element),
+// results cached for STATS_CACHE_SEC per instance.
+export const STATS_COUNTERS = process.env.STATS_COUNTERS === undefined ? true : envFlag("STATS_COUNTERS");
+export const STATS_TOP_FIELDS = envList("STATS_TOP_FIELDS").length ? envList("STATS_TOP_FIELDS") : ["author", "user.screen_name", "hashtags", "lang"];
+export const STATS_TOP_N = Math.min(100, Math.max(1, parseInt(process.env.STATS_TOP_N || "10", 10) || 10));
+export const STATS_CACHE_SEC = Math.max(0, parseInt(process.env.STATS_CACHE_SEC || "60", 10) || 0);
+
+// Items without rest_id/id are deduped by a content fingerprint: a sha256 over the normalized values of
+// CONTENT_HASH_FIELDS (dot paths; default: the text and author fields used by the GET filters), or over
+// the whole item when none of them is set. CONTENT_HASH_DEDUPE=0 stores id-less items unchecked.
+export const CONTENT_HASH_DEDUPE = process.env.CONTENT_HASH_DEDUPE === undefined ? true : envFlag("CONTENT_HASH_DEDUPE");
+export const CONTENT_HASH_FIELDS = envList("CONTENT_HASH_FIELDS").length ? envList("CONTENT_HASH_FIELDS")
+  : [...FILTER_TEXT_FIELDS, ...FILTER_AUTHOR_FIELDS];
+
+// POST validation (lib/schema.js): the built-in membit post schema, or a JSON schema from POST_SCHEMA_JSON
+// (inline) / POST_SCHEMA_FILE (path). POST_REQUIRE_ID rejects posts without rest_id/id unless the custom
+// schema sets require_id itself; it defaults to the opposite of CONTENT_HASH_DEDUPE, so id-less posts are
+// accepted (and deduped by content hash) exactly when there is a fingerprint to dedupe them by.
+// POST_VALIDATION=0 stores posts as-is (old behaviour).
+export const POST_VALIDATION = process.env.POST_VALIDATION === undefined ? true : envFlag("POST_VALIDATION");
+export const POST_SCHEMA_FILE = (process.env.POST_SCHEMA_FILE || "").trim() || null;
+export const POST_SCHEMA_JSON = (process.env.POST_SCHEMA_JSON || "").trim() || null;
+export const POST_REQUIRE_ID = process.env.POST_REQUIRE_ID === undefined ? !CONTENT_HASH_DEDUPE : envFlag("POST_REQUIRE_ID");
+
+// Ingest queue (GIST_INGEST_QUEUE, or the redis store): INGEST_MODE=queue sends every accepted post
+// to the queue and answers right away; "direct" (default) writes to the shards and only queues what
+// could not be stored. The queue is drained into the shards by /collector/drain and before ?flush=1,
+// at most QUEUE_DRAIN_MAX_BATCHES batches per call.
+export const INGEST_MODE = (process.env.INGEST_MODE || "direct").trim().toLowerCase() === "queue" ? "queue" : "direct";
+export const QUEUE_DRAIN_MAX_BATCHES = Math.max(1, parseInt(process.env.QUEUE_DRAIN_MAX_BATCHES || "20", 10) || 20);
+
+// Idempotency-Key on POST: outcomes are kept for IDEMPOTENCY_TTL_SEC and replayed for retries with
+// the same key. A claim for a request still running expires after IDEMPOTENCY_PENDING_SEC so a
+// request that died mid-way can be retried.
+export const IDEMPOTENCY_TTL_SEC = Math.max(60, parseInt(process.env.IDEMPOTENCY_TTL_SEC || "86400", 10) || 86400);
+export const IDEMPOTENCY_PENDING_SEC = Math.max(10, parseInt(process.env.IDEMPOTENCY_PENDING_SEC || "120", 10) || 120);
+
+// Outbound webhooks (lib/webhooks.js). WEBHOOKS is a JSON array of subscriptions
+// [{ "url": "...", "events": ["items.stored", ...] or ["*"], "secret": "..." }]; WEBHOOK_URLS is the
+// short form (comma-separated, every event). Subscriptions without a secret use WEBHOOK_SECRET.
+// A delivery is tried WEBHOOK_MAX_ATTEMPTS times (backoff from WEBHOOK_RETRY_BASE_MS) before it goes
+// to the dead-letter list. shard.capacity fires when a shard's fill crosses one of
+// WEBHOOK_CAPACITY_THRESHOLDS (percent). Under the serverless export a response is held back until the
+// deliveries that request started are done, for at most WEBHOOK_RESPONSE_WAIT_MS (0 = don't wait).
+export const WEBHOOKS_JSON = (process.env.WEBHOOKS || "").trim() || null;
+export const WEBHOOK_URLS = envList("WEBHOOK_URLS");
+export const WEBHOOK_SECRET = (process.env.WEBHOOK_SECRET || "").trim() || null;
+export const WEBHOOK_MAX_ATTEMPTS = Math.min(10, Math.max(1, parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || "3", 10) || 3));
+export const WEBHOOK_RETRY_BASE_MS = Math.max(0, parseInt(process.env.WEBHOOK_RETRY_BASE_MS || "500", 10) || 0);
+export const WEBHOOK_TIMEOUT_MS = Math.max(500, parseInt(process.env.WEBHOOK_TIMEOUT_MS || "3000", 10) || 3000);
+export const WEBHOOK_RESPONSE_WAIT_MS = Math.max(0, parseInt(process.env.WEBHOOK_RESPONSE_WAIT_MS || "5000", 10) || 0);
+export const WEBHOOK_CAPACITY_THRESHOLDS = (envList("WEBHOOK_CAPACITY_THRESHOLDS").length ? envList("WEBHOOK_CAPACITY_THRESHOLDS") : ["80", "100"])
+  .map(Number).filter(n => n > 0 && n <= 100).sort((a, b) => a - b);
+
+// GET /collector/live (Server-Sent Events). LIVE_MODE: "auto" (default) streams when the app runs as a
+// long-lived server and polls storage under the serverless export, "stream" / "poll" force one, "off"
+// disables the route. Streaming keeps the last LIVE_BACKLOG posts for Last-Event-ID resume and sends a
+// heartbeat every LIVE_HEARTBEAT_SEC; polling answers with up to LIVE_POLL_LIMIT posts and tells the
+// client to reconnect after LIVE_POLL_RETRY_MS.
+const LIVE_MODES = ["auto", "stream", "poll", "off"];
+export const LIVE_MODE = LIVE_MODES.includes((process.env.LIVE_MODE || "").trim().toLowerCase()) ? process.env.LIVE_MODE.trim().toLowerCase() : "auto";
+export const LIVE_BACKLOG = Math.max(0, parseInt(process.env.LIVE_BACKLOG || "1000", 10) || 0);
+export const LIVE_HEARTBEAT_SEC = Math.max(1, parseInt(process.env.LIVE_HEARTBEAT_SEC || "15", 10) || 15);
+export const LIVE_MAX_CLIENTS = Math.max(1, parseInt(process.env.LIVE_MAX_CLIENTS || "100", 10) || 100);
+export const LIVE_POLL_LIMIT = Math.min(500, Math.max(1, parseInt(process.env.LIVE_POLL_LIMIT || "100", 10) || 100));
+export const LIVE_POLL_RETRY_MS = Math.max(500, parseInt(process.env.LIVE_POLL_RETRY_MS || "5000", 10) || 5000);
+
+// POST /collector/admin/shards/:id/repair { mode: "restore" } looks this many gist revisions back
+// for the newest one whose shard file parses.
+export const SHARD_RESTORE_MAX_REVISIONS = Math.min(100, Math.max(1, parseInt(process.env.SHARD_RESTORE_MAX_REVISIONS || "20", 10) || 20));
+
+// Snapshots of the whole collector state (shards, seen ids, date marker; lib/snapshot.js) are taken
+// before every flush and daily rollover unless SNAPSHOT_BEFORE_RESET=0, and the newest
+// SNAPSHOT_RETENTION are kept (GIST_BACKUP on the gist backend, snapshot:<name> keys on redis).
+export const SNAPSHOT_BEFORE_RESET = process.env.SNAPSHOT_BEFORE_RESET === undefined ? true : envFlag("SNAPSHOT_BEFORE_RESET");
+export const SNAPSHOT_RETENTION = Math.max(1, parseInt(process.env.SNAPSHOT_RETENTION || "10", 10) || 10);
+
+// Logging (lib/log.js): one JSON object per line. LOG_LEVEL is debug / info (default) / warn / error;
+// debug adds the per-attempt GitHub retry lines.
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+export const LOG_LEVEL = LOG_LEVELS.includes((process.env.LOG_LEVEL || "").trim().toLowerCase()) ? process.env.LOG_LEVEL.trim().toLowerCase() : "info";
+
+// GET responses of RESPONSE_GZIP_MIN_BYTES or more are gzipped for clients that send
+// Accept-Encoding: gzip; RESPONSE_GZIP=0 leaves compression to a proxy in front of the app.
+export const RESPONSE_GZIP = process.env.RESPONSE_GZIP === undefined ? true : envFlag("RESPONSE_GZIP");
+export const RESPONSE_GZIP_MIN_BYTES = Math.max(0, parseInt(process.env.RESPONSE_GZIP_MIN_BYTES || "1024", 10) || 0);
+
+// API base (allow mocking in dev/local via GITHUB_API_BASE)
+export const GITHUB_API_BASE = (process.env.GITHUB_API_BASE || "https://api.github.com").replace(/\/$/, "");
@@ -0,0 +1,208 @@
+// lib/dedupe.js
+// Rolling-window dedupe filter for the gist backend. Ids are added to time buckets (one Bloom filter
+// per DEDUPE_BUCKET_HOURS), a lookup checks every live bucket, and buckets older than the window are
+// dropped on each write — so an id stays "seen" for DEDUPE_WINDOW_HOURS (up to one bucket longer).
+// A Bloom filter never misses an id it was given; the trade-off is a small false-positive rate
+// (DEDUPE_FALSE_POSITIVE_RATE) where a new id is treated as a duplicate.
+//
+// data_id_global.json in this format:
+//   { format: "bloom-window", v: 1, window_hours, bucket_hours,
+//     buckets: [{ start: ISO time, part: 0, m: bits, k: hashes, bits: base64 }], updated_at }
+// A bucket that reaches DEDUPE_BUCKET_CAPACITY ids gets another filter (part 1, 2, ...) so the
+// false-positive rate holds on busy days. Filters with the same (start, part) merge by OR-ing their
+// bits, which is what lets concurrent writers combine their updates.
+//
+// Also here: the dedupe keys of a post (its ids, or a content fingerprint for id-less posts).
+
+import crypto from "crypto";
+import {
+  DEDUPE_WINDOW_HOURS, DEDUPE_BUCKET_HOURS, DEDUPE_BUCKET_CAPACITY, DEDUPE_FALSE_POSITIVE_RATE,
+  CONTENT_HASH_DEDUPE, CONTENT_HASH_FIELDS
+} from "./config.js";
+import { itemDedupeKeys } from "./util.js";
+import { getPath } from "./query.js";
+
+export const SEEN_FILTER_FORMAT = "bloom-window";
+const HOUR_MS = 3600 * 1000;
+
+// ----------------- Bloom filter -----------------
+function bloomSize(capacity, fpRate){
+  const m = Math.ceil(-capacity * Math.log(fpRate) / (Math.LN2 * Math.LN2));
+  const k = Math.max(1, Math.round((m / capacity) * Math.LN2));
+  return { m: Math.ceil(m / 8) * 8, k };
+}
+
+// Double hashing (Kirsch–Mitzenmacher): index_i = h1 + i * h2 (mod m)
+function bitIndexes(id, m, k){
+  const digest = crypto.createHash("sha256").update(String(id)).digest();
+  const h1 = digest.readUInt32BE(0);
+  const h2 = (digest.readUInt32BE(4) | 1) >>> 0;
+  const out = new Array(k);
+  for (let i = 0; i < k; i++) out[i] = (h1 + i * h2) % m;
+  return out;
+}
+
+function newFilter(start, part){
+  const { m, k } = bloomSize(DEDUPE_BUCKET_CAPACITY, DEDUPE_FALSE_POSITIVE_RATE);
+  return { start, part, m, k, bits: Buffer.alloc(m / 8) };
+}
+function filterHas(f, id){
+  return bitIndexes(id, f.m, f.k).every(i => (f.bits[i >> 3] & (1 << (i & 7))) !== 0);
+}
+function filterAdd(f, id){
+  for (const i of bitIndexes(id, f.m, f.k)) f.bits[i >> 3] |= (1 << (i & 7));
+}
+// Estimated number of distinct ids in a filter, from the share of bits set
+function filterCount(f){
+  let set = 0;
+  for (const byte of f.bits) {
+    let b = byte;
+    while (b) { b &= b - 1; set++; }
+  }
+  if (set >= f.m) return Infinity;
+  return Math.round(-(f.m / f.k) * Math.log(1 - set / f.m));
+}
+function sameFilter(a, b){
+  return a.start === b.start && a.part === b.part && a.m === b.m && a.k === b.k;
+}
+
+// ----------------- window document -----------------
+function bucketStart(now){
+  const size = DEDUPE_BUCKET_HOURS * HOUR_MS;
+  return new Date(Math.floor(now / size) * size).toISOString();
+}
+function isExpired(f, now){
+  return Date.parse(f.start) + DEDUPE_BUCKET_HOURS * HOUR_MS <= now - DEDUPE_WINDOW_HOURS * HOUR_MS;
+}
+
+export function emptySeenFilter(){
+  return { buckets: [] };
+}
+
+/*
+ Parse data_id_global.json content into { buckets: [filter] }. A legacy { seen: [...] } list (or a
+ bare array) is migrated into the current bucket, so those ids expire one window from now.
+*/
+export function parseSeenFilter(content, now = Date.now()){
+  const doc = emptySeenFilter();
+  if (content && content.format === SEEN_FILTER_FORMAT && Array.isArray(content.buckets)) {
+    for (const b of content.buckets) {
+      if (!b || typeof b.bits !== "string" || !b.m || !b.k) continue;
+      const bits = Buffer.from(b.bits, "base64");
+      if (bits.length * 8 !== b.m) continue;
+      doc.buckets.push({ start: String(b.start), part: b.part || 0, m: b.m, k: b.k, bits });
+    }
+    return doc;
+  }
+  const legacy = Array.isArray(content) ? content : content && Array.isArray(content.seen) ? content.seen : [];
+  if (legacy.length) addToSeenFilter(doc, legacy, now);
+  return doc;
+}
+
+export function serializeSeenFilter(doc){
+  return {
+    format: SEEN_FILTER_FORMAT,
+    v: 1,
+    window_hours: DEDUPE_WINDOW_HOURS,
+    bucket_hours: DEDUPE_BUCKET_HOURS,
+    buckets: doc.buckets.map(f => ({ start: f.start, part: f.part, m: f.m, k: f.k, bits: f.bits.toString("base64") })),
+    updated_at: new Date().toISOString()
+  };
+}
+
+export function seenFilterHas(doc, id, now = Date.now()){
+  return doc.buckets.some(f => !isExpired(f, now) && filterHas(f, id));
+}
+
+// Adds ids to the current bucket (opening another part once a filter is at capacity). Mutates doc.
+export function addToSeenFilter(doc, ids, now = Date.now()){
+  const start = bucketStart(now);
+  const parts = doc.buckets.filter(f => f.start === start).sort((a, b) => a.part - b.part);
+  let current = parts[parts.length - 1];
+  let count = current ? filterCount(current) : 0;
+  for (const id of ids) {
+    if (!current || count >= DEDUPE_BUCKET_CAPACITY) {
+      current = newFilter(start, current ? current.part + 1 : 0);
+      doc.buckets.push(current);
+      count = 0;
+    }
+    if (filterHas(current, id)) continue;
+    filterAdd(current, id);
+    count++;
+  }
+  return doc;
+}
+
+// Drops buckets that fell out of the window. Returns how many were removed.
+export function compactSeenFilter(doc, now = Date.now()){
+  const before = doc.buckets.length;
+  doc.buckets = doc.buckets.filter(f => !isExpired(f, now));
+  return before - doc.buckets.length;
+}
+
+// OR `other` into `doc` (used to re-apply a concurrent writer's bits). Returns how many filters of
+// `other` carried bits that `doc` was missing.
+export function mergeSeenFilter(doc, other){
+  let changed = 0;
+  for (const f of other.buckets) {
+    const mine = doc.buckets.find(x => sameFilter(x, f));
+    if (!mine) {
+      doc.buckets.push({ start: f.start, part: f.part, m: f.m, k: f.k, bits: Buffer.from(f.bits) });
+      changed++;
+      continue;
+    }
+    let missing = false;
+    for (let i = 0; i < f.bits.length; i++) {
+      if ((mine.bits[i] | f.bits[i]) !== mine.bits[i]) { mine.bits[i] |= f.bits[i]; missing = true; }
+    }
+    if (missing) changed++;
+  }
+  return changed;
+}
+
+// Estimated number of ids inside the window
+export function seenFilterCount(doc, now = Date.now()){
+  return doc.buckets.filter(f => !isExpired(f, now)).reduce((a, f) => a + filterCount(f), 0);
+}
+
+// ----------------- dedupe keys -----------------
+// "  Hello\n  World " and "hello world" fingerprint the same; a leading @ on handles is ignored
+function normalizeValue(v){
+  return String(v).normalize("NFKC").toLowerCase().replace(/\s+/g, " ").trim().replace(/^@/, "");
+}
+// JSON with sorted keys, so {a,b} and {b,a} fingerprint the same
+function stableStringify(v){
+  if (Array.isArray(v)) return `[${v.map(stableStringify).join(",")}]`;
+  if (v && typeof v === "object") {
+    return `{${Object.keys(v).sort().map(k => `${JSON.stringify(k)}:${stableStringify(v[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(v);
+}
+
+// Synthetic id for a post without rest_id/id: "h:" + sha256 of its normalized CONTENT_HASH_FIELDS
+// (or of the whole item when none of them is set). The prefix keeps it apart from real ids.
+export function contentFingerprint(it){
+  const parts = [];
+  for (const path of CONTENT_HASH_FIELDS) {
+    const v = getPath(it, path);
+    if (typeof v === "string" ? v.trim() === "" : typeof v !== "number") continue;
+    parts.push([path, normalizeValue(v)]);
+  }
+  // collected_at / collected_by are stamped on arrival, so they would make every resend look new
+  const { collected_at, collected_by, ...rest } = it || {};
+  const basis = parts.length ? JSON.stringify(parts) : stableStringify(rest);
+  return `h:${crypto.createHash("sha256").update(basis).digest("hex").slice(0, 32)}`;
+}
+
+// Keys checked against / added to the seen store for a post, and which rule produced them:
+// { keys: [rest_id, id], by: "id" } or { keys: [fingerprint], by: "hash" } ({ keys: [], by: null }
+// for an id-less post when CONTENT_HASH_DEDUPE is off)
+export function dedupeKeysOf(it){
+  const ids = itemDedupeKeys(it);
+  if (ids.length) return { keys: ids, by: "id" };
+  if (!CONTENT_HASH_DEDUPE) return { keys: [], by: null };
+  return { keys: [contentFingerprint(it)], by: "hash" };
+}
+export function dedupeKeys(it){
+  return dedupeKeysOf(it).keys;
+}
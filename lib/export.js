@@ -0,0 +1,49 @@
+// lib/export.js
+// Row formatting for GET /collector/export: NDJSON lines and CSV rows with dot-path columns.
+
+import { getPath } from "./query.js";
+
+// { user: { name: "a" }, tags: ["x"] } -> { "user.name": "a", "tags": ["x"] } (arrays stay whole)
+export function flattenItem(it, prefix = "", out = {}){
+  if (!it || typeof it !== "object" || Array.isArray(it)) {
+    out[prefix || "value"] = it;
+    return out;
+  }
+  for (const [k, v] of Object.entries(it)) {
+    const path = prefix ? `${prefix}.${k}` : k;
+    if (v && typeof v === "object" && !Array.isArray(v)) flattenItem(v, path, out);
+    else out[path] = v;
+  }
+  return out;
+}
+
+// Column names from the flattened keys of some sample items, in first-seen order
+export function columnsFromSample(items){
+  const cols = [];
+  const seen = new Set();
+  for (const it of items) {
+    for (const k of Object.keys(flattenItem(it))) {
+      if (!seen.has(k)) { seen.add(k); cols.push(k); }
+    }
+  }
+  return cols;
+}
+
+function csvCell(v){
+  if (v === undefined || v === null) return "";
+  const s = typeof v === "object" ? JSON.stringify(v) : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function csvRow(values){
+  return values.map(csvCell).join(",") + "\r\n";
+}
+
+// One CSV line for an item: each column is a dot path (objects/arrays are written as JSON)
+export function csvItemRow(it, columns){
+  return csvRow(columns.map(c => getPath(it, c)));
+}
+
+export function ndjsonLine(it){
+  return JSON.stringify(it) + "\n";
+}
@@ -0,0 +1,454 @@
+// lib/github.js
+// GitHub Gist API client: token rotation, fetch with timeout/retries, an ETag read cache, and the gist
+// read/patch/create helpers shared by the gist storage adapter and the collector routes.
+
+import fetch from "node-fetch";
+import {
+  TOKENS, MAX_RETRIES, RETRY_BASE_MS, TOKEN_BACKOFF_SEC, USER_AGENT, FETCH_TIMEOUT_MS, GITHUB_API_BASE,
+  GIST_CACHE, GIST_CACHE_FRESH_MS, GIST_CACHE_MAX_MB
+} from "./config.js";
+import { nowMs, sleep } from "./util.js";
+import { createLogger } from "./log.js";
+import { counter, gauge, histogram, onCollect } from "./metrics.js";
+
+const log = createLogger("github");
+
+// ----------------- Metrics -----------------
+const apiLatency = histogram("gist_api_request_duration_seconds", "GitHub API call latency by operation and HTTP status (status is error/timeout when no response came back)");
+const apiRetries = counter("gist_api_retries_total", "GitHub API calls retried, by token and reason (rate_limited, server_error, network)");
+const apiRateLimited = counter("gist_api_rate_limited_total", "GitHub rate-limit responses (403/429) by token and status");
+const tokenRemaining = gauge("github_token_rate_remaining", "Requests left in the token's GitHub rate-limit window as last reported (-1 = not known yet)");
+const tokenAvailable = gauge("github_token_available", "1 while the token may be used, 0 while it is rate limited");
+const cacheEvents = counter("gist_cache_events_total", "Gist read cache events (hits, revalidated, misses, raw_hits, raw_misses, invalidations, evictions)");
+const cacheBytesGauge = gauge("gist_cache_bytes", "Bytes held by the gist read cache");
+
+// what a call does, for the latency histogram: reads of the current gist, of a pinned revision or of a
+// raw file, updates and creates
+function gistOperation(method, url){
+  const m = String(method || "GET").toUpperCase();
+  if (!url.startsWith(GITHUB_API_BASE)) return "raw_read";
+  const path = url.slice(GITHUB_API_BASE.length).split("?")[0];
+  if (path.startsWith("/raw/")) return "raw_read"; // the mock gist server serves raw files itself
+  if (path === "/gists") return m === "POST" ? "gist_create" : "gist_list";
+  if (/^\/gists\/[^/]+$/.test(path)) return m === "PATCH" ? "gist_update" : m === "GET" ? "gist_read" : `gist_${m.toLowerCase()}`;
+  if (/^\/gists\/[^/]+\/[^/]+$/.test(path)) return "gist_revision_read";
+  return `other_${m.toLowerCase()}`;
+}
+
+// ----------------- Token rotation (rate-limit aware) -----------------
+// Per-token quota as last reported by GitHub's X-RateLimit-* headers. A token is skipped until
+// disabledUntil, which is set from X-RateLimit-Reset / Retry-After when GitHub says it's exhausted.
+const tokenState = {}; // token -> { remaining, limit, resetAt, disabledUntil, lastStatus }
+function stateOf(token){
+  if (!tokenState[token]) tokenState[token] = { remaining: null, limit: null, resetAt: null, disabledUntil: 0, lastStatus: null };
+  return tokenState[token];
+}
+export function isTokenAvailable(token){
+  const st = stateOf(token);
+  if (st.disabledUntil > nowMs()) return false;
+  // quota already used up according to the last response: wait for the reset instead of burning a 403
+  if (st.remaining === 0 && st.resetAt && st.resetAt > nowMs()) return false;
+  return true;
+}
+
+// Prefer the available token with the most remaining quota; tokens we haven't heard about yet count
+// as full. Ties rotate round-robin so load still spreads across equal tokens.
+let tokenIndex = 0;
+export function pickNextAvailableToken(){
+  if (!TOKENS.length) return null;
+  let best = null;
+  let bestRemaining = -1;
+  for (let i = 0; i < TOKENS.length; i++){
+    const idx = (tokenIndex + i) % TOKENS.length;
+    const t = TOKENS[idx];
+    if (!isTokenAvailable(t)) continue;
+    const st = stateOf(t);
+    // a known reset time in the past means the quota has been refilled
+    const remaining = st.remaining === null || (st.resetAt && st.resetAt <= nowMs()) ? Infinity : st.remaining;
+    if (remaining > bestRemaining){ best = idx; bestRemaining = remaining; }
+  }
+  if (best === null) return null;
+  tokenIndex = (best + 1) % TOKENS.length;
+  return TOKENS[best];
+}
+export function disableTokenFor(token, sec){
+  if (!token) return;
+  stateOf(token).disabledUntil = nowMs() + sec * 1000;
+}
+function disableTokenUntil(token, untilMs){
+  if (!token) return;
+  stateOf(token).disabledUntil = Math.max(untilMs, nowMs() + 1000);
+}
+
+// Seconds until the first disabled token comes back (for Retry-After), or null
+export function secondsUntilTokenAvailable(){
+  if (!TOKENS.length) return null;
+  const soonest = Math.min(...TOKENS.map(t => {
+    const st = stateOf(t);
+    return st.remaining === 0 && st.resetAt ? Math.max(st.disabledUntil, st.resetAt) : st.disabledUntil;
+  }));
+  return Math.max(1, Math.ceil((soonest - nowMs()) / 1000));
+}
+
+// onTokensExhausted(fn) listeners hear about each exhaustion once (until the soonest token is due
+// back), not on every request that hits it. fn({ tokens, retry_after })
+const exhaustedListeners = [];
+let exhaustedNotifiedUntil = 0;
+export function onTokensExhausted(fn){ exhaustedListeners.push(fn); }
+function notifyTokensExhausted(retryAfterSec){
+  if (nowMs() < exhaustedNotifiedUntil) return;
+  exhaustedNotifiedUntil = nowMs() + retryAfterSec * 1000;
+  for (const fn of exhaustedListeners) {
+    try { fn({ tokens: TOKENS.length, retry_after: retryAfterSec }); } catch (e) { log.warn("tokens exhausted listener failed", { error: e }); }
+  }
+}
+
+// Error thrown when every configured token is rate limited. Routes turn this into a 503.
+function tokensExhaustedError(){
+  const retryAfterSec = secondsUntilTokenAvailable();
+  notifyTokensExhausted(retryAfterSec);
+  const err = new Error(`All GitHub tokens are rate limited; retry in ${retryAfterSec}s`);
+  err.code = "TOKENS_EXHAUSTED";
+  err.retryAfterSec = retryAfterSec;
+  return err;
+}
+export function isTokensExhausted(e){ return !!e && e.code === "TOKENS_EXHAUSTED"; }
+
+function recordRateLimit(token, res){
+  if (!token) return;
+  const st = stateOf(token);
+  st.lastStatus = res.status;
+  const remaining = res.headers.get("x-ratelimit-remaining");
+  const limit = res.headers.get("x-ratelimit-limit");
+  const reset = res.headers.get("x-ratelimit-reset");
+  if (remaining !== null && remaining !== "") st.remaining = parseInt(remaining, 10);
+  if (limit !== null && limit !== "") st.limit = parseInt(limit, 10);
+  if (reset !== null && reset !== "") st.resetAt = parseInt(reset, 10) * 1000;
+}
+
+// GitHub signals exhaustion with 429, or 403 plus X-RateLimit-Remaining: 0 (primary limit) or
+// Retry-After (secondary limit). Returns the time (ms) the token may be used again, or null when
+// the response is not a rate-limit response (e.g. a 403 for missing permissions).
+function rateLimitedUntil(res){
+  if (res.status !== 403 && res.status !== 429) return null;
+  const retryAfter = parseInt(res.headers.get("retry-after") || "", 10);
+  if (Number.isFinite(retryAfter)) return nowMs() + retryAfter * 1000;
+  if (res.headers.get("x-ratelimit-remaining") === "0") {
+    const reset = parseInt(res.headers.get("x-ratelimit-reset") || "", 10);
+    return Number.isFinite(reset) ? reset * 1000 : nowMs() + TOKEN_BACKOFF_SEC * 1000;
+  }
+  if (res.status === 429) return nowMs() + TOKEN_BACKOFF_SEC * 1000;
+  return null;
+}
+
+// Tokens are only ever shown by their last 4 chars (/health, metric labels, logs)
+export function tokenLabel(token){
+  return token ? `…${token.slice(-4)}` : "anonymous";
+}
+
+// Quota snapshot for /health. Tokens are identified by position and last 4 chars only.
+export function getTokenStatus(){
+  return TOKENS.map((t, i) => {
+    const st = stateOf(t);
+    return {
+      index: i,
+      token: tokenLabel(t),
+      available: isTokenAvailable(t),
+      remaining: st.remaining,
+      limit: st.limit,
+      reset_at: st.resetAt ? new Date(st.resetAt).toISOString() : null,
+      disabled_until: st.disabledUntil > nowMs() ? new Date(st.disabledUntil).toISOString() : null,
+      last_status: st.lastStatus
+    };
+  });
+}
+
+// ----------------- Read cache (ETag / If-None-Match) -----------------
+// One LRU map for gist JSON (keyed by API url, stored with its ETag) and raw file contents (keyed by
+// raw_url). Raw urls and /gists/:id/:version point at a single revision, so those never go stale; the
+// current /gists/:id is revalidated. Writes bump the gist's generation and drop its entry, and a read
+// that started under an older generation doesn't store its (possibly pre-write) response.
+const cache = new Map(); // key -> { etag, json, text, validatedAt, size }
+let cacheBytes = 0;
+const gistGeneration = new Map(); // gistId -> write counter
+const cacheCounters = { hits: 0, revalidated: 0, misses: 0, raw_hits: 0, raw_misses: 0, invalidations: 0, evictions: 0 };
+
+function cacheGet(key){
+  const e = cache.get(key);
+  if (!e) return null;
+  cache.delete(key); cache.set(key, e); // most recently used last
+  return e;
+}
+function cacheSet(key, entry){
+  if (!GIST_CACHE) return;
+  const prev = cache.get(key);
+  if (prev) { cacheBytes -= prev.size; cache.delete(key); }
+  if (entry.size > GIST_CACHE_MAX_MB * 1024 * 1024) return;
+  cache.set(key, entry);
+  cacheBytes += entry.size;
+  for (const [k, e] of cache) {
+    if (cacheBytes <= GIST_CACHE_MAX_MB * 1024 * 1024) break;
+    cache.delete(k); cacheBytes -= e.size; cacheCounters.evictions++;
+  }
+}
+function generationOf(gistId){ return gistGeneration.get(gistId) || 0; }
+
+export function invalidateGistCache(gistId){
+  gistGeneration.set(gistId, generationOf(gistId) + 1);
+  const key = `${GITHUB_API_BASE}/gists/${gistId}`;
+  const e = cache.get(key);
+  if (e) { cache.delete(key); cacheBytes -= e.size; cacheCounters.invalidations++; }
+}
+
+export function getGistCacheStats(){
+  return Object.assign({ enabled: GIST_CACHE, fresh_ms: GIST_CACHE_FRESH_MS, entries: cache.size, bytes: cacheBytes }, cacheCounters);
+}
+
+onCollect(() => {
+  tokenRemaining.reset();
+  tokenAvailable.reset();
+  for (const t of TOKENS) {
+    const st = stateOf(t);
+    tokenRemaining.set({ token: tokenLabel(t) }, st.remaining === null ? -1 : st.remaining);
+    tokenAvailable.set({ token: tokenLabel(t) }, isTokenAvailable(t) ? 1 : 0);
+  }
+  for (const [event, n] of Object.entries(cacheCounters)) cacheEvents.set({ event }, n);
+  cacheBytesGauge.set({}, cacheBytes);
+});
+
+// ----------------- GitHub Gist helpers with retry & token fallback -----------------
+export async function ghFetch(url, opts = {}){
+  const token = pickNextAvailableToken();
+  // tokens configured but all rate limited: don't fall back to an anonymous request
+  if (!token && TOKENS.length) throw tokensExhaustedError();
+  const headers = Object.assign({}, opts.headers || {});
+  headers["User-Agent"] = USER_AGENT;
+  if (token) headers["Authorization"] = `token ${token}`;
+
+  // AbortController timeout (Node 18+ in Vercel provides global AbortController)
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  const operation = gistOperation(opts.method, url);
+  const start = Date.now();
+  try {
+    const finalOpts = Object.assign({}, opts, { headers, signal: controller.signal });
+    const res = await fetch(url, finalOpts);
+    const took = Date.now() - start;
+    recordRateLimit(token, res);
+    apiLatency.observe({ operation, status: res.status }, took / 1000);
+    log.info("ghFetch", {
+      operation, url, status: res.status, token: tokenLabel(token),
+      remaining: res.headers.get("x-ratelimit-remaining") ?? null, took_ms: took
+    });
+    return { res, token };
+  } catch (e){
+    const took = Date.now() - start;
+    const timedOut = e.name === 'AbortError';
+    apiLatency.observe({ operation, status: timedOut ? "timeout" : "error" }, took / 1000);
+    if (timedOut) {
+      log.warn("ghFetch timeout", { operation, url, token: tokenLabel(token), timeout_ms: FETCH_TIMEOUT_MS });
+    } else {
+      log.warn("ghFetch error", { operation, url, token: tokenLabel(token), error: e });
+    }
+    // ghFetchWithRetries counts the retry against this token
+    e.token = token;
+    throw e;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+export async function ghFetchWithRetries(url, opts = {}){
+  let lastErr = null;
+  for (let attempt = 0; attempt < MAX_RETRIES; attempt++){
+    try {
+      log.debug("ghFetchWithRetries attempt", { attempt: attempt + 1, max_attempts: MAX_RETRIES, url });
+      const { res, token } = await ghFetch(url, opts);
+      const limitedUntil = rateLimitedUntil(res);
+      if (limitedUntil !== null){
+        apiRateLimited.inc({ token: tokenLabel(token), status: res.status });
+        if (attempt + 1 < MAX_RETRIES) apiRetries.inc({ token: tokenLabel(token), reason: "rate_limited" });
+        if (token) {
+          disableTokenUntil(token, limitedUntil);
+          log.warn("rate limited, disabling token", { status: res.status, token: tokenLabel(token), until: new Date(limitedUntil).toISOString() });
+        }
+        const text = await res.text().catch(()=>"");
+        lastErr = new Error(`GitHub ${res.status}: ${text}`);
+        // another token can be tried right away; without tokens back off like before
+        if (!token) {
+          const backoff = RETRY_BASE_MS * Math.pow(2, attempt);
+          log.info("backing off", { status: res.status, backoff_ms: backoff });
+          await sleep(backoff);
+        }
+        continue;
+      }
+      if (res.status >= 500){
+        if (attempt + 1 < MAX_RETRIES) apiRetries.inc({ token: tokenLabel(token), reason: "server_error" });
+        const text = await res.text().catch(()=>"");
+        lastErr = new Error(`GitHub ${res.status}: ${text}`);
+        const backoff = RETRY_BASE_MS * Math.pow(2, attempt);
+        log.info("backing off", { status: res.status, backoff_ms: backoff });
+        await sleep(backoff);
+        continue;
+      }
+      // return res (200..499) to caller
+      return { res, token };
+    } catch (e){
+      if (isTokensExhausted(e)) throw e;
+      lastErr = e;
+      if (attempt + 1 < MAX_RETRIES) apiRetries.inc({ token: tokenLabel(e.token), reason: "network" });
+      const backoff = RETRY_BASE_MS * Math.pow(2, attempt);
+      log.info("backing off after fetch error", { error: e, backoff_ms: backoff });
+      await sleep(backoff);
+      continue;
+    }
+  }
+  // every token got rate limited during this call
+  if (TOKENS.length && !TOKENS.some(isTokenAvailable)) throw tokensExhaustedError();
+  throw lastErr || new Error("ghFetchWithRetries failed");
+}
+
+// Patch helper used across the codebase. This uses the same ghFetchWithRetries flow and
+// returns parsed JSON on success.
+export async function patchGistWithRetries(gistId, filesObj){
+  const url = `${GITHUB_API_BASE}/gists/${gistId}`;
+  invalidateGistCache(gistId);
+  const opts = {
+    method: "PATCH",
+    headers: { "Content-Type": "application/json", "User-Agent": USER_AGENT },
+    body: JSON.stringify({ files: filesObj })
+  };
+  const { res } = await ghFetchWithRetries(url, opts);
+  if (!res.ok) {
+    const text = await res.text().catch(()=>"");
+    throw new Error(`Failed PATCH gist ${gistId}: ${res.status} ${text}`);
+  }
+  const j = await res.json();
+  invalidateGistCache(gistId);
+  log.info("gist patched", { gist: gistId, files: Object.keys(filesObj), status: res.status });
+  return j;
+}
+
+// Create a new secret gist (used for flush archives). Returns the created gist JSON.
+export async function createGist(description, filesObj, isPublic = false){
+  const url = `${GITHUB_API_BASE}/gists`;
+  const opts = {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "User-Agent": USER_AGENT },
+    body: JSON.stringify({ description, public: isPublic, files: filesObj })
+  };
+  const { res } = await ghFetchWithRetries(url, opts);
+  if (!res.ok) {
+    const text = await res.text().catch(()=>"");
+    throw new Error(`Failed creating gist: ${res.status} ${text}`);
+  }
+  const j = await res.json();
+  log.info("gist created", { gist: j.id, files: Object.keys(filesObj), status: res.status });
+  return j;
+}
+
+// ----------------- Helper: fetch gist with SHA and raw content (used by many flows)
+// preferredName: read this file when the gist has it (e.g. a marker sharing a gist with other files)
+export async function fetchGistContentWithSha(gistId, preferredName = null){
+  return fetchGistAt(`${GITHUB_API_BASE}/gists/${gistId}`, gistId, preferredName);
+}
+
+// Same as fetchGistContentWithSha but for an older revision (history[].version of the gist)
+export async function fetchGistRevision(gistId, version, preferredName = null){
+  return fetchGistAt(`${GITHUB_API_BASE}/gists/${gistId}/${version}`, gistId, preferredName);
+}
+
+// `version` is the newest revision sha (history[0].version), used by the append loop to
+// detect commits that landed between its read and its write.
+async function fetchGistAt(url, gistId, preferredName = null){
+  const js = await fetchGistJson(url, gistId);
+  const version = (Array.isArray(js.history) && js.history[0] && js.history[0].version) || null;
+  const files = js.files || {};
+  const preferredNames = [preferredName, "data_utama.json","data_id_global.json","data_tanggal.json"].filter(Boolean);
+  let chosenName = Object.keys(files)[0] || null;
+  for (const pn of preferredNames) { if (files[pn]) { chosenName = pn; break; } }
+  if (!chosenName) return { gistMeta: js, filename: null, content: null, contentRaw: null, fileSha: null, rawUrl: null, version };
+  const file = files[chosenName];
+  const rawUrl = file.raw_url || null;
+  let contentRaw = file.content || null;
+  // the API response carries the whole file unless it is over 1MB (truncated: true); only then is
+  // the raw_url read as well
+  if (rawUrl && (file.truncated || typeof file.content !== "string")) {
+    try {
+      contentRaw = await fetchRawCached(rawUrl, file.content || "");
+    } catch(e){ contentRaw = file.content || ""; }
+  }
+  let parsed = null;
+  try { parsed = JSON.parse(contentRaw); } catch(e){ parsed = null; }
+  return { gistMeta: js, filename: chosenName, content: parsed, contentRaw, fileSha: file.sha, rawUrl, version };
+}
+
+// Gist JSON through the cache: fresh entries (or a pinned revision) are served as-is, others are
+// revalidated with If-None-Match and a 304 reuses the cached body.
+async function fetchGistJson(url, gistId){
+  const pinned = url !== `${GITHUB_API_BASE}/gists/${gistId}`;
+  const cached = GIST_CACHE ? cacheGet(url) : null;
+  if (cached && (pinned || Date.now() - cached.validatedAt < GIST_CACHE_FRESH_MS)) {
+    cacheCounters.hits++;
+    return cached.json;
+  }
+  const generation = generationOf(gistId);
+  const headers = cached && cached.etag ? { "If-None-Match": cached.etag } : {};
+  const { res } = await ghFetchWithRetries(url, { method: 'GET', headers });
+  if (res.status === 304 && cached) {
+    cacheCounters.revalidated++;
+    cached.validatedAt = Date.now();
+    return cached.json;
+  }
+  if (!res.ok) {
+    const text = await res.text().catch(()=>"");
+    throw new Error(`Failed fetching gist ${gistId}: ${res.status} ${text}`);
+  }
+  const text = await res.text();
+  const js = JSON.parse(text);
+  cacheCounters.misses++;
+  if (generation === generationOf(gistId)) {
+    cacheSet(url, { etag: res.headers.get("etag"), json: js, validatedAt: Date.now(), size: text.length });
+  }
+  return js;
+}
+
+// raw_url content; these urls include the revision, so a cached copy is always current
+async function fetchRawCached(rawUrl, fallback){
+  const cached = GIST_CACHE ? cacheGet(rawUrl) : null;
+  if (cached) {
+    cacheCounters.raw_hits++;
+    return cached.text;
+  }
+  const { res: rRaw } = await ghFetchWithRetries(rawUrl, { method: 'GET' });
+  const text = await rRaw.text().catch(()=> fallback);
+  cacheCounters.raw_misses++;
+  if (rRaw.ok) cacheSet(rawUrl, { text, validatedAt: Date.now(), size: text.length });
+  return text;
+}
+
+// Patch once helper. newContent is written as given when it is a string (already encoded, e.g. a
+// shard in SHARD_FORMAT) and as indented JSON otherwise. The optional fileSha is sent along but
+// GitHub does not enforce it, so it is NOT a concurrency guard — callers that need one compare gist
+// history versions instead.
+export async function patchGistOnce(gistId, filename, newContent, fileSha=null){
+  const url = `${GITHUB_API_BASE}/gists/${gistId}`;
+  invalidateGistCache(gistId);
+  const body = { files: {} };
+  body.files[filename] = { content: typeof newContent === "string" ? newContent : JSON.stringify(newContent, null, 2) };
+  if (fileSha) body.files[filename].sha = fileSha;
+  const opts = { method: 'PATCH', headers: { 'Content-Type': 'application/json', 'User-Agent': USER_AGENT }, body: JSON.stringify(body) };
+  const { res } = await ghFetchWithRetries(url, opts);
+  if (!res.ok) {
+    const t = await res.text().catch(()=>"");
+    throw new Error(`Failed PATCH gist ${gistId}: ${res.status} ${t}`);
+  }
+  const j = await res.json();
+  invalidateGistCache(gistId);
+  log.info("gist patched", { gist: gistId, files: [filename], status: res.status });
+  return j;
+}
+
+
+// Backwards-compatible alias: some older code calls fetchGistContent(gistId)
+export const fetchGistContent = fetchGistContentWithSha;
@@ -0,0 +1,98 @@
+// lib/live.js
+// In-process fan-out for GET /collector/live (Server-Sent Events). Stored posts are published with a
+// sequence number into a bounded backlog; connected clients get them as they arrive and a client that
+// reconnects with Last-Event-ID "<boot>:<seq>" gets what it missed, as long as it is still in the backlog.
+// Only posts stored by this process show up, which is why the route falls back to polling storage
+// when the app runs as a serverless function.
+
+import crypto from "crypto";
+import { getPath } from "./query.js";
+import { createLogger } from "./log.js";
+
+const log = createLogger("live");
+
+// ----------------- SSE formatting -----------------
+// data is JSON on one line, so it never needs splitting into several data: lines
+export function sseEvent({ id = null, event = null, data = null } = {}){
+  let out = "";
+  if (event) out += `event: ${event}\n`;
+  if (id) out += `id: ${id}\n`;
+  out += `data: ${JSON.stringify(data)}\n\n`;
+  return out;
+}
+export function sseComment(text){
+  return `: ${text}\n\n`;
+}
+
+// ----------------- where=<path>:<value> filters -----------------
+// ?where=lang:en&where=hashtags:ai -> every pair has to match; compared case-insensitively, a leading
+// @ ignored, and an array matches when any element does
+export function parseWhere(param){
+  const list = param === undefined ? [] : Array.isArray(param) ? param : [param];
+  return list.map(String).filter(Boolean).map(w => {
+    const i = w.indexOf(":");
+    if (i <= 0) {
+      const err = new Error(`where must look like <field>:<value> (got "${w}")`);
+      err.status = 400;
+      throw err;
+    }
+    return { path: w.slice(0, i).trim(), value: normalize(w.slice(i + 1)) };
+  });
+}
+function normalize(v){
+  return String(v).trim().toLowerCase().replace(/^@/, "");
+}
+export function matchesWhere(it, where){
+  return where.every(({ path, value }) => {
+    const v = getPath(it, path);
+    return (Array.isArray(v) ? v : [v]).some(x => (typeof x === "string" || typeof x === "number") && normalize(x) === value);
+  });
+}
+
+// ----------------- feed -----------------
+/*
+ createLiveFeed({ backlog }) -> {
+   publish(items)          assign ids and fan out to subscribers
+   subscribe(fn)           fn({ id, item }) for every later item; returns unsubscribe()
+   since(lastEventId)      -> { events, reset }  backlog after that id; reset is a reason string when the
+                           id can't be resumed (other process / restart, or older than the backlog)
+   clients, lastId, backlogSize
+ }
+*/
+export function createLiveFeed({ backlog = 1000 } = {}){
+  const boot = crypto.randomBytes(4).toString("hex");
+  const events = []; // { seq, id, item }, oldest first, at most `backlog`
+  const subscribers = new Set();
+  let seq = 0;
+
+  return {
+    get clients(){ return subscribers.size; },
+    get lastId(){ return seq ? `${boot}:${seq}` : null; },
+    get backlogSize(){ return events.length; },
+    publish(items){
+      for (const item of items) {
+        seq++;
+        const ev = { seq, id: `${boot}:${seq}`, item };
+        events.push(ev);
+        if (events.length > backlog) events.shift();
+        for (const fn of subscribers) {
+          try { fn(ev); } catch (e) { log.warn("subscriber failed", { error: e }); }
+        }
+      }
+    },
+    subscribe(fn){
+      subscribers.add(fn);
+      return () => subscribers.delete(fn);
+    },
+    since(lastEventId){
+      if (!lastEventId) return { events: [], reset: null };
+      const m = /^([0-9a-f]+):(\d+)$/.exec(String(lastEventId));
+      if (!m || m[1] !== boot) return { events: [], reset: "unknown_event_id" };
+      const after = Number(m[2]);
+      if (after > seq) return { events: [], reset: "unknown_event_id" };
+      // nothing lost only if the first event after `after` is still in the backlog
+      if (after < seq && (!events.length || events[0].seq > after + 1)) return { events: events.slice(), reset: "backlog_exceeded" };
+      return { events: events.filter(e => e.seq > after), reset: null };
+    }
+  };
+}
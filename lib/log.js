@@ -0,0 +1,57 @@
+// lib/log.js
+// Structured logs: every line is one JSON object { ts, level, component, msg, request_id, ...fields }
+// on stdout (debug/info) or stderr (warn/error), so the platform's log search can filter on fields;
+// setLogStream() sends every line to one stream instead (the CLI keeps stdout for its own output).
+// The request id is kept in an AsyncLocalStorage context opened per request (see the request middleware
+// in api/collector.js), so GitHub calls, shard appends and the daily rollover log it without having it
+// passed down. lib/config.js logs its own few startup lines with console directly (it loads first).
+
+import { AsyncLocalStorage } from "async_hooks";
+import { LOG_LEVEL } from "./config.js";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const threshold = LEVELS[LOG_LEVEL] || LEVELS.info;
+const context = new AsyncLocalStorage();
+let stream = null;
+
+// write every line to `stream` (e.g. process.stderr) instead of stdout/stderr by level; null goes back
+export function setLogStream(s){
+  stream = s || null;
+}
+
+// run fn with fields (e.g. { request_id }) added to every line logged inside it, async work included
+export function withLogContext(fields, fn){
+  return context.run(Object.assign({}, context.getStore() || {}, fields), fn);
+}
+export function logContext(){
+  return context.getStore() || {};
+}
+
+// Error values become { error: message } (plus the stack at debug level); undefined fields are dropped
+function fieldValue(v){
+  if (v instanceof Error) return threshold <= LEVELS.debug ? { message: v.message, stack: v.stack } : v.message;
+  return v;
+}
+
+function write(level, component, msg, fields){
+  if (LEVELS[level] < threshold) return;
+  const line = { ts: new Date().toISOString(), level, component, msg };
+  Object.assign(line, context.getStore() || {});
+  for (const [k, v] of Object.entries(fields || {})) if (v !== undefined) line[k] = fieldValue(v);
+  let out;
+  try { out = JSON.stringify(line); } catch (e) { out = JSON.stringify({ ts: line.ts, level, component, msg, log_error: e.message }); }
+  if (stream) stream.write(out + "\n");
+  else if (level === "error") console.error(out);
+  else if (level === "warn") console.warn(out);
+  else console.log(out);
+}
+
+// createLogger("ghFetch").info("request done", { status: 200 })
+export function createLogger(component){
+  return {
+    debug: (msg, fields) => write("debug", component, msg, fields),
+    info: (msg, fields) => write("info", component, msg, fields),
+    warn: (msg, fields) => write("warn", component, msg, fields),
+    error: (msg, fields) => write("error", component, msg, fields)
+  };
+}
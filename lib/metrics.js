@@ -0,0 +1,105 @@
+// lib/metrics.js
+// Prometheus metrics for GET /collector/metrics: counters, gauges and histograms kept in this process,
+// rendered in the text exposition format (version 0.0.4). Values that are cheaper to read at scrape
+// time than to track (shard capacity, token quota, cache counters) come from collectors registered
+// with onCollect(). Everything is per process: under the serverless export each instance has its own
+// counters, and a scrape sees whichever instance answers it.
+
+const PREFIX = "membit_";
+const registry = new Map(); // full name -> metric
+const collectors = [];
+
+// Default buckets in seconds: GitHub calls run from ~50ms to the FETCH_TIMEOUT_MS limit
+export const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function labelKey(labels){
+  return JSON.stringify(Object.keys(labels || {}).sort().map(k => [k, String(labels[k])]));
+}
+function escapeLabel(v){
+  return String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+function formatLabels(labels, extra = null){
+  const all = Object.assign({}, labels, extra || {});
+  const keys = Object.keys(all);
+  if (!keys.length) return "";
+  return "{" + keys.map(k => `${k}="${escapeLabel(all[k])}"`).join(",") + "}";
+}
+function formatValue(v){
+  if (v === Infinity) return "+Inf";
+  if (v === -Infinity) return "-Inf";
+  return Number.isFinite(v) ? String(v) : "NaN";
+}
+
+function define(type, name, help, extra = {}){
+  const full = PREFIX + name;
+  if (registry.has(full)) return registry.get(full);
+  const metric = Object.assign({ type, name: full, help, series: new Map() }, extra);
+  registry.set(full, metric);
+  return metric;
+}
+function seriesOf(metric, labels, init){
+  const key = labelKey(labels);
+  let s = metric.series.get(key);
+  if (!s) { s = Object.assign({ labels: Object.assign({}, labels) }, init()); metric.series.set(key, s); }
+  return s;
+}
+
+// ----------------- metric types -----------------
+export function counter(name, help){
+  const m = define("counter", name, help);
+  return {
+    inc(labels = {}, n = 1){ if (n > 0) seriesOf(m, labels, () => ({ value: 0 })).value += n; },
+    // for counters that are kept elsewhere and copied in by a collector
+    set(labels = {}, v){ seriesOf(m, labels, () => ({ value: 0 })).value = Number(v) || 0; }
+  };
+}
+
+export function gauge(name, help){
+  const m = define("gauge", name, help);
+  return {
+    set(labels = {}, v){ seriesOf(m, labels, () => ({ value: 0 })).value = Number(v); },
+    // drop every series before a collector refills the gauge (shards / tokens that went away)
+    reset(){ m.series.clear(); }
+  };
+}
+
+export function histogram(name, help, buckets = LATENCY_BUCKETS){
+  const m = define("histogram", name, help, { buckets: buckets.slice().sort((a, b) => a - b) });
+  return {
+    observe(labels = {}, v){
+      const s = seriesOf(m, labels, () => ({ counts: m.buckets.map(() => 0), sum: 0, count: 0 }));
+      m.buckets.forEach((b, i) => { if (v <= b) s.counts[i]++; });
+      s.sum += v;
+      s.count++;
+    }
+  };
+}
+
+// fn() (may be async) runs before every render to refresh scrape-time values; a failing collector
+// is logged by the caller and the rest of the metrics are still rendered
+export function onCollect(fn){ collectors.push(fn); }
+
+// ----------------- exposition -----------------
+export async function renderMetrics(){
+  const failed = [];
+  for (const fn of collectors) {
+    try { await fn(); } catch (e) { failed.push(e); }
+  }
+  let out = "";
+  for (const m of registry.values()) {
+    out += `# HELP ${m.name} ${m.help}\n# TYPE ${m.name} ${m.type}\n`;
+    for (const s of m.series.values()) {
+      if (m.type !== "histogram") {
+        out += `${m.name}${formatLabels(s.labels)} ${formatValue(s.value)}\n`;
+        continue;
+      }
+      m.buckets.forEach((b, i) => { out += `${m.name}_bucket${formatLabels(s.labels, { le: formatValue(b) })} ${s.counts[i]}\n`; });
+      out += `${m.name}_bucket${formatLabels(s.labels, { le: "+Inf" })} ${s.count}\n`;
+      out += `${m.name}_sum${formatLabels(s.labels)} ${formatValue(s.sum)}\n`;
+      out += `${m.name}_count${formatLabels(s.labels)} ${s.count}\n`;
+    }
+  }
+  return { text: out, failed };
+}
+
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
@@ -0,0 +1,172 @@
+// lib/query.js
+// Listing helpers for GET /collector: item filters parsed from the query string and opaque cursors
+// that point at a (shard, position) pair so pages stay stable while POSTs append to later positions.
+
+import crypto from "crypto";
+import { FILTER_AUTHOR_FIELDS, FILTER_TEXT_FIELDS } from "./config.js";
+import { itemId, itemKey } from "./util.js";
+
+// ----------------- field access -----------------
+// "user.screen_name" -> it.user.screen_name
+export function getPath(obj, path){
+  let cur = obj;
+  for (const part of path.split(".")) {
+    if (cur == null || typeof cur !== "object") return undefined;
+    cur = cur[part];
+  }
+  return cur;
+}
+
+function parseTime(v){
+  if (v === undefined || v === null || v === "") return null;
+  if (typeof v === "number") return v < 1e12 ? v * 1000 : v; // seconds or ms
+  if (/^\d+$/.test(String(v))) return parseTime(Number(v));
+  const t = Date.parse(String(v));
+  return Number.isFinite(t) ? t : null;
+}
+
+// ----------------- filters -----------------
+/*
+ Query params understood by parseFilters:
+   id=1,2,3          rest_id/id in the list
+   author=name       exact (case-insensitive) match on any FILTER_AUTHOR_FIELDS (alias: user)
+   created_from=..   created_at >= (ISO date or epoch s/ms)
+   created_to=..     created_at <= (same formats)
+   q=text            case-insensitive substring in any FILTER_TEXT_FIELDS
+ Returns null when no filter is set, otherwise { ids, author, from, to, q } (unset ones null).
+ Throws an Error with .status = 400 on unparsable dates.
+*/
+export function parseFilters(q = {}){
+  const f = { ids: null, author: null, from: null, to: null, q: null };
+  if (q.id) f.ids = new Set(String(q.id).split(",").map(s => s.trim()).filter(Boolean));
+  const author = q.author ?? q.user;
+  if (author) f.author = String(author).trim().toLowerCase().replace(/^@/, "");
+  for (const [param, key] of [["created_from", "from"], ["created_to", "to"]]) {
+    if (q[param] === undefined || q[param] === "") continue;
+    const t = parseTime(q[param]);
+    if (t === null) {
+      const err = new Error(`${param} is not a valid date`);
+      err.status = 400;
+      throw err;
+    }
+    f[key] = t;
+  }
+  if (q.q) f.q = String(q.q).toLowerCase();
+  return Object.values(f).some(v => v !== null) ? f : null;
+}
+
+export function matchesFilters(it, f){
+  if (!f) return true;
+  if (f.ids) {
+    const id = itemId(it);
+    if (!id || !f.ids.has(id)) return false;
+  }
+  if (f.author) {
+    const hit = FILTER_AUTHOR_FIELDS.some(path => {
+      const v = getPath(it, path);
+      return (typeof v === "string" || typeof v === "number") && String(v).toLowerCase().replace(/^@/, "") === f.author;
+    });
+    if (!hit) return false;
+  }
+  if (f.from !== null || f.to !== null) {
+    const t = parseTime(it?.created_at);
+    if (t === null) return false;
+    if (f.from !== null && t < f.from) return false;
+    if (f.to !== null && t > f.to) return false;
+  }
+  if (f.q) {
+    const hit = FILTER_TEXT_FIELDS.some(path => {
+      const v = getPath(it, path);
+      return typeof v === "string" && v.toLowerCase().includes(f.q);
+    });
+    if (!hit) return false;
+  }
+  return true;
+}
+
+// ----------------- cursors -----------------
+// A cursor is base64url JSON { v, s: shardId, p: next position, k: hash of the item at p-1 }.
+// `k` lets us notice that a flush/reset rewrote the shard under the cursor (-> 410).
+function keyHash(it){
+  return crypto.createHash("sha1").update(itemKey(it)).digest("hex").slice(0, 10);
+}
+
+export function encodeCursor(shardId, position, prevItem){
+  const body = { v: 1, s: shardId, p: position, k: prevItem ? keyHash(prevItem) : null };
+  return Buffer.from(JSON.stringify(body)).toString("base64url");
+}
+
+export function decodeCursor(cursor){
+  try {
+    const body = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (body && body.v === 1 && typeof body.s === "string" && Number.isInteger(body.p) && body.p >= 0) return body;
+  } catch (e) { /* fall through */ }
+  const err = new Error("invalid cursor");
+  err.status = 400;
+  throw err;
+}
+
+/*
+ Walk shards in listing order starting at the cursor (or after since_id), collecting up to `limit`
+ items that pass the filters. Shards are read one at a time, so a page near the start doesn't
+ download every shard.
+ opts: { shardIds, readShard(id) -> { array }, limit, cursor, sinceId, filters }
+ returns { posts, next_cursor, has_more, since_id_found }
+*/
+export async function pageThroughShards({ shardIds, readShard, limit, cursor = null, sinceId = null, filters = null }){
+  let startShard = 0;
+  let startPos = 0;
+  let sinceIdFound = null;
+
+  if (cursor) {
+    const c = decodeCursor(cursor);
+    startShard = shardIds.indexOf(c.s);
+    if (startShard === -1) {
+      const err = new Error("cursor refers to a shard that no longer exists");
+      err.status = 410;
+      throw err;
+    }
+    startPos = c.p;
+    if (c.p > 0) {
+      const shard = await readShard(c.s);
+      const prev = shard.array[c.p - 1];
+      if (!prev || keyHash(prev) !== c.k) {
+        const err = new Error("cursor expired (shard was flushed or reset); start again without a cursor");
+        err.status = 410;
+        throw err;
+      }
+    }
+  } else if (sinceId) {
+    // since_id: continue right after that item in arrival order
+    sinceIdFound = false;
+    for (let i = 0; i < shardIds.length && !sinceIdFound; i++) {
+      const arr = (await readShard(shardIds[i])).array;
+      const idx = arr.findIndex(it => itemId(it) === String(sinceId));
+      if (idx !== -1) { startShard = i; startPos = idx + 1; sinceIdFound = true; }
+    }
+  }
+
+  const posts = [];
+  let lastShard = null;
+  let lastPos = 0;
+  let lastItem = null;
+  let hasMore = false;
+  for (let i = startShard; i < shardIds.length; i++) {
+    const arr = (await readShard(shardIds[i])).array;
+    let pos = i === startShard ? startPos : 0;
+    for (; pos < arr.length; pos++) {
+      if (posts.length >= limit) { hasMore = true; break; }
+      const it = arr[pos];
+      if (matchesFilters(it, filters)) posts.push(it);
+      lastShard = shardIds[i]; lastPos = pos + 1; lastItem = it;
+    }
+    if (hasMore) break;
+    // remember the end of this shard too so a poller resumes here once it grows
+    if (arr.length > 0 && pos === arr.length) { lastShard = shardIds[i]; lastPos = arr.length; lastItem = arr[arr.length - 1]; }
+  }
+
+  // next_cursor is always set once anything was scanned, so pollers can keep calling with it
+  let nextCursor = cursor || null;
+  if (lastShard !== null) nextCursor = encodeCursor(lastShard, lastPos, lastItem);
+  return { posts, next_cursor: nextCursor, has_more: hasMore, since_id_found: sinceIdFound };
+}
@@ -0,0 +1,168 @@
+// lib/schema.js
+// Validation + normalization of incoming posts (POST /collector). The schema is plain JSON so it can
+// be replaced through POST_SCHEMA_FILE / POST_SCHEMA_JSON without touching code:
+//
+//   {
+//     "require_id": true,                 rest_id or id must be present (default: POST_REQUIRE_ID)
+//     "max_item_bytes": 65536,            JSON size of one post after normalization
+//     "normalizers": ["trim_text", "iso_timestamps", "collected_at"],
+//     "fields": {
+//       "<name>": { "type": "string" | "number" | "integer" | "boolean" | "object" | "array" | "id" |
+//                           "timestamp" | "url" (or a list of these),
+//                   "required": false, "nullable": false, "max_length": n, "min": n, "max": n,
+//                   "enum": [...] }
+//     }
+//   }
+//
+// Normalizers run in order before validation; each is (post, schema) -> post. Built in:
+//   strip_unknown    drop fields not listed in schema.fields
+//   trim_text        trim every string field declared as "string"
+//   iso_timestamps   "timestamp" fields (epoch s/ms or any Date.parse-able string) -> ISO 8601
+//   collected_at     set collected_at to the time the collector received the post
+// More can be added with registerNormalizer(name, fn).
+
+import fs from "fs";
+import { POST_SCHEMA_FILE, POST_SCHEMA_JSON, POST_REQUIRE_ID } from "./config.js";
+import { itemId } from "./util.js";
+import { createLogger } from "./log.js";
+
+const log = createLogger("schema");
+
+export const DEFAULT_POST_SCHEMA = {
+  require_id: true,
+  max_item_bytes: 64 * 1024,
+  normalizers: ["trim_text", "iso_timestamps", "collected_at"],
+  fields: {
+    rest_id: { type: "id", max_length: 64 },
+    id: { type: "id", max_length: 64 },
+    text: { type: "string", max_length: 25000 },
+    full_text: { type: "string", max_length: 25000 },
+    author: { type: ["string", "object"], nullable: true },
+    username: { type: "string", max_length: 100, nullable: true },
+    screen_name: { type: "string", max_length: 100, nullable: true },
+    user: { type: "object", nullable: true },
+    url: { type: "url", max_length: 2048, nullable: true },
+    lang: { type: "string", max_length: 16, nullable: true },
+    created_at: { type: "timestamp", nullable: true },
+    collected_at: { type: "timestamp" },
+    collected_by: { type: "string", max_length: 64, nullable: true }
+  }
+};
+
+// ----------------- normalizers -----------------
+function toIsoTime(v){
+  if (typeof v === "number" && Number.isFinite(v)) return new Date(v < 1e12 ? v * 1000 : v).toISOString();
+  if (typeof v === "string" && /^\d+$/.test(v.trim())) return toIsoTime(Number(v.trim()));
+  if (typeof v === "string") {
+    const t = Date.parse(v);
+    if (Number.isFinite(t)) return new Date(t).toISOString();
+  }
+  return v; // left for validation to reject
+}
+function fieldTypes(spec){
+  return Array.isArray(spec.type) ? spec.type : [spec.type];
+}
+
+const NORMALIZERS = {
+  strip_unknown(post, schema){
+    const out = {};
+    for (const name of Object.keys(schema.fields || {})) if (name in post) out[name] = post[name];
+    return out;
+  },
+  trim_text(post, schema){
+    for (const [name, spec] of Object.entries(schema.fields || {})) {
+      if (typeof post[name] === "string" && fieldTypes(spec).includes("string")) post[name] = post[name].trim();
+    }
+    return post;
+  },
+  iso_timestamps(post, schema){
+    for (const [name, spec] of Object.entries(schema.fields || {})) {
+      if (post[name] != null && fieldTypes(spec).includes("timestamp")) post[name] = toIsoTime(post[name]);
+    }
+    return post;
+  },
+  collected_at(post){
+    post.collected_at = new Date().toISOString();
+    return post;
+  }
+};
+
+export function registerNormalizer(name, fn){
+  if (typeof fn !== "function") throw new Error(`normalizer ${name} must be a function`);
+  NORMALIZERS[name] = fn;
+}
+
+// ----------------- validation -----------------
+function checkType(v, type){
+  switch (type) {
+    case "string": return typeof v === "string";
+    case "number": return typeof v === "number" && Number.isFinite(v);
+    case "integer": return Number.isInteger(v);
+    case "boolean": return typeof v === "boolean";
+    case "object": return !!v && typeof v === "object" && !Array.isArray(v);
+    case "array": return Array.isArray(v);
+    case "id": return (typeof v === "string" && v.trim() !== "") || (Number.isInteger(v) && v >= 0);
+    case "timestamp": return typeof v === "string" && Number.isFinite(Date.parse(v));
+    case "url": return typeof v === "string" && /^https?:\/\/\S+$/i.test(v);
+    default: return true;
+  }
+}
+
+function checkField(name, v, spec){
+  if (v === undefined) return spec.required ? [`${name}: required`] : [];
+  if (v === null) return spec.nullable || !spec.required ? [] : [`${name}: must not be null`];
+  const types = fieldTypes(spec);
+  if (!types.some(t => checkType(v, t))) return [`${name}: expected ${types.join(" or ")}`];
+  const reasons = [];
+  const len = typeof v === "string" ? v.length : Array.isArray(v) ? v.length : typeof v === "number" ? String(v).length : null;
+  if (spec.max_length != null && len != null && len > spec.max_length) reasons.push(`${name}: longer than ${spec.max_length}`);
+  if (typeof v === "number") {
+    if (spec.min != null && v < spec.min) reasons.push(`${name}: below ${spec.min}`);
+    if (spec.max != null && v > spec.max) reasons.push(`${name}: above ${spec.max}`);
+  }
+  if (Array.isArray(spec.enum) && !spec.enum.includes(v)) reasons.push(`${name}: not one of ${spec.enum.join(", ")}`);
+  return reasons;
+}
+
+// ----------------- schema loading -----------------
+function loadSchema(){
+  let custom = null;
+  try {
+    if (POST_SCHEMA_JSON) custom = JSON.parse(POST_SCHEMA_JSON);
+    else if (POST_SCHEMA_FILE) custom = JSON.parse(fs.readFileSync(POST_SCHEMA_FILE, "utf8"));
+  } catch (e) {
+    // a broken schema would silently accept or reject everything, so refuse to start instead
+    throw new Error(`invalid post schema (${POST_SCHEMA_JSON ? "POST_SCHEMA_JSON" : POST_SCHEMA_FILE}): ${e.message}`);
+  }
+  const schema = Object.assign({}, DEFAULT_POST_SCHEMA, custom || {});
+  if (!custom || custom.require_id === undefined) schema.require_id = POST_REQUIRE_ID;
+  for (const name of schema.normalizers || []) {
+    if (!NORMALIZERS[name]) log.warn("unknown normalizer, ignored", { normalizer: name });
+  }
+  return schema;
+}
+
+let activeSchema = null;
+export function getPostSchema(){
+  if (!activeSchema) activeSchema = loadSchema();
+  return activeSchema;
+}
+
+/*
+ Normalize then validate one incoming post. Non-object entries become { text } first, as before.
+ returns { ok: true, post } or { ok: false, reasons: [string] }
+*/
+export function preparePost(raw, schema = getPostSchema()){
+  let post = raw !== null && typeof raw === "object" && !Array.isArray(raw) ? Object.assign({}, raw) : { text: String(raw) };
+  for (const name of schema.normalizers || []) {
+    if (NORMALIZERS[name]) post = NORMALIZERS[name](post, schema);
+  }
+
+  const reasons = [];
+  if (schema.require_id && !itemId(post)) reasons.push("rest_id or id: required");
+  for (const [name, spec] of Object.entries(schema.fields || {})) reasons.push(...checkField(name, post[name], spec));
+  const bytes = Buffer.byteLength(JSON.stringify(post));
+  if (schema.max_item_bytes && bytes > schema.max_item_bytes) reasons.push(`post is ${bytes} bytes, limit ${schema.max_item_bytes}`);
+
+  return reasons.length ? { ok: false, reasons } : { ok: true, post };
+}
@@ -0,0 +1,137 @@
+// lib/shards.js
+// Shard health and layout helpers for the admin routes (/collector/admin/shards...) and the storage
+// adapters: how a data_utama payload is encoded and parses, what is wrong with its items, how much
+// room a shard has left, and an even split of items across shards.
+
+import zlib from "zlib";
+import { itemKey, itemId } from "./util.js";
+
+// ----------------- storage format -----------------
+/*
+ How a data_utama file is written (SHARD_FORMAT):
+   pretty  indented JSON array (the original layout)
+   min     JSON array without whitespace
+   gzip    a small JSON envelope around the gzipped array:
+           { "membit_shard": 1, "encoding": "gzip+base64", "count": n, "data": "<base64>" }
+ Reads accept all of them (and { posts: [...] }) whatever SHARD_FORMAT is set to now, so switching
+ formats needs no migration: a shard changes format the next time it is written.
+*/
+export const SHARD_FORMATS = ["pretty", "min", "gzip"];
+const ENVELOPE_VERSION = 1;
+
+export function encodeShardContent(array, format = "pretty"){
+  if (format === "min") return JSON.stringify(array);
+  if (format === "gzip") {
+    const data = zlib.gzipSync(Buffer.from(JSON.stringify(array), "utf8")).toString("base64");
+    return JSON.stringify({ membit_shard: ENVELOPE_VERSION, encoding: "gzip+base64", count: array.length, data });
+  }
+  return JSON.stringify(array, null, 2);
+}
+
+function isEnvelope(content){
+  return !!content && typeof content === "object" && !Array.isArray(content) && content.membit_shard !== undefined;
+}
+// the post array inside an envelope, or null when it can't be decoded (newer version, bad data)
+function openEnvelope(content){
+  if (content.membit_shard !== ENVELOPE_VERSION || content.encoding !== "gzip+base64" || typeof content.data !== "string") return null;
+  try {
+    const array = JSON.parse(zlib.gunzipSync(Buffer.from(content.data, "base64")).toString("utf8"));
+    return Array.isArray(array) ? array : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/*
+ Parse status of a data_utama file:
+   ok            a post array ([...], { posts: [...] } or a gzip envelope)
+   empty         no content yet (treated as [])
+   invalid_json  not parseable
+   undecodable   a gzip envelope of an unknown version or with corrupt data
+   not_array     valid JSON but not a post array
+ Shards in any other state than ok/empty must not be appended to: the append would write [] plus the
+ new items over whatever is there. returns { status, array, format }
+*/
+export function parseShardContent(raw){
+  if (raw == null || String(raw).trim() === "") return { status: "empty", array: [], format: null };
+  let content;
+  try { content = JSON.parse(raw); } catch (e) { return { status: "invalid_json", array: [], format: null }; }
+  if (Array.isArray(content)) return { status: "ok", array: content, format: "array" };
+  if (isEnvelope(content)) {
+    const array = openEnvelope(content);
+    return array ? { status: "ok", array, format: "gzip" } : { status: "undecodable", array: [], format: "gzip" };
+  }
+  if (content && Array.isArray(content.posts)) return { status: "ok", array: content.posts, format: "posts_object" };
+  return { status: "not_array", array: [], format: null };
+}
+
+// entry/status from readShard: adapters that don't report a status are always writable
+export function shardWritable(entryOrStatus){
+  const status = typeof entryOrStatus === "string" ? entryOrStatus : entryOrStatus && entryOrStatus.status;
+  return !status || status === "ok" || status === "empty";
+}
+
+// Item-level problems inside a parseable shard
+export function checkShardItems(array){
+  const keys = new Set();
+  let nonObject = 0, missingId = 0, duplicates = 0;
+  for (const it of array) {
+    if (!it || typeof it !== "object" || Array.isArray(it)) { nonObject++; continue; }
+    if (!itemId(it)) missingId++;
+    const k = itemKey(it);
+    if (keys.has(k)) duplicates++;
+    else keys.add(k);
+  }
+  return { non_object_items: nonObject, missing_id: missingId, duplicate_items: duplicates };
+}
+
+// ----------------- capacity -----------------
+// How many of `extra` can follow `base` while the encoded file stays within maxBytes (0 = no byte
+// limit). Gzip sizes aren't additive, so this encodes candidate arrays (a binary search, ~log2 n tries).
+export function itemsThatFit(base, extra, format, maxBytes){
+  if (!maxBytes || !extra.length) return extra.length;
+  const fits = (n) => Buffer.byteLength(encodeShardContent(base.concat(extra.slice(0, n)), format)) <= maxBytes;
+  if (fits(extra.length)) return extra.length;
+  let lo = 0, hi = extra.length - 1;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (fits(mid)) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo;
+}
+
+// Free slots of a readShard entry: MAX_ITEMS_PER_FILE minus its posts and, when the adapter reports
+// the stored size (entry.bytes), what the remaining bytes hold at the shard's average bytes per post.
+// An estimate for provisioning and metrics; appends check the real size with itemsThatFit.
+export function shardFreeSlots(entry, maxItems, maxBytes){
+  const count = Array.isArray(entry.array) ? entry.array.length : 0;
+  let free = Math.max(0, maxItems - count);
+  if (maxBytes && count > 0 && Number.isFinite(entry.bytes)) {
+    free = Math.min(free, Math.max(0, Math.floor((maxBytes - entry.bytes) / (entry.bytes / count))));
+  }
+  return free;
+}
+
+/*
+ Split items (in order) over shardIds as evenly as possible, at most `capacity` per shard and, with
+ maxBytes, no more than fits in maxBytes encoded as `format`; earlier shards take the remainder, and
+ what a shard can't hold by size moves on to the next. Items beyond that stay in `overflow`.
+ returns { plan: [{ shardId, items }], overflow, overflowBy: { max_items, max_bytes } }
+*/
+export function planRebalance(shardIds, items, capacity, { format = "pretty", maxBytes = 0 } = {}){
+  const n = shardIds.length;
+  if (!n) return { plan: [], overflow: items.slice(), overflowBy: { max_items: items.length, max_bytes: 0 } };
+  const plan = [];
+  let pos = 0;
+  shardIds.forEach((shardId, i) => {
+    const target = Math.min(capacity, Math.ceil((items.length - pos) / (n - i)));
+    const candidates = items.slice(pos, pos + target);
+    const take = itemsThatFit([], candidates, format, maxBytes);
+    plan.push({ shardId, items: candidates.slice(0, take) });
+    pos += take;
+  });
+  const overflow = items.slice(pos);
+  const byCount = Math.min(overflow.length, Math.max(0, items.length - n * capacity));
+  return { plan, overflow, overflowBy: { max_items: byCount, max_bytes: overflow.length - byCount } };
+}
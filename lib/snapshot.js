@@ -0,0 +1,145 @@
+// lib/snapshot.js
+// Snapshots of the collector state for backup and restore: every data_utama shard, the seen ids and
+// the last_date marker in one versioned bundle
+//
+//   {
+//     "membit_snapshot": 1,
+//     "created_at": "2026-01-31T00:00:05.000Z",
+//     "reason": "manual" | "flush" | "daily_reset" | "pre_restore",
+//     "storage": "gist" | "redis",
+//     "last_date": "2026-01-30" | null,
+//     "shards": [{ "shardId", "filename", "status", "count", "items": [...] }],
+//     "seen": { "storage": "gist", "count": 1234, "state": <what the adapter's exportSeen returned> },
+//     "checksum": "sha256:<hex of last_date, shards and seen>"
+//   }
+//
+// Adapters keep snapshots gzipped (encodeSnapshot) and the CLI writes them as plain or gzipped JSON
+// files; decodeSnapshot reads all of them. The seen state is adapter-specific: a bundle restored into
+// another backend gets its seen ids rebuilt from its posts instead.
+
+import crypto from "crypto";
+import zlib from "zlib";
+import { itemKey } from "./util.js";
+
+export const SNAPSHOT_VERSION = 1;
+const NAME_RE = /^snapshot_(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z_([a-z_]+)\.json$/;
+
+function checksumOf(bundle){
+  return "sha256:" + crypto.createHash("sha256").update(JSON.stringify([bundle.last_date, bundle.shards, bundle.seen])).digest("hex");
+}
+
+// shards: readShard entries { shardId, filename, status, array }
+export function createSnapshot({ reason = "manual", storage, lastDate = null, shards, seen = null, createdAt = new Date() }){
+  const bundle = {
+    membit_snapshot: SNAPSHOT_VERSION,
+    created_at: createdAt.toISOString(),
+    reason,
+    storage,
+    last_date: lastDate,
+    shards: shards.map(s => ({ shardId: s.shardId, filename: s.filename || null, status: s.status || "ok", count: s.array.length, items: s.array })),
+    seen
+  };
+  bundle.checksum = checksumOf(bundle);
+  return bundle;
+}
+
+// ----------------- names -----------------
+// snapshot_2026-01-31T00-00-05-000Z_daily_reset.json: sorting by name sorts by time
+export function snapshotName(reason, at = new Date()){
+  return `snapshot_${at.toISOString().replace(/[:.]/g, "-")}_${reason}.json`;
+}
+// -> { name, created_at, reason }, or null for other files
+export function parseSnapshotName(name){
+  const m = NAME_RE.exec(name);
+  return m ? { name, created_at: `${m[1]}T${m[2]}:${m[3]}:${m[4]}.${m[5]}Z`, reason: m[6] } : null;
+}
+
+// ----------------- encoding -----------------
+export function encodeSnapshot(bundle){
+  const data = zlib.gzipSync(Buffer.from(JSON.stringify(bundle), "utf8")).toString("base64");
+  return JSON.stringify({ membit_snapshot_file: SNAPSHOT_VERSION, encoding: "gzip+base64", data });
+}
+
+// A bundle from a stored snapshot, a snapshot file (a Buffer of plain or gzipped JSON) or a parsed
+// object. Throws when it isn't JSON; validateSnapshot says whether the result is a usable bundle.
+export function decodeSnapshot(input){
+  let value = input;
+  if (Buffer.isBuffer(value)) value = (value[0] === 0x1f && value[1] === 0x8b ? zlib.gunzipSync(value) : value).toString("utf8");
+  if (typeof value === "string") value = JSON.parse(value);
+  if (value && value.membit_snapshot_file !== undefined) {
+    if (value.encoding !== "gzip+base64" || typeof value.data !== "string") throw new Error(`unsupported snapshot file encoding ${JSON.stringify(value.encoding)}`);
+    value = JSON.parse(zlib.gunzipSync(Buffer.from(value.data, "base64")).toString("utf8"));
+  }
+  return value;
+}
+
+// ----------------- validation / diff -----------------
+// What makes a bundle unusable; [] when it can be restored
+export function validateSnapshot(bundle){
+  if (!bundle || typeof bundle !== "object" || Array.isArray(bundle)) return ["not a snapshot object"];
+  const errors = [];
+  if (bundle.membit_snapshot !== SNAPSHOT_VERSION) errors.push(`unsupported snapshot version ${JSON.stringify(bundle.membit_snapshot)} (expected ${SNAPSHOT_VERSION})`);
+  if (bundle.last_date !== null && !/^\d{4}-\d{2}-\d{2}$/.test(String(bundle.last_date))) errors.push("last_date must be YYYY-MM-DD or null");
+  if (!Array.isArray(bundle.shards)) {
+    errors.push("shards must be an array");
+  } else {
+    const ids = new Set();
+    bundle.shards.forEach((s, i) => {
+      if (!s || typeof s.shardId !== "string" || !s.shardId) return errors.push(`shards[${i}]: shardId missing`);
+      if (ids.has(s.shardId)) errors.push(`shards[${i}]: duplicate shard ${s.shardId}`);
+      ids.add(s.shardId);
+      if (!Array.isArray(s.items)) errors.push(`shards[${i}] (${s.shardId}): items must be an array`);
+      else if (s.items.some(it => !it || typeof it !== "object" || Array.isArray(it))) errors.push(`shards[${i}] (${s.shardId}): items must be objects`);
+    });
+  }
+  if (bundle.seen !== null && (!bundle.seen || typeof bundle.seen !== "object" || typeof bundle.seen.storage !== "string")) {
+    errors.push("seen must be null or { storage, count, state }");
+  }
+  if (!errors.length && bundle.checksum !== checksumOf(bundle)) errors.push("checksum mismatch: the bundle was changed or cut short");
+  return errors;
+}
+
+// bundle shards taken while unreadable hold no posts to put back
+export function snapshotShardRestorable(shard){
+  return !shard.status || shard.status === "ok" || shard.status === "empty";
+}
+
+/*
+ What restoring `bundle` changes. current: { storage, lastDate, seenCount, shards: [readShard entries] }.
+ Current shards the bundle doesn't have are emptied; bundle shards this deployment doesn't have are
+ listed in unknown_shards (a restore refuses them).
+ returns { last_date, seen, shards: [{ shardId, current, snapshot, added, removed, action }], unknown_shards, totals }
+*/
+export function diffSnapshot(current, bundle){
+  const byId = new Map(bundle.shards.map(s => [s.shardId, s]));
+  const totals = { current: 0, snapshot: 0, added: 0, removed: 0 };
+  const shards = current.shards.map(cur => {
+    const snap = byId.get(cur.shardId);
+    const row = { shardId: cur.shardId, status: cur.status || "ok", current: cur.array.length };
+    totals.current += cur.array.length;
+    if (snap && !snapshotShardRestorable(snap)) {
+      return Object.assign(row, { snapshot: null, action: "skip", reason: `was ${snap.status} when the snapshot was taken` });
+    }
+    const target = snap ? snap.items : [];
+    const currentKeys = new Set(cur.array.map(itemKey));
+    const targetKeys = new Set(target.map(itemKey));
+    const added = target.filter(it => !currentKeys.has(itemKey(it))).length;
+    const removed = cur.array.filter(it => !targetKeys.has(itemKey(it))).length;
+    totals.snapshot += target.length;
+    totals.added += added;
+    totals.removed += removed;
+    const changed = JSON.stringify(cur.array) !== JSON.stringify(target) || !["ok", "empty"].includes(row.status);
+    return Object.assign(row, { snapshot: target.length, added, removed, action: changed ? "replace" : "unchanged" }, snap ? {} : { not_in_snapshot: true });
+  });
+  return {
+    last_date: { current: current.lastDate, snapshot: bundle.last_date, changed: current.lastDate !== bundle.last_date },
+    seen: {
+      current: current.seenCount,
+      snapshot: bundle.seen ? bundle.seen.count : null,
+      restore: bundle.seen && bundle.seen.storage === current.storage ? "state" : "rebuild_from_posts"
+    },
+    shards,
+    unknown_shards: bundle.shards.filter(s => !current.shards.some(c => c.shardId === s.shardId)).map(s => s.shardId),
+    totals
+  };
+}
@@ -0,0 +1,41 @@
+// lib/stats.js
+// Aggregations for GET /collector/stats.
+
+import { getPath } from "./query.js";
+
+// Most frequent values per field (dot paths). Array values count once per element, strings are
+// compared case-insensitively with a leading @ dropped. returns { field: [{ value, count }] }
+export function topValues(items, fields, n = 10){
+  const out = {};
+  for (const field of fields) {
+    const counts = new Map();
+    for (const it of items) {
+      const v = getPath(it, field);
+      for (const x of Array.isArray(v) ? v : [v]) {
+        if (typeof x !== "string" && typeof x !== "number") continue;
+        const key = String(x).trim().toLowerCase().replace(/^@/, "");
+        if (key) counts.set(key, (counts.get(key) || 0) + 1);
+      }
+    }
+    out[field] = Array.from(counts, ([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+      .slice(0, n);
+  }
+  return out;
+}
+
+// { HH: { metric: n } } -> [{ hour: "00", accepted, skipped, stored, ... }] for all 24 hours, plus totals
+export function hourlySeries(hours, metrics){
+  const series = [];
+  const totals = Object.fromEntries(metrics.map(m => [m, 0]));
+  for (let h = 0; h < 24; h++) {
+    const hour = String(h).padStart(2, "0");
+    const row = { hour };
+    for (const m of metrics) {
+      row[m] = Number((hours[hour] || {})[m]) || 0;
+      totals[m] += row[m];
+    }
+    series.push(row);
+  }
+  return { hours: series, totals };
+}
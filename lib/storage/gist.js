@@ -0,0 +1,833 @@
+// lib/storage/gist.js
+// Gist-backed storage adapter (the original layout):
+//   - each GIST_DATA_UTAMA gist holds one data_utama.json array (a shard)
+//   - GIST_ID_GLOBAL holds data_id_global.json: rolling-window Bloom filters (lib/dedupe.js), or
+//     the flat { seen: [...] } list when DEDUPE_WINDOW_HOURS=0
+//   - GIST_DATA_TANGGAL (or a fallback gist) holds data_tanggal.json { last_date }
+//   - GIST_IDEMPOTENCY (or GIST_ID_GLOBAL) holds idempotency.json { records: { key: record } }
+//   - GIST_STATS (or GIST_ID_GLOBAL) holds ingest_stats.json { days: { YYYY-MM-DD: { HH: { metric: n } } } }
+//   - GIST_INGEST_QUEUE holds the ingest queue, one batch_<time>_<rand>.json file per queued batch
+//   - GIST_WEBHOOK_DLQ (or GIST_ID_GLOBAL) holds webhook dead letters, one dead_<deliveryId>.json each
+//   - GIST_BACKUP holds state snapshots, one snapshot_<time>_<reason>.json each (lib/snapshot.js)
+
+import {
+  DATA_UTAMA_GISTS, GIST_ID_GLOBAL, GIST_DATA_TANGGAL, GIST_ARCHIVE, GIST_IDEMPOTENCY, GIST_INGEST_QUEUE, GIST_STATS, GIST_WEBHOOK_DLQ, GIST_SHARD_REGISTRY, GIST_BACKUP,
+  MAX_SHARDS,
+  MAX_ITEMS_PER_FILE, MAX_BYTES_PER_FILE, SHARD_FORMAT, MAX_SYNC_ATTEMPTS, SYNC_RETRY_BASE_MS, DEDUPE_WINDOW_HOURS, SHARD_RESTORE_MAX_REVISIONS
+} from "../config.js";
+import {
+  fetchGistContent, fetchGistRevision, patchGistOnce, patchGistWithRetries, createGist, isTokensExhausted
+} from "../github.js";
+import { sleep, itemKey, toPostsArray } from "../util.js";
+import {
+  SEEN_FILTER_FORMAT, emptySeenFilter, parseSeenFilter, serializeSeenFilter, seenFilterHas, addToSeenFilter,
+  compactSeenFilter, mergeSeenFilter, seenFilterCount
+} from "../dedupe.js";
+import { parseShardContent, encodeShardContent, itemsThatFit, shardWritable, checkShardItems } from "../shards.js";
+import { createLogger } from "../log.js";
+
+const log = createLogger("storage.gist");
+
+// ----------------- Shard parsing -----------------
+// Shard files that don't parse as a post array keep their status (lib/shards.js) instead of reading
+// as [], so nothing appends over them. Repairs park the old content next to the shard file as
+// quarantine_<time>.json|txt. Shards are written in SHARD_FORMAT and read in any format.
+const QUARANTINE_PREFIX = "quarantine_";
+function parseShard(fetched){
+  if (!fetched.filename || fetched.filename.startsWith(QUARANTINE_PREFIX)) return { status: "missing_file", array: [], format: null };
+  return parseShardContent(fetched.contentRaw);
+}
+// posts of a fetched shard (revision) whatever its format; [] when it doesn't parse
+function shardArray(fetched){
+  return parseShardContent(fetched.contentRaw).array;
+}
+function encodeShard(array){
+  return encodeShardContent(array, SHARD_FORMAT);
+}
+// a repair write is a plain PATCH: append back whatever a concurrent append committed under it
+async function reapplyClobbered(gid, filename, patched, baseVersion, written){
+  const lost = await findClobberedItems(gid, patched, baseVersion, written);
+  if (!lost.length) return;
+  log.warn("repair overwrote concurrently appended items, re-appending", { gist: gid, items: lost.length });
+  await safeAppendToGist({ shardId: gid, filename }, lost);
+}
+function quarantineFileName(raw){
+  const ts = new Date().toISOString().replace(/[:.]/g, "-");
+  return `${QUARANTINE_PREFIX}${ts}.${parseShardContent(raw).status === "invalid_json" ? "txt" : "json"}`;
+}
+
+// ----------------- SAFE append (optimistic sync) -----------------
+function jitterBackoff(attempt, baseMs = SYNC_RETRY_BASE_MS){
+  const exp = Math.pow(2, attempt) * baseMs;
+  const jitter = Math.floor(Math.random() * baseMs);
+  return exp + jitter;
+}
+
+// Items from `extra` whose key isn't already in `base`
+function missingFrom(base, extra){
+  const keys = new Set(base.map(itemKey));
+  return extra.filter(it => !keys.has(itemKey(it)));
+}
+
+// After a PATCH, look at the gist history: if another commit landed between the revision we read
+// (baseVersion) and ours, our write replaced it. Return the items of that commit we didn't carry over.
+async function findClobberedItems(gistId, patched, baseVersion, writtenArray){
+  const history = Array.isArray(patched && patched.history) ? patched.history : [];
+  if (!baseVersion || history.length < 2) return [];
+  const baseIdx = history.findIndex(h => h.version === baseVersion);
+  if (baseIdx === 1) return []; // nobody committed in between
+  // history[1] is the state right before our write; older in-between commits were already
+  // replaced by that writer, who runs this same check for them.
+  const clobbered = await fetchGistRevision(gistId, history[1].version);
+  return missingFrom(writtenArray, shardArray(clobbered));
+}
+
+/*
+ Optimistic compare-and-swap append. Each attempt re-reads the gist, merges by id (itemKey), takes
+ what fits under MAX_ITEMS_PER_FILE and MAX_BYTES_PER_FILE, writes, then verifies: (1) no concurrent commit was overwritten (gist history), (2) our items are present on
+ re-read. A failed check re-runs the loop with jittered backoff, up to MAX_SYNC_ATTEMPTS.
+ returns { stored: [...], notStored: [...], updatedArray: [...] }
+*/
+async function safeAppendToGist(gistEntry, incomingItems){
+  const { shardId: gistId, filename } = gistEntry;
+  let recovered = []; // items a previous attempt of ours overwrote, to be written back
+  let lastArray = [];
+  // Overwriting someone else's commit makes us responsible for writing it back, so each clobber
+  // buys one extra attempt (bounded at 3x MAX_SYNC_ATTEMPTS).
+  let maxAttempts = MAX_SYNC_ATTEMPTS;
+  for (let attempt = 0; attempt < maxAttempts; attempt++){
+    if (attempt > 0) await sleep(jitterBackoff(attempt - 1));
+    try {
+      const fetched = await fetchGistContent(gistId);
+      const parsed = parseShard(fetched);
+      if (!shardWritable(parsed.status)) {
+        log.error("safeAppendToGist: refusing to append to an unusable shard (repair it via /collector/admin/shards)", { gist: gistId, status: parsed.status });
+        return { stored: [], notStored: incomingItems, updatedArray: [] };
+      }
+      const existingArray = parsed.array;
+      const baseArray = existingArray.concat(missingFrom(existingArray, recovered));
+      const pending = missingFrom(baseArray, incomingItems);
+      const alreadyStored = incomingItems.filter(it => !pending.includes(it));
+      const available = Math.max(0, MAX_ITEMS_PER_FILE - baseArray.length);
+      const byCount = pending.slice(0, available);
+      const toTake = byCount.slice(0, itemsThatFit(baseArray, byCount, SHARD_FORMAT, MAX_BYTES_PER_FILE));
+      lastArray = baseArray;
+
+      if (toTake.length === 0 && baseArray.length === existingArray.length) {
+        return { stored: alreadyStored, notStored: pending, updatedArray: existingArray };
+      }
+
+      const newArr = baseArray.concat(toTake);
+      const patched = await patchGistOnce(gistId, fetched.filename || (filename || 'data_utama.json'), encodeShard(newArr));
+      lastArray = newArr;
+
+      const lost = await findClobberedItems(gistId, patched, fetched.version, newArr);
+      if (lost.length > 0) {
+        log.warn("safeAppendToGist: overwrote concurrent items, re-applying", { gist: gistId, attempt: attempt + 1, items: lost.length });
+        recovered = recovered.concat(missingFrom(recovered, lost));
+        maxAttempts = Math.min(maxAttempts + 1, MAX_SYNC_ATTEMPTS * 3);
+        continue;
+      }
+      recovered = [];
+
+      const verify = await fetchGistContent(gistId);
+      const missing = missingFrom(shardArray(verify), alreadyStored.concat(toTake));
+      if (missing.length > 0) {
+        log.warn("safeAppendToGist: items missing after write, retrying", { gist: gistId, attempt: attempt + 1, items: missing.length });
+        continue;
+      }
+      log.info("safeAppendToGist: appended", { gist: gistId, attempt: attempt + 1, stored: toTake.length, already_stored: alreadyStored.length, count: newArr.length });
+      return { stored: alreadyStored.concat(toTake), notStored: pending.slice(toTake.length), updatedArray: newArr };
+    } catch (e){
+      if (isTokensExhausted(e)) throw e;
+      log.warn("safeAppendToGist: attempt failed", { gist: gistId, attempt: attempt + 1, max_attempts: maxAttempts, error: e });
+    }
+  }
+
+  if (recovered.length > 0) {
+    log.error("safeAppendToGist: could not re-apply overwritten items", { gist: gistId, items: recovered.length, keys: recovered.map(itemKey) });
+  }
+  // Out of attempts: report only what is verifiably in the gist so the caller can try another shard
+  try {
+    const finalArr = shardArray(await fetchGistContent(gistId));
+    const notStored = missingFrom(finalArr, incomingItems);
+    return { stored: incomingItems.filter(it => !notStored.includes(it)), notStored, updatedArray: finalArr };
+  } catch (e){
+    return { stored: [], notStored: incomingItems, updatedArray: lastArray };
+  }
+}
+
+// ----------------- Date gist selection -----------------
+// The marker may share a gist with other files (GIST_ID_GLOBAL, a shard), so it is always read from and
+// written to this file name.
+const DATE_FILE = "data_tanggal.json";
+function pickDateGistId(){
+  if (GIST_DATA_TANGGAL) return GIST_DATA_TANGGAL;
+  if (GIST_ID_GLOBAL) return GIST_ID_GLOBAL;
+  if (DATA_UTAMA_GISTS && DATA_UTAMA_GISTS.length > 0) return DATA_UTAMA_GISTS[0];
+  return null;
+}
+
+// ----------------- id_global helpers -----------------
+async function getIdGlobalSet(){
+  if (!GIST_ID_GLOBAL) return new Set();
+  try {
+    // GIST_ID_GLOBAL holds other files too (idempotency, stats, dead letters): only the seen list counts
+    const fetched = await fetchGistContent(GIST_ID_GLOBAL, SEEN_LIST.filename);
+    return new Set(fetched.filename === SEEN_LIST.filename ? toSeenArray(fetched.content) : []);
+  } catch (e){
+    // an empty set here would let every id through dedupe, so surface exhausted tokens instead
+    if (isTokensExhausted(e)) throw e;
+    log.warn("getIdGlobalSet failed", { error: e });
+    return new Set();
+  }
+}
+function toSeenArray(content){
+  if (!content) return [];
+  if (Array.isArray(content)) return content.map(String);
+  if (Array.isArray(content.seen)) return content.seen.map(String);
+  if (Array.isArray(content.ids)) return content.ids.map(String);
+  return [];
+}
+// Read-merge-write of a list stored in a gist (the seen ids, the shard registry) with the same
+// history check as safeAppendToGist, so two concurrent writers don't drop each other's entries.
+// spec: { filename, toList(content) -> [string], toContent(list) -> object, label }
+async function mergeIntoGistList(gistId, spec, ids){
+  let pendingIds = ids.map(String);
+  let maxAttempts = MAX_SYNC_ATTEMPTS;
+  for (let attempt = 0; attempt < maxAttempts; attempt++){
+    if (attempt > 0) await sleep(jitterBackoff(attempt - 1));
+    const fetched = await fetchGistContent(gistId, spec.filename);
+    const current = fetched.filename === spec.filename ? spec.toList(fetched.content) : [];
+    const currentSet = new Set(current);
+    const toAdd = pendingIds.filter(id => !currentSet.has(id));
+    if (toAdd.length === 0) return current;
+    const merged = current.concat(Array.from(new Set(toAdd)));
+    const patched = await patchGistWithRetries(gistId, { [spec.filename]: { content: JSON.stringify(spec.toContent(merged), null, 2) } });
+    const history = Array.isArray(patched && patched.history) ? patched.history : [];
+    if (!fetched.version || history.length < 2 || history[1].version === fetched.version) return merged;
+    const previous = await fetchGistRevision(gistId, history[1].version, spec.filename);
+    const clobbered = previous.filename === spec.filename ? spec.toList(previous.content) : [];
+    const mergedSet = new Set(merged);
+    const lost = clobbered.filter(id => !mergedSet.has(id));
+    if (lost.length === 0) return merged;
+    log.warn(`${spec.label}: overwrote concurrent entries, re-applying`, { attempt: attempt + 1, entries: lost.length });
+    pendingIds = merged.concat(lost);
+    maxAttempts = Math.min(maxAttempts + 1, MAX_SYNC_ATTEMPTS * 3);
+  }
+  log.warn(`${spec.label}: gave up`, { attempts: maxAttempts });
+  return null;
+}
+
+const SEEN_LIST = { filename: "data_id_global.json", toList: toSeenArray, toContent: (seen) => ({ seen }), label: "mergeIntoIdGlobalSet" };
+async function mergeIntoIdGlobalSet(ids){
+  if (!GIST_ID_GLOBAL) throw new Error("GIST_ID_GLOBAL not configured");
+  await mergeIntoGistList(GIST_ID_GLOBAL, SEEN_LIST, ids);
+}
+
+// ----------------- rolling-window seen filter -----------------
+async function readSeenFilter(){
+  if (!GIST_ID_GLOBAL) return emptySeenFilter();
+  try {
+    const fetched = await fetchGistContent(GIST_ID_GLOBAL, SEEN_LIST.filename);
+    return parseSeenFilter(fetched.filename === SEEN_LIST.filename ? fetched.content : null);
+  } catch (e){
+    if (isTokensExhausted(e)) throw e;
+    log.warn("readSeenFilter failed", { error: e });
+    return emptySeenFilter();
+  }
+}
+
+// Same compare-and-swap loop as mergeIntoGistList, but a clobbered revision is merged back by
+// OR-ing its filter bits. Expired buckets are dropped on every write, so this doubles as compaction
+// (ids = [] just compacts). Returns the number of buckets dropped, or null when it gave up.
+async function mergeIntoSeenFilter(ids){
+  let recovered = null;
+  let maxAttempts = MAX_SYNC_ATTEMPTS;
+  for (let attempt = 0; attempt < maxAttempts; attempt++){
+    if (attempt > 0) await sleep(jitterBackoff(attempt - 1));
+    const now = Date.now();
+    const fetched = await fetchGistContent(GIST_ID_GLOBAL, SEEN_LIST.filename);
+    const content = fetched.filename === SEEN_LIST.filename ? fetched.content : null;
+    const doc = parseSeenFilter(content, now);
+    const migrating = !content || content.format !== SEEN_FILTER_FORMAT;
+    const fresh = ids.map(String).filter(id => !seenFilterHas(doc, id, now));
+    const dropped = compactSeenFilter(doc, now);
+    const reapplied = recovered ? mergeSeenFilter(doc, recovered) : 0;
+    if (!fresh.length && !dropped && !reapplied && !(migrating && doc.buckets.length)) return 0;
+    addToSeenFilter(doc, fresh, now);
+    const patched = await patchGistWithRetries(GIST_ID_GLOBAL, { [SEEN_LIST.filename]: { content: JSON.stringify(serializeSeenFilter(doc)) } });
+    const history = Array.isArray(patched && patched.history) ? patched.history : [];
+    if (!fetched.version || history.length < 2 || history[1].version === fetched.version) return dropped;
+    const previous = await fetchGistRevision(GIST_ID_GLOBAL, history[1].version, SEEN_LIST.filename);
+    const clobbered = parseSeenFilter(previous.filename === SEEN_LIST.filename ? previous.content : null, now);
+    compactSeenFilter(clobbered, now);
+    if (mergeSeenFilter(doc, clobbered) === 0) return dropped;
+    log.warn("mergeIntoSeenFilter: overwrote a concurrent update, re-applying", { attempt: attempt + 1 });
+    if (recovered) mergeSeenFilter(recovered, clobbered);
+    else recovered = clobbered;
+    maxAttempts = Math.min(maxAttempts + 1, MAX_SYNC_ATTEMPTS * 3);
+  }
+  log.warn("mergeIntoSeenFilter: gave up", { attempts: maxAttempts });
+  return null;
+}
+
+// ----------------- Idempotency records -----------------
+// idempotency.json { records: { <key>: { ...record, expires_at } } }. Updates go through the same
+// history check as the other read-merge-write helpers; records lost to a concurrent write are put
+// back. Claims are best effort here (two requests racing on one key can both get in), unlike the
+// redis SET NX.
+const IDEMPOTENCY_FILE = "idempotency.json";
+function idempotencyGistId(){ return GIST_IDEMPOTENCY || GIST_ID_GLOBAL; }
+function liveRecords(content, now){
+  const records = (content && content.records && typeof content.records === "object") ? content.records : {};
+  const out = {};
+  for (const [k, r] of Object.entries(records)) if (r && Date.parse(r.expires_at) > now) out[k] = r;
+  return out;
+}
+// mutate(records) edits the map in place and returns false when there is nothing to write
+async function updateIdempotencyRecords(mutate){
+  const gistId = idempotencyGistId();
+  let recovered = {};
+  let maxAttempts = MAX_SYNC_ATTEMPTS;
+  for (let attempt = 0; attempt < maxAttempts; attempt++){
+    if (attempt > 0) await sleep(jitterBackoff(attempt - 1));
+    const now = Date.now();
+    const fetched = await fetchGistContent(gistId, IDEMPOTENCY_FILE);
+    const ours = fetched.filename === IDEMPOTENCY_FILE ? fetched.content : null;
+    const records = liveRecords(ours, now);
+    for (const [k, r] of Object.entries(liveRecords({ records: recovered }, now))) if (!(k in records)) records[k] = r;
+    const pruned = ours && ours.records ? Object.keys(ours.records).length - Object.keys(liveRecords(ours, now)).length : 0;
+    if (mutate(records) === false && !pruned && !Object.keys(recovered).length) return;
+    const patched = await patchGistWithRetries(gistId, { [IDEMPOTENCY_FILE]: { content: JSON.stringify({ records }) } });
+    const history = Array.isArray(patched && patched.history) ? patched.history : [];
+    if (!fetched.version || history.length < 2 || history[1].version === fetched.version) return;
+    const clobbered = await fetchGistRevision(gistId, history[1].version, IDEMPOTENCY_FILE);
+    const lost = Object.entries(liveRecords(clobbered.filename === IDEMPOTENCY_FILE ? clobbered.content : null, now)).filter(([k]) => !(k in records));
+    if (!lost.length) return;
+    log.warn("updateIdempotencyRecords: overwrote concurrent records, re-applying", { attempt: attempt + 1, records: lost.length });
+    for (const [k, r] of lost) recovered[k] = r;
+    maxAttempts = Math.min(maxAttempts + 1, MAX_SYNC_ATTEMPTS * 3);
+  }
+  log.warn("updateIdempotencyRecords: gave up", { attempts: maxAttempts });
+}
+
+// ----------------- Ingest counters -----------------
+// Counters are only ever incremented, so a write that overwrote a concurrent one can put the other
+// writer's increments back: they are the difference between the clobbered revision and the one we read.
+const STATS_FILE = "ingest_stats.json";
+const STATS_KEEP_DAYS = 7;
+function statsGistId(){ return GIST_STATS || GIST_ID_GLOBAL; }
+function statsDays(content){
+  return content && content.days && typeof content.days === "object" ? content.days : {};
+}
+// adds b into a (both { day: { hour: { metric: n } } }), sign -1 subtracts
+function addCounts(a, b, sign = 1){
+  for (const [day, hours] of Object.entries(b)) {
+    for (const [hour, metrics] of Object.entries(hours || {})) {
+      for (const [m, n] of Object.entries(metrics || {})) {
+        const d = a[day] = a[day] || {};
+        const h = d[hour] = d[hour] || {};
+        h[m] = (h[m] || 0) + sign * (Number(n) || 0);
+      }
+    }
+  }
+  return a;
+}
+function hasCounts(days){
+  return Object.values(days).some(hours => Object.values(hours).some(ms => Object.values(ms).some(n => n !== 0)));
+}
+async function addToIngestCounters(delta){
+  const gistId = statsGistId();
+  let pending = JSON.parse(JSON.stringify(delta));
+  let maxAttempts = MAX_SYNC_ATTEMPTS;
+  for (let attempt = 0; attempt < maxAttempts; attempt++){
+    if (attempt > 0) await sleep(jitterBackoff(attempt - 1));
+    const fetched = await fetchGistContent(gistId, STATS_FILE);
+    const base = statsDays(fetched.filename === STATS_FILE ? fetched.content : null);
+    const days = addCounts(JSON.parse(JSON.stringify(base)), pending);
+    // keep the newest STATS_KEEP_DAYS days
+    for (const day of Object.keys(days).sort().slice(0, -STATS_KEEP_DAYS)) delete days[day];
+    const patched = await patchGistWithRetries(gistId, { [STATS_FILE]: { content: JSON.stringify({ days, updated_at: new Date().toISOString() }) } });
+    const history = Array.isArray(patched && patched.history) ? patched.history : [];
+    if (!fetched.version || history.length < 2 || history[1].version === fetched.version) return;
+    const clobbered = await fetchGistRevision(gistId, history[1].version, STATS_FILE);
+    const lost = addCounts(JSON.parse(JSON.stringify(statsDays(clobbered.filename === STATS_FILE ? clobbered.content : null))), base, -1);
+    if (!hasCounts(lost)) return;
+    log.warn("addToIngestCounters: overwrote a concurrent update, re-applying", { attempt: attempt + 1 });
+    pending = lost;
+    maxAttempts = Math.min(maxAttempts + 1, MAX_SYNC_ATTEMPTS * 3);
+  }
+  log.warn("addToIngestCounters: gave up", { attempts: maxAttempts });
+}
+
+// ----------------- Ingest queue -----------------
+// Each enqueue adds its own file and a drained batch deletes (or rewrites) only its own file, so queue
+// writers never overwrite each other and need no history check. GitHub lists at most 300 files per
+// gist; batches beyond that show up as the older ones are drained.
+const QUEUE_FILE_RE = /^batch_.+\.json$/;
+function newQueueBatchId(){
+  return `batch_${new Date().toISOString().replace(/[:.]/g, "-")}_${Math.random().toString(36).slice(2, 8)}.json`;
+}
+async function readQueueBatches(){
+  if (!GIST_INGEST_QUEUE) return [];
+  const { gistMeta } = await fetchGistContent(GIST_INGEST_QUEUE);
+  const files = (gistMeta && gistMeta.files) || {};
+  const names = Object.keys(files).filter(n => QUEUE_FILE_RE.test(n)).sort();
+  return Promise.all(names.map(async (name) => {
+    let content = null;
+    if (!files[name].truncated) {
+      try { content = JSON.parse(files[name].content); } catch (e) { content = null; }
+    }
+    if (!content) content = (await fetchGistContent(GIST_INGEST_QUEUE, name)).content;
+    return {
+      batchId: name,
+      enqueued_at: (content && content.enqueued_at) || null,
+      attempts: (content && content.attempts) || 0,
+      items: toPostsArray(content && content.items)
+    };
+  }));
+}
+
+// ----------------- Webhook dead letters -----------------
+// One file per failed delivery, named after its delivery id, so writers never overwrite each other
+// and a replayed delivery that fails again just rewrites its own file.
+const DEAD_LETTER_RE = /^dead_.+\.json$/;
+function deadLetterGistId(){ return GIST_WEBHOOK_DLQ || GIST_ID_GLOBAL; }
+function deadLetterFile(id){ return `dead_${String(id).replace(/[^A-Za-z0-9_-]/g, "")}.json`; }
+async function readDeadLetters(){
+  const gistId = deadLetterGistId();
+  if (!gistId) return [];
+  const { gistMeta } = await fetchGistContent(gistId);
+  const files = (gistMeta && gistMeta.files) || {};
+  const names = Object.keys(files).filter(n => DEAD_LETTER_RE.test(n));
+  const records = await Promise.all(names.map(async (name) => {
+    let content = null;
+    if (!files[name].truncated) {
+      try { content = JSON.parse(files[name].content); } catch (e) { content = null; }
+    }
+    if (!content) content = (await fetchGistContent(gistId, name)).content;
+    return content && content.id ? content : null;
+  }));
+  return records.filter(Boolean).sort((a, b) => String(a.failed_at).localeCompare(String(b.failed_at)));
+}
+
+// ----------------- Shard registry -----------------
+// GIST_SHARD_REGISTRY holds shard_registry.json { shards: [gistId...] } listing shards created by
+// provisionShards. The active shard list is GIST_DATA_UTAMA followed by the registry entries.
+const REGISTRY_LIST = {
+  filename: "shard_registry.json",
+  toList: (content) => (content && Array.isArray(content.shards) ? content.shards.map(String) : []),
+  toContent: (shards) => ({ shards, updated_at: new Date().toISOString() }),
+  label: "shardRegistry"
+};
+async function readShardRegistry(){
+  if (!GIST_SHARD_REGISTRY) return [];
+  try {
+    const fetched = await fetchGistContent(GIST_SHARD_REGISTRY, REGISTRY_LIST.filename);
+    return fetched.filename === REGISTRY_LIST.filename ? REGISTRY_LIST.toList(fetched.content) : [];
+  } catch (e) {
+    if (isTokensExhausted(e)) throw e;
+    log.warn("readShardRegistry failed", { error: e });
+    return [];
+  }
+}
+
+async function writeIdGlobalSet(idArray){
+  if (!GIST_ID_GLOBAL) throw new Error("GIST_ID_GLOBAL not configured");
+  return await patchGistWithRetries(GIST_ID_GLOBAL, { [SEEN_LIST.filename]: { content: JSON.stringify({ seen: idArray }, null, 2) } });
+}
+
+export function createGistStorage(){
+  const rateWindows = new Map(); // name -> { start, end, count }, see hitRateWindow
+  return {
+    kind: "gist",
+
+    // ---- data_utama shards ----
+    async listShards(){
+      const registered = await readShardRegistry();
+      return Array.from(new Set([...DATA_UTAMA_GISTS, ...registered]));
+    },
+    // Create up to `count` new secret data_utama gists and record them in the registry.
+    // Returns the new ids (fewer than asked, or none, once MAX_SHARDS is reached).
+    async provisionShards(count){
+      if (!GIST_SHARD_REGISTRY) {
+        log.warn("provisionShards: GIST_SHARD_REGISTRY not configured, can't record new shards");
+        return [];
+      }
+      const current = await this.listShards();
+      const n = Math.min(count, MAX_SHARDS - current.length);
+      const created = [];
+      for (let i = 0; i < n; i++) {
+        const g = await createGist(`membit data_utama shard ${current.length + i + 1}`, { "data_utama.json": { content: "[]" } }, false);
+        created.push(g.id);
+      }
+      if (created.length) {
+        const registry = await mergeIntoGistList(GIST_SHARD_REGISTRY, REGISTRY_LIST, created);
+        if (!registry) log.error("provisionShards: created gists but could not record them in the registry", { gists: created });
+        log.info("provisioned data_utama gists", { gists: created });
+      }
+      return created;
+    },
+    // status: see lib/shards.js; a shard that isn't ok/empty reads as [] and must not be written.
+    // bytes is the file size as stored, for the MAX_BYTES_PER_FILE capacity estimate (shardFreeSlots)
+    async readShard(gid){
+      const g = await fetchGistContent(gid);
+      const { status, array } = parseShard(g);
+      if (!shardWritable(status)) log.warn("readShard: shard is not usable, skipping it", { gist: gid, status });
+      return { shardId: gid, filename: g.filename || "data_utama.json", array, status, bytes: Buffer.byteLength(g.contentRaw || "") };
+    },
+    async readAllShards(){
+      // parallelize reads to reduce total latency
+      const shardIds = await this.listShards();
+      return Promise.all(shardIds.map(async (gid) => {
+        try {
+          return await this.readShard(gid);
+        } catch (e) {
+          if (isTokensExhausted(e)) throw e;
+          log.warn("readAllDataUtama: can't read gist", { gist: gid, error: e });
+          return { shardId: gid, filename: "data_utama.json", array: [], status: "unreadable" };
+        }
+      }));
+    },
+    /*
+     entry: { shardId, filename, array: existingArray }
+     items: array of objects to store
+     returns { stored: [...], notStored: [...] }
+    */
+    async appendToShard(entry, items){
+      return safeAppendToGist(entry, items);
+    },
+    async replaceShard(gid, items, filename = null){
+      let name = filename;
+      if (!name) name = (await fetchGistContent(gid)).filename || "data_utama.json";
+      await patchGistOnce(gid, name, encodeShard(items));
+    },
+
+    // ---- shard admin ----
+    async inspectShard(gid){
+      let g;
+      try {
+        g = await fetchGistContent(gid);
+      } catch (e) {
+        if (isTokensExhausted(e)) throw e;
+        return { shardId: gid, status: "unreadable", error: e.message };
+      }
+      const { status, array, format } = parseShard(g);
+      const file = g.filename && g.gistMeta && g.gistMeta.files ? g.gistMeta.files[g.filename] : null;
+      return Object.assign({
+        shardId: gid,
+        filename: g.filename,
+        status,
+        format,
+        count: array.length,
+        bytes: Buffer.byteLength(g.contentRaw || ""),
+        sha: g.fileSha || null,
+        version: g.version,
+        truncated: !!(file && file.truncated),
+        quarantined_files: Object.keys((g.gistMeta && g.gistMeta.files) || {}).filter(n => n.startsWith(QUARANTINE_PREFIX))
+      }, checkShardItems(array));
+    },
+    // Move unusable content into a quarantine file: the whole file when it isn't a post array, else only
+    // the non-object entries. returns { quarantined, file, kept }
+    async quarantineShard(gid, { dryRun = false } = {}){
+      const g = await fetchGistContent(gid);
+      const filename = g.filename && !g.filename.startsWith(QUARANTINE_PREFIX) ? g.filename : "data_utama.json";
+      const { status, array } = parseShard(g);
+      const good = array.filter(it => it && typeof it === "object" && !Array.isArray(it));
+      const whole = !shardWritable(status);
+      const bad = whole ? null : array.filter(it => !good.includes(it));
+      if (status === "missing_file") {
+        // nothing to keep, just give the shard its file back
+        if (!dryRun) await patchGistWithRetries(gid, { [filename]: { content: "[]" } });
+        return { quarantined: 0, file: null, kept: 0, status, created: filename, dry_run: dryRun || undefined };
+      }
+      const quarantined = whole ? 1 : bad.length;
+      if (!quarantined) return { quarantined: 0, file: null, kept: good.length, status };
+      const raw = whole ? (g.contentRaw || "") : JSON.stringify(bad, null, 2);
+      const file = quarantineFileName(raw);
+      if (dryRun) return { quarantined, file, kept: good.length, status, dry_run: true };
+      const patched = await patchGistWithRetries(gid, {
+        [filename]: { content: encodeShard(good) },
+        [file]: { content: raw }
+      });
+      await reapplyClobbered(gid, filename, patched, g.version, good);
+      log.warn("quarantined shard content", { gist: gid, whole_file: whole, status, items: whole ? undefined : bad.length, file });
+      return { quarantined, file, kept: good.length, status };
+    },
+    // Put back the newest revision (or `version`) whose shard file parses, quarantining what's there now.
+    // Only the last SHARD_RESTORE_MAX_REVISIONS revisions are searched. returns { restored, version, count, ... }
+    async restoreShard(gid, { version = null, dryRun = false } = {}){
+      const g = await fetchGistContent(gid);
+      const filename = g.filename && !g.filename.startsWith(QUARANTINE_PREFIX) ? g.filename : "data_utama.json";
+      const history = Array.isArray(g.gistMeta && g.gistMeta.history) ? g.gistMeta.history : [];
+      const candidates = version ? history.filter(h => h.version === version) : history.slice(1, SHARD_RESTORE_MAX_REVISIONS + 1);
+      if (version && !candidates.length) return { restored: false, reason: `revision ${version} not in the gist history` };
+      for (const h of candidates) {
+        const rev = await fetchGistRevision(gid, h.version, filename);
+        const parsed = parseShard(rev);
+        if (parsed.status !== "ok") continue;
+        const report = { restored: !dryRun, version: h.version, committed_at: h.committed_at || null, count: parsed.array.length, current_status: parseShard(g).status };
+        if (dryRun) return Object.assign(report, { dry_run: true });
+        const files = { [filename]: { content: encodeShard(parsed.array) } };
+        if (g.contentRaw && g.filename === filename) {
+          report.quarantine_file = quarantineFileName(g.contentRaw);
+          files[report.quarantine_file] = { content: g.contentRaw };
+        }
+        const patched = await patchGistWithRetries(gid, files);
+        await reapplyClobbered(gid, filename, patched, g.version, parsed.array);
+        log.warn("restored shard revision", { gist: gid, version: h.version, items: parsed.array.length });
+        return report;
+      }
+      return { restored: false, reason: `no parseable revision among the last ${candidates.length}` };
+    },
+
+    // ---- seen ids ----
+    // The gist layout has no membership query, so this still downloads data_id_global.json once.
+    async seenMany(ids){
+      if (DEDUPE_WINDOW_HOURS > 0) {
+        const doc = await readSeenFilter();
+        const now = Date.now();
+        return new Set(ids.map(String).filter(id => seenFilterHas(doc, id, now)));
+      }
+      const seenSet = await getIdGlobalSet();
+      return new Set(ids.map(String).filter(id => seenSet.has(id)));
+    },
+    async addSeen(ids){
+      if (!ids.length) return;
+      if (DEDUPE_WINDOW_HOURS > 0) {
+        if (!GIST_ID_GLOBAL) throw new Error("GIST_ID_GLOBAL not configured");
+        await mergeIntoSeenFilter(ids);
+        return;
+      }
+      await mergeIntoIdGlobalSet(ids);
+    },
+    async replaceSeen(ids){
+      if (!GIST_ID_GLOBAL) return false;
+      if (DEDUPE_WINDOW_HOURS > 0) {
+        const doc = addToSeenFilter(emptySeenFilter(), ids.map(String));
+        await patchGistWithRetries(GIST_ID_GLOBAL, { [SEEN_LIST.filename]: { content: JSON.stringify(serializeSeenFilter(doc)) } });
+        return true;
+      }
+      await writeIdGlobalSet(ids.map(String));
+      return true;
+    },
+    // data_id_global.json as stored, for snapshots: { mode: "window", content } (the Bloom filters) or
+    // { mode: "daily", content: { seen } }
+    async exportSeen(){
+      if (!GIST_ID_GLOBAL) return null;
+      if (DEDUPE_WINDOW_HOURS <= 0) return { mode: "daily", content: { seen: Array.from(await getIdGlobalSet()) } };
+      const fetched = await fetchGistContent(GIST_ID_GLOBAL, SEEN_LIST.filename);
+      return { mode: "window", content: fetched.filename === SEEN_LIST.filename ? fetched.content : null };
+    },
+    // writes back what exportSeen returned; false when the state is from the other dedupe mode (the
+    // caller rebuilds the seen ids from the posts instead)
+    async importSeen(state){
+      if (!GIST_ID_GLOBAL || !state) return false;
+      if (state.mode !== (DEDUPE_WINDOW_HOURS > 0 ? "window" : "daily")) return false;
+      if (state.mode === "daily") {
+        await writeIdGlobalSet(toSeenArray(state.content));
+        return true;
+      }
+      const doc = state.content ? state.content : serializeSeenFilter(emptySeenFilter());
+      await patchGistWithRetries(GIST_ID_GLOBAL, { [SEEN_LIST.filename]: { content: JSON.stringify(doc) } });
+      return true;
+    },
+    // estimated for the Bloom filters
+    async seenCount(){
+      if (DEDUPE_WINDOW_HOURS > 0) return seenFilterCount(await readSeenFilter());
+      return (await getIdGlobalSet()).size;
+    },
+    // Drop ids older than the dedupe window. Returns the number of buckets removed.
+    async compactSeen(){
+      if (DEDUPE_WINDOW_HOURS <= 0 || !GIST_ID_GLOBAL) return 0;
+      return (await mergeIntoSeenFilter([])) || 0;
+    },
+
+    // ---- last_date marker ----
+    // null only when no marker is stored; a failed read or write throws, so the rollover can't mistake
+    // an outage for a first run or go ahead without its claim on the day
+    async getLastDate(){
+      const gid = pickDateGistId();
+      if (!gid) return null;
+      const { filename, content } = await fetchGistContent(gid, DATE_FILE);
+      if (filename !== DATE_FILE || !content) return null;
+      if (typeof content === "string") return content;
+      if (content.last_date) return String(content.last_date);
+      if (content.date) return String(content.date);
+      return null;
+    },
+    async setLastDate(dateStr){
+      const gid = pickDateGistId();
+      if (!gid) throw new Error("no gist for the date marker (set GIST_DATA_TANGGAL)");
+      await patchGistWithRetries(gid, { [DATE_FILE]: { content: JSON.stringify({ last_date: dateStr }, null, 2) } });
+      return dateStr;
+    },
+
+    // ---- ingest counters ----
+    async addIngestCounts(day, hour, counts){
+      if (!statsGistId()) return;
+      await addToIngestCounters({ [day]: { [hour]: counts } });
+    },
+    async readIngestCounts(day){
+      if (!statsGistId()) return {};
+      const fetched = await fetchGistContent(statsGistId(), STATS_FILE);
+      return statsDays(fetched.filename === STATS_FILE ? fetched.content : null)[day] || {};
+    },
+
+    // ---- per-client rate windows ----
+    // Kept in this instance's memory: a gist write per request would cost more than the limit saves,
+    // so under the serverless export each instance enforces the limit on its own.
+    async hitRateWindow(name, windowSec, amount, limit = null){
+      const nowSec = Math.floor(Date.now() / 1000);
+      const start = Math.floor(nowSec / windowSec) * windowSec;
+      for (const [k, w] of rateWindows) if (w.end <= nowSec) rateWindows.delete(k);
+      const w = rateWindows.get(name) || { start, end: start + windowSec, count: 0 };
+      const resetSec = Math.max(1, w.end - nowSec);
+      if (limit !== null && w.count + amount > limit) return { allowed: false, count: w.count, reset_sec: resetSec };
+      w.count += amount;
+      rateWindows.set(name, w);
+      return { allowed: true, count: w.count, reset_sec: resetSec };
+    },
+
+    // ---- ingest queue ----
+    queueAvailable: !!GIST_INGEST_QUEUE,
+    async enqueueBatch(items){
+      if (!GIST_INGEST_QUEUE) throw new Error("GIST_INGEST_QUEUE not configured");
+      const batchId = newQueueBatchId();
+      const payload = { enqueued_at: new Date().toISOString(), attempts: 0, items };
+      await patchGistWithRetries(GIST_INGEST_QUEUE, { [batchId]: { content: JSON.stringify(payload) } });
+      return { batchId, count: items.length };
+    },
+    // oldest first
+    async listQueueBatches(limit = Infinity){
+      return (await readQueueBatches()).slice(0, limit);
+    },
+    // leftover = items of the batch that still could not be stored (kept, attempts + 1)
+    async completeQueueBatch(batch, leftover = []){
+      if (!leftover.length) {
+        await patchGistWithRetries(GIST_INGEST_QUEUE, { [batch.batchId]: null });
+        return;
+      }
+      const payload = { enqueued_at: batch.enqueued_at, attempts: (batch.attempts || 0) + 1, items: leftover };
+      await patchGistWithRetries(GIST_INGEST_QUEUE, { [batch.batchId]: { content: JSON.stringify(payload) } });
+    },
+    async queueDepth(){
+      const batches = await readQueueBatches();
+      return {
+        batches: batches.length,
+        items: batches.reduce((a, b) => a + b.items.length, 0),
+        oldest_enqueued_at: batches.length ? batches[0].enqueued_at : null
+      };
+    },
+
+    // ---- Idempotency-Key records ----
+    async getIdempotencyRecord(key){
+      if (!idempotencyGistId()) return null;
+      const fetched = await fetchGistContent(idempotencyGistId(), IDEMPOTENCY_FILE);
+      if (fetched.filename !== IDEMPOTENCY_FILE) return null;
+      return liveRecords(fetched.content, Date.now())[key] || null;
+    },
+    // returns false when onlyIfAbsent is set and a live record already exists
+    async putIdempotencyRecord(key, record, ttlSec, { onlyIfAbsent = false } = {}){
+      if (!idempotencyGistId()) {
+        log.warn("putIdempotencyRecord: neither GIST_IDEMPOTENCY nor GIST_ID_GLOBAL configured, Idempotency-Key ignored");
+        return true;
+      }
+      let written = true;
+      await updateIdempotencyRecords((records) => {
+        if (onlyIfAbsent && records[key]) { written = false; return false; }
+        records[key] = Object.assign({}, record, { expires_at: new Date(Date.now() + ttlSec * 1000).toISOString() });
+      });
+      return written;
+    },
+    async deleteIdempotencyRecord(key){
+      if (!idempotencyGistId()) return;
+      await updateIdempotencyRecords((records) => {
+        if (!records[key]) return false;
+        delete records[key];
+      });
+    },
+
+    // ---- webhook dead letters ----
+    // returns false when there is no gist to keep them in
+    async putDeadLetter(record){
+      if (!deadLetterGistId()) {
+        log.warn("putDeadLetter: neither GIST_WEBHOOK_DLQ nor GIST_ID_GLOBAL configured, dropping the dead letter", { delivery: record.id });
+        return false;
+      }
+      await patchGistWithRetries(deadLetterGistId(), { [deadLetterFile(record.id)]: { content: JSON.stringify(record, null, 2) } });
+      return true;
+    },
+    async listDeadLetters(){
+      return readDeadLetters();
+    },
+    async deleteDeadLetters(ids){
+      const present = new Set((await readDeadLetters()).map(r => r.id));
+      const gone = ids.filter(id => present.has(id));
+      if (!gone.length) return 0;
+      await patchGistWithRetries(deadLetterGistId(), Object.fromEntries(gone.map(id => [deadLetterFile(id), null])));
+      return gone.length;
+    },
+
+    // ---- archives (flush, daily rollover) ----
+    // GIST_ARCHIVE gets one file per archive; without it every archive is a new secret gist and
+    // listing / reading archives back is not available.
+    async writeArchive(filename, payload){
+      const filesObj = {};
+      filesObj[filename] = { content: JSON.stringify(payload, null, 2) };
+      if (GIST_ARCHIVE) {
+        await patchGistWithRetries(GIST_ARCHIVE, filesObj);
+        return { gistId: GIST_ARCHIVE, filename };
+      }
+      const created = await createGist(`membit archive ${filename}`, filesObj, false);
+      return { gistId: created.id, filename };
+    },
+    describeArchiveTarget(filename){
+      return { gistId: GIST_ARCHIVE, filename, would_create_gist: !GIST_ARCHIVE };
+    },
+    async listArchives(){
+      if (!GIST_ARCHIVE) return [];
+      const { gistMeta } = await fetchGistContent(GIST_ARCHIVE);
+      return Object.keys((gistMeta && gistMeta.files) || {}).sort();
+    },
+    async readArchive(filename){
+      if (!GIST_ARCHIVE) return null;
+      const g = await fetchGistContent(GIST_ARCHIVE, filename);
+      return g.filename === filename ? g.content : null;
+    },
+    async deleteArchive(filename){
+      if (!GIST_ARCHIVE) return false;
+      await patchGistWithRetries(GIST_ARCHIVE, { [filename]: null });
+      return true;
+    },
+
+    // ---- state snapshots ----
+    // only with GIST_BACKUP: unlike archives there is no new-gist fallback, since snapshots are listed
+    // and read back for restores
+    snapshotsAvailable: !!GIST_BACKUP,
+    describeSnapshotTarget(name){
+      return { gistId: GIST_BACKUP, filename: name };
+    },
+    async writeSnapshot(name, text){
+      if (!GIST_BACKUP) throw new Error("GIST_BACKUP not configured");
+      await patchGistWithRetries(GIST_BACKUP, { [name]: { content: text } });
+      return { gistId: GIST_BACKUP, filename: name };
+    },
+    async listSnapshots(){
+      if (!GIST_BACKUP) return [];
+      const { gistMeta } = await fetchGistContent(GIST_BACKUP);
+      return Object.keys((gistMeta && gistMeta.files) || {}).sort();
+    },
+    async readSnapshot(name){
+      if (!GIST_BACKUP) return null;
+      const g = await fetchGistContent(GIST_BACKUP, name);
+      return g.filename === name ? g.content : null;
+    },
+    async deleteSnapshot(name){
+      if (!GIST_BACKUP) return false;
+      await patchGistWithRetries(GIST_BACKUP, { [name]: null });
+      return true;
+    }
+  };
+}
@@ -0,0 +1,64 @@
+// lib/storage/index.js
+// Storage adapter selection. Every adapter is a plain object with the same async methods:
+//
+//   kind                                   "gist" | "redis"
+//   listShards()                           -> [shardId]  (static config plus provisioned shards)
+//   provisionShards(count)                 -> [new shardId]  (bounded by MAX_SHARDS)
+//   readShard(shardId)                     -> { shardId, filename, array, status, bytes? }  (lib/shards.js; a
+//                                             shard that isn't ok/empty reads as [] and is not written to;
+//                                             bytes = stored file size where the adapter has files)
+//   readAllShards()                        -> [{ shardId, filename, array, status }]  (unreadable shards as [])
+//   appendToShard(entry, items)            -> { stored, notStored }  (respects MAX_ITEMS_PER_FILE, and
+//                                             MAX_BYTES_PER_FILE where shards are files)
+//   replaceShard(shardId, items, filename) overwrite a shard (flush / daily reset)
+//   inspectShard(shardId)                  -> { shardId, status, count, bytes, sha, ... item checks }
+//   quarantineShard(shardId, { dryRun })   move unusable content aside -> { quarantined, file, kept }
+//   restoreShard(shardId, { version, dryRun })  gist only: put back a parseable revision
+//   seenMany(ids)                          -> Set of the given ids seen within the dedupe window
+//   addSeen(ids) / replaceSeen(ids)        grow / overwrite the seen ids
+//   seenCount()                            -> number (an estimate for the gist Bloom filters)
+//   exportSeen() / importSeen(state)       the seen ids as stored, for snapshots; importSeen -> false when
+//                                             it can't take that state (then rebuild from the posts)
+//   compactSeen()                          drop ids older than DEDUPE_WINDOW_HOURS
+//   getLastDate() / setLastDate(ymd)       the daily `last_date` marker; getLastDate -> null only when
+//                                             none is stored (read errors throw)
+//   writeArchive(filename, payload)        -> location of the written archive
+//   describeArchiveTarget(filename)        -> where writeArchive would write (dry runs)
+//   listArchives()                         -> [filename]  (sorted)
+//   readArchive(filename)                  -> payload | null
+//   deleteArchive(filename)                retention pruning
+//   snapshotsAvailable                     boolean: whether state snapshots can be stored (lib/snapshot.js)
+//   writeSnapshot(name, text)              -> location; describeSnapshotTarget(name) for dry runs
+//   listSnapshots()                        -> [name]  (sorted)
+//   readSnapshot(name)                     -> the stored snapshot (text or parsed) | null
+//   deleteSnapshot(name)                   retention pruning
+//   getIdempotencyRecord(key)              -> record | null  (expired records are gone)
+//   putIdempotencyRecord(key, record, ttlSec, { onlyIfAbsent }) -> false if onlyIfAbsent and present
+//   deleteIdempotencyRecord(key)
+//   addIngestCounts(day, hour, counts)    add { metric: n } to the hourly ingest counters
+//   readIngestCounts(day)                  -> { HH: { metric: n } }
+//   hitRateWindow(name, windowSec, amount, limit) -> { allowed, count, reset_sec }  add amount to the
+//                                             current fixed window unless that goes over limit (redis:
+//                                             shared by all instances, gist: per instance)
+//   queueAvailable                         boolean: whether the ingest queue is configured
+//   enqueueBatch(items)                    -> { batchId, count }
+//   listQueueBatches(limit)                -> [{ batchId, enqueued_at, attempts, items }]  (oldest first)
+//   completeQueueBatch(batch, leftover)    remove a drained batch, or keep only `leftover`
+//   queueDepth()                           -> { batches, items, oldest_enqueued_at }
+//   putDeadLetter(record)                  store / overwrite a failed webhook delivery (by record.id)
+//   listDeadLetters()                      -> [record]  (oldest failure first)
+//   deleteDeadLetters(ids)                 -> number removed
+//
+// STORAGE_BACKEND picks the adapter: "gist" (default) or "redis".
+
+import { STORAGE_BACKEND } from "../config.js";
+import { createGistStorage } from "./gist.js";
+import { createRedisStorage } from "./redis.js";
+
+export function createStorage(backend = STORAGE_BACKEND, opts = {}){
+  if (backend === "gist") return createGistStorage(opts);
+  if (backend === "redis") return createRedisStorage(opts);
+  throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected "gist" or "redis")`);
+}
+
+export { createGistStorage, createRedisStorage };
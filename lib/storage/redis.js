@@ -0,0 +1,377 @@
+// lib/storage/redis.js
+// Upstash Redis storage adapter. Key layout (all under REDIS_PREFIX, default "membit:"):
+//   shard:<id>        list of JSON-encoded posts (one list per shard, capped at MAX_ITEMS_PER_FILE)
+//   shards            list of shard ids once provisionShards has run (else shard-1..REDIS_SHARD_COUNT)
+//   seen_at           sorted set id -> first-seen time (ms) when DEDUPE_WINDOW_HOURS > 0; entries
+//                     older than the window are ignored and trimmed on write
+//   seen              set of dedupe ids when DEDUPE_WINDOW_HOURS=0 (SMISMEMBER gives O(1) membership per id)
+//   last_date         string YYYY-MM-DD
+//   archive:<name>    JSON archive payload, names kept in the `archives` set
+//   snapshot:<name>   state snapshot (lib/snapshot.js), names kept in the `snapshots` set
+//   idem:<key>        Idempotency-Key record (JSON, expires with EX)
+//   stats:<day>       hash "<HH>:<metric>" -> count of the hourly ingest counters (kept 8 days)
+//   queue             list of queued batch ids, oldest first; queue:<batchId> holds the batch JSON
+//   webhook_dead      hash delivery id -> JSON dead letter (failed webhook deliveries)
+//   quarantine:<shard>:<time>  JSON list of shard entries removed by quarantineShard
+//   rate:<name>:<start>  counter of one hitRateWindow window (per-client limits), expires after two windows
+
+import { Redis } from "@upstash/redis";
+import { REDIS_PREFIX, REDIS_SHARD_COUNT, MAX_ITEMS_PER_FILE, MAX_SHARDS, DEDUPE_WINDOW_HOURS } from "../config.js";
+import { checkShardItems } from "../shards.js";
+import { createLogger } from "../log.js";
+
+const log = createLogger("storage.redis");
+
+const CHUNK = 500; // keep single RPUSH/SADD commands reasonably small
+
+function chunks(arr, size = CHUNK){
+  const out = [];
+  for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
+  return out;
+}
+// The Upstash client deserializes JSON on its own by default; accept both shapes
+function decode(v){
+  if (typeof v !== "string") return v;
+  try { return JSON.parse(v); } catch (e) { return v; }
+}
+
+/*
+ redis: optional client exposing the Upstash command methods used below
+ (rpush, lrange, llen, ltrim, lrem, del, sadd, srem, smembers, smismember, scard, zadd, zmscore,
+ zrange, zremrangebyscore, zcount, hincrby, hgetall, hset, hdel, expire, get, set, incrby, decrby, multi).
+ test/helpers/fake-redis.js is an in-memory stand-in for the tests.
+ Defaults to Redis.fromEnv() (UPSTASH_REDIS_REST_URL / UPSTASH_REDIS_REST_TOKEN).
+ rawRedis: the same database with automaticDeserialization off, for the commands that need an entry's
+ stored text (LREM matches it byte for byte); defaults to `redis` when that is given, else fromEnv.
+*/
+export function createRedisStorage({ redis = null, rawRedis = null, prefix = REDIS_PREFIX, shardCount = REDIS_SHARD_COUNT } = {}){
+  const client = redis || Redis.fromEnv();
+  const rawClient = rawRedis || redis || Redis.fromEnv({ automaticDeserialization: false });
+  const key = (name) => `${prefix}${name}`;
+  const defaultShardIds = Array.from({ length: shardCount }, (_, i) => `shard-${i + 1}`);
+  const windowMs = DEDUPE_WINDOW_HOURS * 3600 * 1000;
+
+  return {
+    kind: "redis",
+
+    // ---- data_utama shards ----
+    async listShards(){
+      const registered = await client.lrange(key("shards"), 0, -1);
+      if (!registered || !registered.length) return defaultShardIds.slice();
+      return Array.from(new Set(registered.map(String)));
+    },
+    async provisionShards(count){
+      const registered = await client.lrange(key("shards"), 0, -1);
+      const current = await this.listShards();
+      const n = Math.min(count, MAX_SHARDS - current.length);
+      if (n <= 0) return [];
+      // first provisioning: persist the implicit default shards so they stay listed
+      if (!registered || !registered.length) await client.rpush(key("shards"), ...defaultShardIds);
+      const created = Array.from({ length: n }, () => `shard-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`);
+      await client.rpush(key("shards"), ...created);
+      log.info("provisioned redis shards", { shards: created });
+      return created;
+    },
+    async readShard(shardId){
+      const raw = await client.lrange(key(`shard:${shardId}`), 0, -1);
+      return { shardId, filename: null, array: (raw || []).map(decode), status: "ok" };
+    },
+    async readAllShards(){
+      const shardIds = await this.listShards();
+      return Promise.all(shardIds.map(async (id) => {
+        try {
+          return await this.readShard(id);
+        } catch (e) {
+          log.warn("readAllDataUtama: can't read redis shard", { shard: id, error: e });
+          return { shardId: id, filename: null, array: [], status: "unreadable" };
+        }
+      }));
+    },
+    // RPUSH then trim back to capacity. Every writer computes its overflow from the length RPUSH
+    // returned, so concurrent appends agree on which items were cut off without a Lua script.
+    async appendToShard(entry, items){
+      if (!items.length) return { stored: [], notStored: [] };
+      const k = key(`shard:${entry.shardId}`);
+      const current = await client.llen(k);
+      const available = Math.max(0, MAX_ITEMS_PER_FILE - current);
+      if (available <= 0) return { stored: [], notStored: items };
+      const toPush = items.slice(0, available);
+      const newLen = await client.rpush(k, ...toPush.map(it => JSON.stringify(it)));
+      const firstIdx = newLen - toPush.length;
+      const keepCount = Math.max(0, Math.min(toPush.length, MAX_ITEMS_PER_FILE - firstIdx));
+      if (newLen > MAX_ITEMS_PER_FILE) await client.ltrim(k, 0, MAX_ITEMS_PER_FILE - 1);
+      return { stored: toPush.slice(0, keepCount), notStored: toPush.slice(keepCount).concat(items.slice(toPush.length)) };
+    },
+    async replaceShard(shardId, items){
+      const k = key(`shard:${shardId}`);
+      const tx = client.multi();
+      tx.del(k);
+      for (const part of chunks(items)) tx.rpush(k, ...part.map(it => JSON.stringify(it)));
+      await tx.exec();
+    },
+
+    // ---- shard admin ----
+    // Lists always hold one JSON value per entry, so a shard is never unparseable as a whole; entries
+    // that aren't post objects are reported (and quarantined) one by one. No revision history here,
+    // so there is no restoreShard.
+    async inspectShard(shardId){
+      const raw = (await client.lrange(key(`shard:${shardId}`), 0, -1)) || [];
+      const array = raw.map(decode);
+      return Object.assign({
+        shardId,
+        filename: null,
+        status: array.length ? "ok" : "empty",
+        format: "list",
+        count: array.length,
+        bytes: raw.reduce((a, v) => a + Buffer.byteLength(typeof v === "string" ? v : JSON.stringify(v)), 0),
+        sha: null,
+        version: null
+      }, checkShardItems(array));
+    },
+    // LREM the non-object entries (by their stored text, so concurrent appends are untouched) after
+    // saving them. quarantined counts what LREM removed; "partial" when some entry couldn't be removed.
+    async quarantineShard(shardId, { dryRun = false } = {}){
+      const k = key(`shard:${shardId}`);
+      const raw = ((await rawClient.lrange(k, 0, -1)) || []).map(v => (typeof v === "string" ? v : JSON.stringify(v)));
+      const bad = raw.filter(v => { const it = decode(v); return !it || typeof it !== "object" || Array.isArray(it); });
+      if (!bad.length) return { quarantined: 0, file: null, kept: raw.length, status: "ok" };
+      const file = `quarantine:${shardId}:${new Date().toISOString()}`;
+      if (dryRun) return { quarantined: bad.length, file: key(file), kept: raw.length - bad.length, status: "ok", dry_run: true };
+      await client.set(key(file), JSON.stringify(bad));
+      let removed = 0;
+      for (const v of new Set(bad)) removed += Number(await rawClient.lrem(k, 0, v)) || 0;
+      if (removed < bad.length) log.warn("quarantine left entries in place", { shard: shardId, bad: bad.length, removed });
+      return { quarantined: removed, file: key(file), kept: raw.length - bad.length, status: removed < bad.length ? "partial" : "ok" };
+    },
+
+    // ---- seen ids ----
+    async seenMany(ids){
+      const list = ids.map(String);
+      if (!list.length) return new Set();
+      if (windowMs > 0) {
+        const scores = await client.zmscore(key("seen_at"), list);
+        const since = Date.now() - windowMs;
+        return new Set(list.filter((_, i) => scores && scores[i] != null && Number(scores[i]) >= since));
+      }
+      const flags = await client.smismember(key("seen"), list);
+      return new Set(list.filter((_, i) => Number(flags[i]) === 1));
+    },
+    async addSeen(ids){
+      if (windowMs > 0) {
+        const now = Date.now();
+        // nx keeps the first-seen time, so the window isn't extended by re-sends
+        for (const part of chunks(ids.map(String))) {
+          await client.zadd(key("seen_at"), { nx: true }, ...part.map(member => ({ score: now, member })));
+        }
+        await this.compactSeen();
+        return;
+      }
+      for (const part of chunks(ids.map(String))) await client.sadd(key("seen"), ...part);
+    },
+    async replaceSeen(ids){
+      const tx = client.multi();
+      if (windowMs > 0) {
+        const now = Date.now();
+        tx.del(key("seen_at"));
+        for (const part of chunks(ids.map(String))) tx.zadd(key("seen_at"), ...part.map(member => ({ score: now, member })));
+      } else {
+        tx.del(key("seen"));
+        for (const part of chunks(ids.map(String))) tx.sadd(key("seen"), ...part);
+      }
+      await tx.exec();
+      return true;
+    },
+    // for snapshots: { mode: "window", entries: [[id, firstSeenMs]] } or { mode: "daily", ids }
+    async exportSeen(){
+      if (windowMs > 0) {
+        const flat = (await client.zrange(key("seen_at"), 0, -1, { withScores: true })) || [];
+        const entries = [];
+        for (let i = 0; i + 1 < flat.length; i += 2) entries.push([String(flat[i]), Number(flat[i + 1])]);
+        return { mode: "window", entries };
+      }
+      return { mode: "daily", ids: ((await client.smembers(key("seen"))) || []).map(String) };
+    },
+    // writes back what exportSeen returned, converted when DEDUPE_WINDOW_HOURS switched modes since
+    // (ids from a daily list count as seen now)
+    async importSeen(state){
+      if (!state || !["window", "daily"].includes(state.mode)) return false;
+      const entries = state.mode === "window"
+        ? (Array.isArray(state.entries) ? state.entries : []).map(([id, ms]) => [String(id), Number(ms)])
+        : (Array.isArray(state.ids) ? state.ids : []).map(id => [String(id), null]);
+      const now = Date.now();
+      const tx = client.multi();
+      if (windowMs > 0) {
+        tx.del(key("seen_at"));
+        for (const part of chunks(entries)) tx.zadd(key("seen_at"), ...part.map(([member, ms]) => ({ score: Number.isFinite(ms) ? ms : now, member })));
+      } else {
+        tx.del(key("seen"));
+        for (const part of chunks(entries)) tx.sadd(key("seen"), ...part.map(([id]) => id));
+      }
+      await tx.exec();
+      return true;
+    },
+    async seenCount(){
+      if (windowMs > 0) return Number(await client.zcount(key("seen_at"), Date.now() - windowMs, "+inf")) || 0;
+      return Number(await client.scard(key("seen"))) || 0;
+    },
+    // Drop ids older than the dedupe window. Returns the number of ids removed.
+    async compactSeen(){
+      if (windowMs <= 0) return 0;
+      return Number(await client.zremrangebyscore(key("seen_at"), 0, Date.now() - windowMs)) || 0;
+    },
+
+    // ---- last_date marker ----
+    // null only when the key is missing; errors are passed on (see checkAndResetDaily)
+    async getLastDate(){
+      const v = await client.get(key("last_date"));
+      return v == null ? null : String(v);
+    },
+    async setLastDate(dateStr){
+      await client.set(key("last_date"), dateStr);
+      return dateStr;
+    },
+
+    // ---- ingest counters ----
+    async addIngestCounts(day, hour, counts){
+      const tx = client.multi();
+      for (const [m, n] of Object.entries(counts)) if (n) tx.hincrby(key(`stats:${day}`), `${hour}:${m}`, n);
+      tx.expire(key(`stats:${day}`), 8 * 86400);
+      await tx.exec();
+    },
+    async readIngestCounts(day){
+      const flat = (await client.hgetall(key(`stats:${day}`))) || {};
+      const hours = {};
+      for (const [field, n] of Object.entries(flat)) {
+        const [hour, m] = field.split(":");
+        (hours[hour] = hours[hour] || {})[m] = Number(n) || 0;
+      }
+      return hours;
+    },
+
+    // ---- per-client rate windows ----
+    // fixed windows shared by every instance; an increment that goes over the limit is taken back
+    async hitRateWindow(name, windowSec, amount, limit = null){
+      const nowSec = Math.floor(Date.now() / 1000);
+      const start = Math.floor(nowSec / windowSec) * windowSec;
+      const k = key(`rate:${name}:${start}`);
+      const resetSec = Math.max(1, start + windowSec - nowSec);
+      const count = Number(await client.incrby(k, amount)) || 0;
+      if (count === amount) await client.expire(k, windowSec * 2);
+      if (limit !== null && count > limit) {
+        if (amount) await client.decrby(k, amount);
+        return { allowed: false, count: count - amount, reset_sec: resetSec };
+      }
+      return { allowed: true, count, reset_sec: resetSec };
+    },
+
+    // ---- ingest queue ----
+    queueAvailable: true,
+    async enqueueBatch(items){
+      const batchId = `batch-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+      await client.set(key(`queue:${batchId}`), JSON.stringify({ enqueued_at: new Date().toISOString(), attempts: 0, items }));
+      await client.rpush(key("queue"), batchId);
+      return { batchId, count: items.length };
+    },
+    async listQueueBatches(limit = Infinity){
+      const ids = (await client.lrange(key("queue"), 0, Number.isFinite(limit) ? limit - 1 : -1)) || [];
+      const out = [];
+      for (const batchId of ids.map(String)) {
+        const v = await client.get(key(`queue:${batchId}`));
+        if (v == null) continue;
+        const b = decode(v) || {};
+        out.push({ batchId, enqueued_at: b.enqueued_at || null, attempts: b.attempts || 0, items: Array.isArray(b.items) ? b.items : [] });
+      }
+      return out;
+    },
+    async completeQueueBatch(batch, leftover = []){
+      if (!leftover.length) {
+        await client.del(key(`queue:${batch.batchId}`));
+        await client.lrem(key("queue"), 1, batch.batchId);
+        return;
+      }
+      await client.set(key(`queue:${batch.batchId}`), JSON.stringify({ enqueued_at: batch.enqueued_at, attempts: (batch.attempts || 0) + 1, items: leftover }));
+    },
+    async queueDepth(){
+      const batches = await this.listQueueBatches();
+      return {
+        batches: batches.length,
+        items: batches.reduce((a, b) => a + b.items.length, 0),
+        oldest_enqueued_at: batches.length ? batches[0].enqueued_at : null
+      };
+    },
+
+    // ---- Idempotency-Key records ----
+    async getIdempotencyRecord(idemKey){
+      const v = await client.get(key(`idem:${idemKey}`));
+      return v == null ? null : decode(v);
+    },
+    async putIdempotencyRecord(idemKey, record, ttlSec, { onlyIfAbsent = false } = {}){
+      const opts = onlyIfAbsent ? { ex: ttlSec, nx: true } : { ex: ttlSec };
+      const ok = await client.set(key(`idem:${idemKey}`), JSON.stringify(record), opts);
+      return ok !== null;
+    },
+    async deleteIdempotencyRecord(idemKey){
+      await client.del(key(`idem:${idemKey}`));
+    },
+
+    // ---- webhook dead letters ----
+    async putDeadLetter(record){
+      await client.hset(key("webhook_dead"), { [record.id]: JSON.stringify(record) });
+      return true;
+    },
+    async listDeadLetters(){
+      const all = (await client.hgetall(key("webhook_dead"))) || {};
+      return Object.values(all).map(decode).filter(r => r && r.id)
+        .sort((a, b) => String(a.failed_at).localeCompare(String(b.failed_at)));
+    },
+    async deleteDeadLetters(ids){
+      if (!ids.length) return 0;
+      return (await client.hdel(key("webhook_dead"), ...ids)) || 0;
+    },
+
+    // ---- archives (flush, daily rollover) ----
+    async writeArchive(filename, payload){
+      await client.set(key(`archive:${filename}`), JSON.stringify(payload));
+      await client.sadd(key("archives"), filename);
+      return { redisKey: key(`archive:${filename}`), filename };
+    },
+    describeArchiveTarget(filename){
+      return { redisKey: key(`archive:${filename}`), filename };
+    },
+    async listArchives(){
+      return ((await client.smembers(key("archives"))) || []).map(String).sort();
+    },
+    async readArchive(filename){
+      const v = await client.get(key(`archive:${filename}`));
+      return v == null ? null : decode(v);
+    },
+    async deleteArchive(filename){
+      await client.del(key(`archive:${filename}`));
+      await client.srem(key("archives"), filename);
+      return true;
+    },
+
+    // ---- state snapshots ----
+    snapshotsAvailable: true,
+    describeSnapshotTarget(name){
+      return { redisKey: key(`snapshot:${name}`), filename: name };
+    },
+    async writeSnapshot(name, text){
+      await client.set(key(`snapshot:${name}`), text);
+      await client.sadd(key("snapshots"), name);
+      return { redisKey: key(`snapshot:${name}`), filename: name };
+    },
+    async listSnapshots(){
+      return ((await client.smembers(key("snapshots"))) || []).map(String).sort();
+    },
+    async readSnapshot(name){
+      const v = await client.get(key(`snapshot:${name}`));
+      return v == null ? null : decode(v);
+    },
+    async deleteSnapshot(name){
+      await client.del(key(`snapshot:${name}`));
+      await client.srem(key("snapshots"), name);
+      return true;
+    }
+  };
+}
@@ -0,0 +1,47 @@
+// lib/util.js
+// Small helpers shared across the collector modules.
+
+export function nowMs(){ return Date.now(); }
+export function sleep(ms){ return new Promise(r => setTimeout(r, ms)); }
+export function utcYMD(d = new Date()){ return d.toISOString().slice(0, 10); }
+
+// Calendar day (YYYY-MM-DD) of `d` in an IANA time zone, where the day starts at `startHour`:00
+// local time instead of midnight (a timestamp before startHour belongs to the previous day).
+export function zonedYMD(d = new Date(), timeZone = "UTC", startHour = 0){
+  const shifted = new Date(d.getTime() - startHour * 3600 * 1000);
+  // en-CA formats as YYYY-MM-DD
+  return new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(shifted);
+}
+
+// Hour of day ("00".."23") of `d` in an IANA time zone
+export function zonedHour(d = new Date(), timeZone = "UTC"){
+  const h = new Intl.DateTimeFormat("en-GB", { timeZone, hour: "2-digit", hourCycle: "h23" }).format(d);
+  return h.padStart(2, "0");
+}
+
+// Dedupe id of a post (rest_id wins over id), or null for id-less items
+export function itemId(it){
+  const id = it?.rest_id ?? it?.id ?? null;
+  return id ? String(id) : null;
+}
+// Every id a post can be known by for dedupe: rest_id and id both count, so a post first sent with
+// only `id` is still recognised when it comes back with a `rest_id` (and vice versa)
+export function itemDedupeKeys(it){
+  const keys = [];
+  for (const v of [it?.rest_id, it?.id]) {
+    if (v !== undefined && v !== null && v !== "" && !keys.includes(String(v))) keys.push(String(v));
+  }
+  return keys;
+}
+// Identity used when comparing snapshots: the id when present, otherwise the full JSON
+export function itemKey(it){
+  const id = itemId(it);
+  return id ? `id:${id}` : `json:${JSON.stringify(it)}`;
+}
+
+// Accept the usual payload shapes of a data_utama file: a bare array or { posts: [...] }
+export function toPostsArray(content){
+  if (Array.isArray(content)) return content;
+  if (content && Array.isArray(content.posts)) return content.posts;
+  return [];
+}
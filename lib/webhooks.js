@@ -0,0 +1,179 @@
+// lib/webhooks.js
+// Outbound webhooks: subscriptions from WEBHOOKS / WEBHOOK_URLS, HMAC-signed JSON POSTs, retries with
+// backoff, and a dead-letter hook for deliveries that never got through.
+//
+// Events:
+//   items.stored      { source: "post" | "queue", count, shards: [{ shard, ids }] }
+//   shard.capacity    { shard, count, capacity, fill_pct, threshold }  (fill crossed a threshold)
+//   daily.reset       { previous_day, day, timezone, archive, archived, forced }  (forced only when set)
+//   tokens.exhausted  { tokens, retry_after }
+//
+// Each request carries
+//   X-Membit-Event, X-Membit-Delivery (unique per delivery, kept on replays), X-Membit-Timestamp
+//   X-Membit-Signature-256: sha256=HMAC_SHA256(secret, "<timestamp>.<body>")  (when a secret is set)
+// Receivers should recompute the signature over the raw body and reject stale timestamps.
+
+import crypto from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
+import fetch from "node-fetch";
+import {
+  WEBHOOKS_JSON, WEBHOOK_URLS, WEBHOOK_SECRET, WEBHOOK_MAX_ATTEMPTS, WEBHOOK_RETRY_BASE_MS, WEBHOOK_TIMEOUT_MS, USER_AGENT
+} from "./config.js";
+import { sleep } from "./util.js";
+import { createLogger } from "./log.js";
+
+const log = createLogger("webhooks");
+
+export const WEBHOOK_EVENTS = ["items.stored", "shard.capacity", "daily.reset", "tokens.exhausted"];
+
+// ----------------- subscriptions -----------------
+function loadSubscriptions(){
+  let list = [];
+  if (WEBHOOKS_JSON) {
+    try { list = JSON.parse(WEBHOOKS_JSON); } catch (e) { throw new Error(`invalid WEBHOOKS: ${e.message}`); }
+    if (!Array.isArray(list)) throw new Error("invalid WEBHOOKS: expected a JSON array");
+  }
+  return list.concat(WEBHOOK_URLS.map(url => ({ url }))).map((s, i) => {
+    if (!s || typeof s.url !== "string" || !/^https?:\/\/\S+$/i.test(s.url)) {
+      throw new Error(`invalid WEBHOOKS entry ${i}: url must be an http(s) URL`);
+    }
+    const events = Array.isArray(s.events) && s.events.length ? s.events.map(String) : ["*"];
+    for (const e of events) {
+      if (e !== "*" && !WEBHOOK_EVENTS.includes(e)) log.warn("unknown event in subscription, ignored", { url: s.url, event: e });
+    }
+    return { url: s.url, events, secret: s.secret || WEBHOOK_SECRET };
+  });
+}
+
+let subscriptions = null;
+export function getWebhookSubscriptions(){
+  if (!subscriptions) subscriptions = loadSubscriptions();
+  return subscriptions;
+}
+function isSubscribed(sub, event){
+  return sub.events.includes("*") || sub.events.includes(event);
+}
+
+// ----------------- delivery -----------------
+export function signWebhookPayload(secret, timestamp, body){
+  return "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+// One POST. returns { ok, status, error }
+async function postOnce(delivery, secret){
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const headers = {
+    "Content-Type": "application/json",
+    "User-Agent": USER_AGENT,
+    "X-Membit-Event": delivery.event,
+    "X-Membit-Delivery": delivery.id,
+    "X-Membit-Timestamp": timestamp
+  };
+  if (secret) headers["X-Membit-Signature-256"] = signWebhookPayload(secret, timestamp, body);
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+  try {
+    const res = await fetch(delivery.url, { method: "POST", headers, body, signal: controller.signal });
+    await res.text().catch(() => "");
+    return { ok: res.ok, status: res.status, error: res.ok ? null : `HTTP ${res.status}` };
+  } catch (e) {
+    return { ok: false, status: null, error: e.name === "AbortError" ? `timeout after ${WEBHOOK_TIMEOUT_MS}ms` : e.message };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// A 4xx other than 408/429 means the receiver refused the payload; sending it again won't help
+function isRetryable(r){
+  return r.status === null || r.status >= 500 || r.status === 408 || r.status === 429;
+}
+
+/*
+ Send a delivery { id, event, url, payload } with up to maxAttempts tries (exponential backoff).
+ returns { ok, attempts, status, error }
+*/
+export async function deliverWebhook(delivery, secret, { maxAttempts = WEBHOOK_MAX_ATTEMPTS } = {}){
+  let r = null;
+  let attempts = 0;
+  while (attempts < maxAttempts) {
+    if (attempts > 0) await sleep(WEBHOOK_RETRY_BASE_MS * Math.pow(2, attempts - 1));
+    attempts++;
+    r = await postOnce(delivery, secret);
+    log[r.ok ? "info" : "warn"]("delivery attempt", {
+      event: delivery.event, url: delivery.url, delivery: delivery.id, attempt: attempts, max_attempts: maxAttempts,
+      ok: r.ok, status: r.status, error: r.error || undefined
+    });
+    if (r.ok || !isRetryable(r)) break;
+  }
+  return { ok: r.ok, attempts, status: r.status, error: r.error };
+}
+
+// Dead-letter record for a delivery that failed every attempt
+export function deadLetterOf(delivery, result){
+  return {
+    id: delivery.id,
+    event: delivery.event,
+    url: delivery.url,
+    payload: delivery.payload,
+    attempts: result.attempts,
+    last_status: result.status,
+    last_error: result.error,
+    failed_at: new Date().toISOString()
+  };
+}
+
+const EXPIRED = Symbol("expired");
+
+/*
+ emit(event, data) starts a delivery to every subscription of that event and returns right away;
+ settle() waits for everything emitted so far. Failed deliveries are passed to onDeadLetter(record).
+ track(set, fn) runs fn so that the deliveries emitted inside it (async work included) are also added
+ to `set`, and settle(set, timeoutMs) waits for just those, giving up after timeoutMs (0 = no limit).
+ settle resolves to true when every delivery it waited for finished.
+*/
+export function createWebhookDispatcher({ onDeadLetter = async () => {} } = {}){
+  const pending = new Set();
+  const scope = new AsyncLocalStorage();
+  return {
+    get pending(){ return pending.size; },
+    track(set, fn){
+      return scope.run(set, fn);
+    },
+    emit(event, data){
+      const subs = getWebhookSubscriptions().filter(s => isSubscribed(s, event));
+      if (!subs.length) return;
+      const payload = { id: crypto.randomUUID(), event, created_at: new Date().toISOString(), data };
+      const tracked = scope.getStore();
+      for (const sub of subs) {
+        const delivery = { id: crypto.randomUUID(), event, url: sub.url, payload };
+        const p = deliverWebhook(delivery, sub.secret)
+          .then(async (result) => {
+            if (result.ok) return;
+            log.warn("delivery failed, dead-lettered", { event, url: sub.url, delivery: delivery.id, attempts: result.attempts, error: result.error });
+            await onDeadLetter(deadLetterOf(delivery, result));
+          })
+          .catch(e => log.warn("failed dead-lettering", { delivery: delivery.id, error: e }))
+          .finally(() => {
+            pending.delete(p);
+            if (tracked) tracked.delete(p);
+          });
+        pending.add(p);
+        if (tracked) tracked.add(p);
+      }
+    },
+    async settle(deliveries = pending, timeoutMs = 0){
+      let timer = null;
+      const expired = timeoutMs > 0 ? new Promise(resolve => { timer = setTimeout(() => resolve(EXPIRED), timeoutMs); }) : null;
+      try {
+        while (deliveries.size) {
+          const all = Promise.allSettled(Array.from(deliveries));
+          if ((await (expired ? Promise.race([all, expired]) : all)) === EXPIRED) break;
+        }
+      } finally {
+        clearTimeout(timer);
+      }
+      return deliveries.size === 0;
+    }
+  };
+}
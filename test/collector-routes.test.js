@@ -0,0 +1,461 @@
+// The collector routes end to end: the Express app (api/collector.js) in-process against the mock
+// Gist API (dev/mock-gist-server.js), including the mock's fault modes. Tests that look at what the
+// shards hold start from empty shards (resetShards) and use post ids of their own, since the seen ids
+// carry over from one test to the next.
+import test from "node:test";
+import assert from "node:assert/strict";
+import zlib from "node:zlib";
+import { createMockGistServer } from "../dev/mock-gist-server.js";
+import { encodeShardContent } from "../lib/shards.js";
+
+const SECRET = "test-secret";
+const today = () => new Date().toISOString().slice(0, 10);
+const yesterday = () => new Date(Date.now() - 86400 * 1000).toISOString().slice(0, 10);
+const MAX_BYTES = 6000;
+
+const mock = createMockGistServer({
+  seed: {
+    u1: { "data_utama.json": [] },
+    u2: { "data_utama.json": [] },
+    g1: { "data_id_global.json": { seen: [] } },
+    t1: { "data_tanggal.json": { last_date: today() } },
+    a1: { "README.md": "archives" },
+    b1: { "README.md": "snapshots" }
+  }
+});
+Object.assign(process.env, {
+  NODE_ENV: "test",
+  ENV_PATH: "/nonexistent",
+  LOG_LEVEL: "error",
+  GITHUB_API_BASE: await mock.listen(0),
+  GITHUB_TOKENS: "tokA,tokB",
+  GIST_DATA_UTAMA: "u1,u2",
+  GIST_ID_GLOBAL: "g1",
+  GIST_DATA_TANGGAL: "t1",
+  GIST_ARCHIVE: "a1",
+  GIST_BACKUP: "b1",
+  AUTO_PROVISION_SHARDS: "0",
+  COLLECTOR_API_SECRET: SECRET,
+  API_KEYS: JSON.stringify([
+    { name: "per-minute", key: "key-per-minute", items_per_minute: 3 },
+    { name: "per-day", key: "key-per-day", items_per_day: 2 }
+  ]),
+  ROLLOVER_TIMEZONE: "UTC",
+  ROLLOVER_HOUR: "0",
+  SHARD_FORMAT: "min",
+  MAX_BYTES_PER_FILE: String(MAX_BYTES),
+  FETCH_TIMEOUT_MS: "1000",
+  MAX_RETRIES: "3",
+  RETRY_BASE_MS: "50"
+});
+const { app } = await import("../api/collector.js");
+
+const server = app.listen(0, "127.0.0.1");
+await new Promise(resolve => server.once("listening", resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+
+test.after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await mock.close();
+});
+test.afterEach(() => {
+  mock.faults.next.length = 0;
+});
+
+async function call(method, path, body, headers = {}){
+  const res = await fetch(base + path, {
+    method,
+    headers: Object.assign({ "X-SECRET": SECRET }, body ? { "Content-Type": "application/json" } : {}, headers),
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const text = await res.text();
+  return { status: res.status, headers: res.headers, body: text ? JSON.parse(text) : null };
+}
+
+function shardIds(id){
+  return JSON.parse(mock.gists[id].files["data_utama.json"]).map(it => it.id);
+}
+function allStoredIds(){
+  return shardIds("u1").concat(shardIds("u2")).sort();
+}
+function resetShards(files = {}){
+  mock.seed({
+    u1: { "data_utama.json": files.u1 || [] },
+    u2: { "data_utama.json": files.u2 || [] }
+  });
+}
+function post(id, extra = {}){
+  return Object.assign({ id, text: `post ${id}`, author: "tester", created_at: new Date().toISOString() }, extra);
+}
+function requestsSince(seen, line){
+  return mock.requests.slice(seen).filter(r => r === line).length;
+}
+async function metric(name, labels){
+  const res = await fetch(`${base}/collector/metrics`, { headers: { "X-SECRET": SECRET } });
+  const text = await res.text();
+  return text.split("\n")
+    .filter(line => line.startsWith(`membit_${name}{`) && Object.entries(labels).every(([k, v]) => line.includes(`${k}="${v}"`)))
+    .reduce((sum, line) => sum + Number(line.split(" ").pop()), 0);
+}
+
+// ---- ingest, reads, flush and Gist API faults ----
+test("POST /collector stores new posts and skips repeats", async () => {
+  resetShards();
+  const first = await call("POST", "/collector", { posts: [post("p1"), post("p2")] });
+  assert.equal(first.status, 201);
+  assert.equal(first.body.stored, 2);
+  assert.deepEqual(allStoredIds(), ["p1", "p2"]);
+
+  const again = await call("POST", "/collector", [post("p2"), post("p3")]);
+  assert.equal(again.body.stored, 1);
+  assert.equal(again.body.skipped, 1);
+  assert.deepEqual(allStoredIds(), ["p1", "p2", "p3"]);
+});
+
+test("GET /collector reads the shards back", async () => {
+  const res = await call("GET", "/collector?batch=1&batch_size=500");
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.batches[0].posts.map(p => p.id).sort(), ["p1", "p2", "p3"]);
+});
+
+test("GET /collector?flush=1 archives and empties the shards", async () => {
+  const dry = await call("GET", "/collector?flush=1&dry_run=1");
+  assert.equal(dry.status, 200);
+  assert.deepEqual(allStoredIds(), ["p1", "p2", "p3"]);
+
+  const res = await call("GET", "/collector?flush=1");
+  assert.equal(res.status, 200);
+  assert.deepEqual(allStoredIds(), []);
+  const archive = Object.keys(mock.gists.a1.files).find(name => name.startsWith("flush_"));
+  assert.ok(archive, "flush archive written to GIST_ARCHIVE");
+  assert.match(mock.gists.a1.files[archive], /"p1"/);
+});
+
+test("a 429 with Retry-After benches the token and the next one finishes the write", async () => {
+  resetShards();
+  mock.faults.next.push({ fault: "429", path: "/gists/u1" });
+  const res = await call("POST", "/collector", [post("r1")]);
+  assert.equal(res.body.stored, 1);
+  assert.deepEqual(allStoredIds(), ["r1"]);
+  assert.equal(mock.faults.next.length, 0);
+
+  const health = await call("GET", "/health");
+  assert.ok(health.body.token_status.some(t => t.disabled_until && t.last_status === 429), "one token disabled until the Retry-After");
+});
+
+test("5xx responses are retried", async () => {
+  resetShards();
+  const seen = mock.requests.length;
+  mock.faults.next.push({ fault: "5xx", path: "/gists/u1", method: "PATCH" }, { fault: "5xx", path: "/gists/u1", method: "PATCH" });
+  const res = await call("POST", "/collector", [post("s1")]);
+  assert.equal(res.body.stored, 1);
+  assert.deepEqual(allStoredIds(), ["s1"]);
+  assert.equal(requestsSince(seen, "PATCH /gists/u1"), 3);
+});
+
+test("truncated gist content is read from the raw_url", async () => {
+  resetShards({ u1: [post("x1"), post("x2")] });
+  const seen = mock.requests.length;
+  mock.faults.next.push({ fault: "truncate", path: "/gists/u1" });
+  const res = await call("GET", "/collector?batch=1&batch_size=500");
+  assert.deepEqual(res.body.batches[0].posts.map(p => p.id).sort(), ["x1", "x2"]);
+  assert.ok(mock.requests.slice(seen).some(r => r.startsWith("GET /raw/u1/")), "raw_url fetched");
+  assert.equal(mock.faults.next.length, 0);
+});
+
+test("a request that never gets an answer times out and is retried", async () => {
+  resetShards();
+  const seen = mock.requests.length;
+  mock.faults.next.push({ fault: "timeout", path: "/gists/u1", method: "PATCH" });
+  const res = await call("POST", "/collector", [post("o1")]);
+  assert.equal(res.body.stored, 1);
+  assert.deepEqual(allStoredIds(), ["o1"]);
+  assert.equal(requestsSince(seen, "PATCH /gists/u1"), 2);
+});
+
+// ---- daily rollover ----
+test("the daily rollover archives the previous day and moves the date marker", async () => {
+  resetShards();
+  await call("POST", "/collector", [post("d1"), post("d2")]);
+  const day = yesterday();
+  mock.seed({ t1: { "data_tanggal.json": { last_date: day } } });
+
+  const res = await call("POST", "/collector/admin/rollover");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.rolled_over, true);
+  assert.equal(res.body.last_date, day);
+  assert.equal(res.body.archived, 2);
+  assert.match(mock.gists.a1.files[`day_${day}.json`], /"d1"/);
+  assert.deepEqual(allStoredIds(), []);
+  assert.equal(JSON.parse(mock.gists.t1.files["data_tanggal.json"]).last_date, today());
+
+  const again = await call("POST", "/collector/admin/rollover");
+  assert.equal(again.body.reason, "not_due");
+});
+
+test("a date marker that can't be read fails the rollover instead of resetting it", async () => {
+  const marker = mock.gists.t1.files["data_tanggal.json"];
+  mock.faults.next.push(...Array.from({ length: 10 }, () => ({ fault: "5xx", path: "/gists/t1" })));
+  const res = await call("POST", "/collector/admin/rollover");
+  assert.equal(res.status, 500);
+  assert.equal(res.body.reason, "failed");
+  assert.equal(mock.gists.t1.files["data_tanggal.json"], marker);
+});
+
+test("a rollover that can't claim the day archives and drains nothing", async () => {
+  resetShards();
+  await call("POST", "/collector", [post("c1")]);
+  const day = yesterday();
+  mock.seed({ t1: { "data_tanggal.json": { last_date: day } } });
+  const archivesBefore = Object.keys(mock.gists.a1.files);
+  mock.faults.next.push(...Array.from({ length: 10 }, () => ({ fault: "5xx", path: "/gists/t1", method: "PATCH" })));
+
+  const res = await call("POST", "/collector/admin/rollover");
+  assert.equal(res.status, 500);
+  assert.equal(res.body.reason, "failed");
+  assert.deepEqual(allStoredIds(), ["c1"]);
+  assert.deepEqual(Object.keys(mock.gists.a1.files), archivesBefore);
+  assert.equal(JSON.parse(mock.gists.t1.files["data_tanggal.json"]).last_date, day);
+
+  mock.faults.next.length = 0;
+  const retried = await call("POST", "/collector/admin/rollover");
+  assert.equal(retried.body.rolled_over, true);
+  assert.deepEqual(allStoredIds(), []);
+});
+
+test("a rollover into an existing day archive adds to it", async () => {
+  const day = yesterday();
+  const before = JSON.parse(mock.gists.a1.files[`day_${day}.json`]);
+  await call("POST", "/collector", [post("m1")]);
+  mock.seed({ t1: { "data_tanggal.json": { last_date: day } } });
+
+  const res = await call("POST", "/collector/admin/rollover");
+  assert.equal(res.body.rolled_over, true);
+  const merged = JSON.parse(mock.gists.a1.files[`day_${day}.json`]);
+  const ids = merged.shards.flatMap(s => s.items.map(it => it.id)).sort();
+  assert.deepEqual(ids, before.shards.flatMap(s => s.items.map(it => it.id)).concat("m1").sort());
+  assert.equal(merged.total, before.total + 1);
+});
+
+// ---- posts without an id ----
+test("id-less posts are accepted by default and deduped by their content", async () => {
+  resetShards();
+  const idless = { text: "no id here", author: "tester" };
+  const first = await call("POST", "/collector", [idless]);
+  assert.equal(first.body.stored, 1);
+  const again = await call("POST", "/collector", [Object.assign({}, idless, { text: "  no id here " })]);
+  assert.equal(again.body.stored, 0);
+  assert.equal(again.body.skipped_by_hash, 1);
+});
+
+// ---- Idempotency-Key ----
+test("a POST repeated under its Idempotency-Key gets the first answer back without a second write", async () => {
+  resetShards();
+  const key = { "Idempotency-Key": "batch-0001" };
+  const batch = [post("i1"), post("i2")];
+  const first = await call("POST", "/collector", batch, key);
+  assert.equal(first.status, 201);
+  assert.equal(first.body.stored, 2);
+  const patches = mock.requests.filter(r => r.startsWith("PATCH /gists/u")).length;
+
+  const replay = await call("POST", "/collector", batch, key);
+  assert.equal(replay.status, 201);
+  assert.equal(replay.headers.get("idempotent-replayed"), "true");
+  assert.deepEqual(replay.body, first.body);
+  assert.equal(mock.requests.filter(r => r.startsWith("PATCH /gists/u")).length, patches);
+  assert.deepEqual(allStoredIds(), ["i1", "i2"]);
+});
+
+test("an Idempotency-Key reused with a different body is a 409", async () => {
+  const res = await call("POST", "/collector", [post("i3")], { "Idempotency-Key": "batch-0001" });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.error, "idempotency_key_reused");
+  assert.deepEqual(allStoredIds(), ["i1", "i2"]);
+});
+
+// ---- Gist API metrics ----
+test("retries and rate limits show up in /collector/metrics", async () => {
+  resetShards();
+  const retries = await metric("gist_api_retries_total", { reason: "server_error" });
+  const limited = await metric("gist_api_rate_limited_total", { status: "429" });
+  mock.faults.next.push({ fault: "5xx", path: "/gists/u1", method: "PATCH" }, { fault: "429", path: "/gists/u1", method: "PATCH" });
+  const res = await call("POST", "/collector", [post("k1")]);
+  assert.equal(res.body.stored, 1);
+  assert.equal(await metric("gist_api_retries_total", { reason: "server_error" }), retries + 1);
+  assert.equal(await metric("gist_api_rate_limited_total", { status: "429" }), limited + 1);
+});
+
+// ---- shard admin: inspect, repair, rebalance ----
+test("repair in quarantine mode moves the bad entries of a shard aside", async () => {
+  resetShards({ u1: [post("q1"), 42, "junk"] });
+  const inspect = await call("GET", "/collector/admin/shards/u1");
+  assert.equal(inspect.status, 200);
+  assert.equal(inspect.body.non_object_items, 2);
+
+  const res = await call("POST", "/collector/admin/shards/u1/repair", { mode: "quarantine" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.quarantined, 2);
+  assert.equal(res.body.kept, 1);
+  assert.deepEqual(shardIds("u1"), ["q1"]);
+  assert.deepEqual(JSON.parse(mock.gists.u1.files[res.body.file]), [42, "junk"]);
+});
+
+test("repair in restore mode puts back the last revision that parses", async () => {
+  resetShards({ u1: [post("v1"), post("v2")] });
+  mock.seed({ u1: { "data_utama.json": "[{\"id\": \"v1\"," } });
+  const broken = await call("GET", "/collector/admin/shards");
+  assert.equal(broken.body.unhealthy, 1);
+  assert.equal(broken.body.shards.find(s => s.shardId === "u1").status, "invalid_json");
+
+  const res = await call("POST", "/collector/admin/shards/u1/repair", { mode: "restore" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.restored, true);
+  assert.equal(res.body.count, 2);
+  assert.equal(res.body.shard.status, "ok");
+  assert.deepEqual(shardIds("u1"), ["v1", "v2"]);
+  assert.equal(mock.gists.u1.files[res.body.quarantine_file], "[{\"id\": \"v1\",");
+
+  const unknown = await call("POST", "/collector/admin/shards/u1/repair", { mode: "restore", version: "no-such-revision" });
+  assert.equal(unknown.status, 409);
+});
+
+test("rebalance spreads the posts evenly over the shards", async () => {
+  resetShards({ u1: [post("e1"), post("e2"), post("e3"), post("e4")] });
+  const dry = await call("POST", "/collector/admin/shards/rebalance", { dry_run: true });
+  assert.equal(dry.status, 200);
+  assert.deepEqual(shardIds("u2"), []);
+
+  const res = await call("POST", "/collector/admin/shards/rebalance");
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.shards.map(s => [s.shardId, s.before, s.after]), [["u1", 4, 2], ["u2", 0, 2]]);
+  assert.deepEqual(allStoredIds(), ["e1", "e2", "e3", "e4"]);
+  assert.equal(shardIds("u2").length, 2);
+});
+
+// ---- named API keys ----
+test("an API key over its items_per_minute gets a 429", async () => {
+  resetShards();
+  const key = { "X-SECRET": "key-per-minute" };
+  const first = await call("POST", "/collector", [post("n1"), post("n2")], key);
+  assert.equal(first.status, 201);
+  const over = await call("POST", "/collector", [post("n3"), post("n4")], key);
+  assert.equal(over.status, 429);
+  assert.equal(over.body.error, "rate_limited");
+  assert.equal(over.body.limit, "items_per_minute");
+  assert.ok(Number(over.headers.get("retry-after")) > 0);
+  assert.deepEqual(allStoredIds(), ["n1", "n2"]);
+
+  const tooBig = await call("POST", "/collector", [post("n5"), post("n6"), post("n7"), post("n8")], key);
+  assert.equal(tooBig.status, 413);
+  assert.equal(tooBig.body.error, "batch_exceeds_limit");
+});
+
+test("an API key over its items_per_day quota gets a 429 until the rollover", async () => {
+  resetShards();
+  const key = { "X-SECRET": "key-per-day" };
+  const first = await call("POST", "/collector", [post("y1"), post("y2")], key);
+  assert.equal(first.status, 201);
+  const over = await call("POST", "/collector", [post("y3")], key);
+  assert.equal(over.status, 429);
+  assert.equal(over.body.error, "quota_exceeded");
+  assert.equal(over.body.used, 2);
+  assert.deepEqual(allStoredIds(), ["y1", "y2"]);
+
+  const denied = await call("GET", "/collector/admin/shards", null, key);
+  assert.equal(denied.status, 403);
+  assert.equal(denied.body.code, "route_not_allowed");
+});
+
+// ---- shard format, byte cap and compressed requests / responses ----
+test("shards are read in every stored format and rewritten in SHARD_FORMAT", async () => {
+  resetShards();
+  mock.seed({
+    u1: { "data_utama.json": encodeShardContent([post("z1"), post("z2")], "gzip") },
+    u2: { "data_utama.json": { posts: [post("z3")] } }
+  });
+  const res = await call("GET", "/collector?batch=1&batch_size=500");
+  assert.deepEqual(res.body.batches[0].posts.map(p => p.id).sort(), ["z1", "z2", "z3"]);
+  const formats = (await call("GET", "/collector/admin/shards")).body.shards.map(s => s.format);
+  assert.deepEqual(formats, ["gzip", "posts_object"]);
+
+  await call("POST", "/collector/admin/shards/rebalance");
+  for (const id of ["u1", "u2"]) {
+    const stored = mock.gists[id].files["data_utama.json"];
+    assert.ok(stored.startsWith("[") && !stored.includes("\n"), `${id} written as a compact array`);
+  }
+  assert.deepEqual(allStoredIds(), ["z1", "z2", "z3"]);
+});
+
+test("a gzipped POST body is accepted and big reads are gzipped", async () => {
+  resetShards();
+  const posts = Array.from({ length: 8 }, (_, i) => post(`g${i}`));
+  const res = await fetch(`${base}/collector`, {
+    method: "POST",
+    headers: { "X-SECRET": SECRET, "Content-Type": "application/json", "Content-Encoding": "gzip" },
+    body: zlib.gzipSync(JSON.stringify(posts))
+  });
+  assert.equal(res.status, 201);
+  assert.equal((await res.json()).stored, 8);
+
+  const read = await fetch(`${base}/collector?batch=1&batch_size=500`, { headers: { "Accept-Encoding": "gzip" } });
+  assert.equal(read.headers.get("content-encoding"), "gzip");
+  assert.equal((await read.json()).batches[0].posts.length, 8);
+});
+
+test("rebalance keeps every shard within MAX_BYTES_PER_FILE and refuses what doesn't fit", async () => {
+  const big = (id) => post(id, { text: "x".repeat(1000) });
+  resetShards({ u1: Array.from({ length: 11 }, (_, i) => big(`w${i}`)) });
+  const over = await call("POST", "/collector/admin/shards/rebalance");
+  assert.equal(over.status, 409);
+  assert.equal(over.body.overflow, 1);
+  assert.deepEqual(over.body.overflow_by, { max_items: 0, max_bytes: 1 });
+  assert.equal(shardIds("u1").length, 11);
+
+  resetShards({ u1: Array.from({ length: 9 }, (_, i) => big(`w${i}`)) });
+  const res = await call("POST", "/collector/admin/shards/rebalance");
+  assert.equal(res.status, 200);
+  for (const id of ["u1", "u2"]) assert.ok(Buffer.byteLength(mock.gists[id].files["data_utama.json"]) <= MAX_BYTES, `${id} within the byte cap`);
+  assert.equal(allStoredIds().length, 9);
+});
+
+// ---- forced rollover ----
+test("a forced rollover archives the day so far under its own name", async () => {
+  resetShards();
+  await call("POST", "/collector", [post("f1")]);
+  const res = await call("POST", "/collector/admin/rollover?force=1");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.rolled_over, true);
+  assert.equal(res.body.forced, true);
+  assert.equal(res.body.last_date, today());
+  assert.equal(res.body.archived, 1);
+  assert.match(res.body.archive.filename, new RegExp(`^day_${today()}_forced_`));
+  assert.match(mock.gists.a1.files[res.body.archive.filename], /"f1"/);
+  assert.equal(mock.gists.a1.files[`day_${today()}.json`], undefined);
+  assert.deepEqual(allStoredIds(), []);
+  assert.equal(JSON.parse(mock.gists.t1.files["data_tanggal.json"]).last_date, today());
+});
+
+// ---- snapshots ----
+test("a stored snapshot restores the shards and keeps an undo snapshot", async () => {
+  resetShards();
+  await call("POST", "/collector", [post("b1"), post("b2")]);
+  const snap = await call("POST", "/collector/admin/snapshots");
+  assert.equal(snap.status, 200);
+  assert.equal(snap.body.items, 2);
+  assert.ok(mock.gists.b1.files[snap.body.name], "snapshot stored in GIST_BACKUP");
+
+  await call("POST", "/collector", [post("b3")]);
+  const dry = await call("POST", "/collector/admin/restore", { name: snap.body.name, dry_run: true });
+  assert.equal(dry.status, 200);
+  assert.deepEqual(allStoredIds(), ["b1", "b2", "b3"]);
+
+  const res = await call("POST", "/collector/admin/restore", { name: snap.body.name, keep_last_date: true });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.restored, true);
+  assert.deepEqual(allStoredIds(), ["b1", "b2"]);
+  assert.ok(mock.gists.b1.files[res.body.undo_snapshot.name], "pre_restore snapshot stored");
+  assert.equal(JSON.parse(mock.gists.t1.files["data_tanggal.json"]).last_date, today());
+
+  const missing = await call("POST", "/collector/admin/restore", { name: "snapshot_nope.json" });
+  assert.equal(missing.status, 404);
+});
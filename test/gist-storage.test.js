@@ -0,0 +1,81 @@
+// The gist storage adapter against the mock Gist API: concurrent appends to one shard (overlapping
+// writers clobber each other's commits, and the history check has to put every post back), and the
+// seen list / date marker keeping to their own files in a gist shared with others.
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createMockGistServer } from "../dev/mock-gist-server.js";
+
+const mock = createMockGistServer({
+  seed: {
+    u1: { "data_utama.json": [] },
+    u2: { "data_utama.json": [] },
+    g1: { "notes.md": "shared with other files" }
+  }
+});
+Object.assign(process.env, {
+  ENV_PATH: "/nonexistent",
+  LOG_LEVEL: "error",
+  GITHUB_API_BASE: await mock.listen(0),
+  GITHUB_TOKENS: "tokA,tokB",
+  GIST_DATA_UTAMA: "u1,u2",
+  GIST_ID_GLOBAL: "g1",
+  DEDUPE_WINDOW_HOURS: "0",
+  MAX_ITEMS_PER_FILE: "1000",
+  MAX_SYNC_ATTEMPTS: "10",
+  SYNC_RETRY_BASE_MS: "50",
+  MAX_RETRIES: "6"
+});
+const { createGistStorage } = await import("../lib/storage/gist.js");
+const storage = createGistStorage();
+
+test.after(() => mock.close());
+
+const WRITERS = 8;
+const PER_WRITER = 5;
+
+async function appendConcurrently(shardId){
+  const batches = Array.from({ length: WRITERS }, (_, w) =>
+    Array.from({ length: PER_WRITER }, (_, i) => ({ id: `${shardId}-w${w}-${i}` })));
+  const results = await Promise.all(batches.map(items => storage.appendToShard({ shardId, filename: "data_utama.json" }, items)));
+  return { ids: batches.flat().map(it => it.id), results };
+}
+
+function shardIds(shardId){
+  return JSON.parse(mock.gists[shardId].files["data_utama.json"]).map(it => it.id);
+}
+
+function assertEveryIdOnce(shardId, { ids, results }){
+  const notStored = results.flatMap(r => r.notStored);
+  assert.deepEqual(notStored, [], "every post should be stored");
+  assert.equal(results.flatMap(r => r.stored).length, ids.length);
+  const stored = shardIds(shardId);
+  assert.deepEqual(stored.slice().sort(), ids.slice().sort(), "every id in the shard exactly once");
+}
+
+test("overlapping appends keep every post exactly once", async () => {
+  assertEveryIdOnce("u1", await appendConcurrently("u1"));
+});
+
+test("overlapping appends with 5xx errors and jittered latency keep every post exactly once", async () => {
+  Object.assign(mock.faults, { rate5xx: 0.15, latencyJitterMs: 40 });
+  try {
+    assertEveryIdOnce("u2", await appendConcurrently("u2"));
+  } finally {
+    Object.assign(mock.faults, { rate5xx: 0, latencyJitterMs: 0 });
+  }
+});
+
+test("the seen list and the date marker only touch their own files in a shared gist", async () => {
+  // no data_id_global.json yet, and no GIST_DATA_TANGGAL: the marker goes to GIST_ID_GLOBAL as well
+  assert.equal(await storage.seenCount(), 0);
+  assert.equal(await storage.getLastDate(), null);
+  await storage.replaceSeen(["a", "b"]);
+  await storage.setLastDate("2026-01-31");
+
+  const files = mock.gists.g1.files;
+  assert.deepEqual(Object.keys(files).sort(), ["data_id_global.json", "data_tanggal.json", "notes.md"]);
+  assert.equal(files["notes.md"], "shared with other files");
+  assert.deepEqual(JSON.parse(files["data_id_global.json"]).seen, ["a", "b"]);
+  assert.equal(await storage.getLastDate(), "2026-01-31");
+  assert.equal(await storage.seenCount(), 2);
+});
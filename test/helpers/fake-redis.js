@@ -0,0 +1,177 @@
+// test/helpers/fake-redis.js
+// In-memory stand-in for the Upstash client, covering the commands lib/storage/redis.js calls (see the
+// list in its createRedisStorage doc comment). Values are kept as given, so get() returns the JSON
+// strings the adapter wrote; with { automaticDeserialization: true } get() and lrange() parse them the
+// way the Upstash client does by default, and raw() is the same keyspace without that. EX expiry is
+// honoured against Date.now().
+
+function rangeBounds(length, start, stop){
+  const from = start < 0 ? Math.max(0, length + start) : start;
+  const to = stop < 0 ? length + stop : Math.min(stop, length - 1);
+  return [from, to];
+}
+function scoreBound(v, fallback){
+  if (v === "+inf") return Infinity;
+  if (v === "-inf") return -Infinity;
+  return v === undefined ? fallback : Number(v);
+}
+
+function deserialize(v){
+  if (typeof v !== "string") return v;
+  try { return JSON.parse(v); } catch (e) { return v; }
+}
+
+export function createFakeRedis({ automaticDeserialization = false } = {}){
+  return fakeClient(new Map(), new Map(), automaticDeserialization);
+}
+
+// data: key -> string | array (list) | Set | Map (zset: member -> score) | object (hash); expiry: key -> ms
+function fakeClient(data, expiry, automaticDeserialization){
+  const out = (v) => (automaticDeserialization ? deserialize(v) : v);
+
+  function live(k){
+    if (expiry.has(k) && expiry.get(k) <= Date.now()) {
+      data.delete(k);
+      expiry.delete(k);
+    }
+    return data.get(k);
+  }
+  function of(k, make){
+    let v = live(k);
+    if (v === undefined) { v = make(); data.set(k, v); }
+    return v;
+  }
+
+  const client = {
+    // strings / counters
+    async get(k){ const v = live(k); return v === undefined ? null : out(v); },
+    async set(k, v, opts = {}){
+      if (opts.nx && live(k) !== undefined) return null;
+      data.set(k, v);
+      if (opts.ex) expiry.set(k, Date.now() + opts.ex * 1000);
+      else expiry.delete(k);
+      return "OK";
+    },
+    async incrby(k, n){ const v = (Number(live(k)) || 0) + n; data.set(k, String(v)); return v; },
+    async decrby(k, n){ return client.incrby(k, -n); },
+    async del(...keys){
+      let n = 0;
+      for (const k of keys) if (live(k) !== undefined) { data.delete(k); expiry.delete(k); n++; }
+      return n;
+    },
+    async expire(k, sec){
+      if (live(k) === undefined) return 0;
+      expiry.set(k, Date.now() + sec * 1000);
+      return 1;
+    },
+
+    // lists
+    async rpush(k, ...values){ const l = of(k, () => []); l.push(...values); return l.length; },
+    async lrange(k, start, stop){
+      const l = live(k) || [];
+      const [from, to] = rangeBounds(l.length, start, stop);
+      return l.slice(from, to + 1).map(out);
+    },
+    async llen(k){ return (live(k) || []).length; },
+    async ltrim(k, start, stop){
+      const l = live(k) || [];
+      const [from, to] = rangeBounds(l.length, start, stop);
+      data.set(k, l.slice(from, to + 1));
+      return "OK";
+    },
+    // count 0 removes every match, count > 0 the first `count`
+    async lrem(k, count, value){
+      const l = live(k) || [];
+      let removed = 0;
+      data.set(k, l.filter(v => {
+        if (v !== value || (count > 0 && removed >= count)) return true;
+        removed++;
+        return false;
+      }));
+      return removed;
+    },
+
+    // sets
+    async sadd(k, ...members){
+      const s = of(k, () => new Set());
+      let n = 0;
+      for (const m of members) if (!s.has(m)) { s.add(m); n++; }
+      return n;
+    },
+    async srem(k, ...members){
+      const s = live(k) || new Set();
+      let n = 0;
+      for (const m of members) if (s.delete(m)) n++;
+      return n;
+    },
+    async smembers(k){ return Array.from(live(k) || []); },
+    async smismember(k, members){ const s = live(k) || new Set(); return members.map(m => (s.has(m) ? 1 : 0)); },
+    async scard(k){ return (live(k) || new Set()).size; },
+
+    // sorted sets: zadd(key, [{ nx }], ...{ score, member })
+    async zadd(k, ...args){
+      const opts = args.length && args[0].member === undefined ? args.shift() : {};
+      const z = of(k, () => new Map());
+      let n = 0;
+      for (const { score, member } of args) {
+        if (opts.nx && z.has(member)) continue;
+        if (!z.has(member)) n++;
+        z.set(member, Number(score));
+      }
+      return n;
+    },
+    async zmscore(k, members){ const z = live(k) || new Map(); return members.map(m => (z.has(m) ? z.get(m) : null)); },
+    async zrange(k, start, stop, opts = {}){
+      const sorted = Array.from(live(k) || new Map()).sort((a, b) => a[1] - b[1]);
+      const [from, to] = rangeBounds(sorted.length, start, stop);
+      const picked = sorted.slice(from, to + 1);
+      return opts.withScores ? picked.flat() : picked.map(([m]) => m);
+    },
+    async zremrangebyscore(k, min, max){
+      const z = live(k) || new Map();
+      let n = 0;
+      for (const [m, s] of z) if (s >= scoreBound(min, -Infinity) && s <= scoreBound(max, Infinity)) { z.delete(m); n++; }
+      return n;
+    },
+    async zcount(k, min, max){
+      let n = 0;
+      for (const s of (live(k) || new Map()).values()) if (s >= scoreBound(min, -Infinity) && s <= scoreBound(max, Infinity)) n++;
+      return n;
+    },
+
+    // hashes
+    async hincrby(k, field, n){ const h = of(k, () => ({})); h[field] = (Number(h[field]) || 0) + n; return h[field]; },
+    async hgetall(k){ const h = live(k); return h && Object.keys(h).length ? Object.assign({}, h) : null; },
+    async hset(k, fields){
+      const h = of(k, () => ({}));
+      let n = 0;
+      for (const [f, v] of Object.entries(fields)) { if (!(f in h)) n++; h[f] = v; }
+      return n;
+    },
+    async hdel(k, ...fields){
+      const h = live(k) || {};
+      let n = 0;
+      for (const f of fields) if (f in h) { delete h[f]; n++; }
+      return n;
+    },
+
+    // queued commands run in order on exec(), like an Upstash pipeline
+    multi(){
+      const queued = [];
+      const tx = new Proxy({}, {
+        get(_, name){
+          if (name === "exec") return async () => { const out = []; for (const [cmd, args] of queued) out.push(await client[cmd](...args)); return out; };
+          return (...args) => { queued.push([name, args]); return tx; };
+        }
+      });
+      return tx;
+    },
+
+    // the same keyspace with automaticDeserialization off
+    raw(){ return fakeClient(data, expiry, false); },
+
+    // test access to the raw keyspace
+    _data: data
+  };
+  return client;
+}
@@ -0,0 +1,125 @@
+// Redis storage adapter against the in-memory client (test/helpers/fake-redis.js)
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createFakeRedis } from "./helpers/fake-redis.js";
+
+Object.assign(process.env, { ENV_PATH: "/nonexistent", LOG_LEVEL: "error", MAX_ITEMS_PER_FILE: "3", DEDUPE_WINDOW_HOURS: "1" });
+const { createRedisStorage } = await import("../lib/storage/redis.js");
+
+function setup(){
+  const redis = createFakeRedis();
+  return { redis, storage: createRedisStorage({ redis, prefix: "t:" }) };
+}
+
+test("appendToShard stops at MAX_ITEMS_PER_FILE and hands back the rest", async () => {
+  const { storage } = setup();
+  const first = await storage.appendToShard({ shardId: "shard-1" }, [{ id: "a" }, { id: "b" }]);
+  assert.deepEqual(first.stored.map(it => it.id), ["a", "b"]);
+  const second = await storage.appendToShard({ shardId: "shard-1" }, [{ id: "c" }, { id: "d" }, { id: "e" }]);
+  assert.deepEqual(second.stored.map(it => it.id), ["c"]);
+  assert.deepEqual(second.notStored.map(it => it.id), ["d", "e"]);
+  const full = await storage.appendToShard({ shardId: "shard-1" }, [{ id: "f" }]);
+  assert.deepEqual(full, { stored: [], notStored: [{ id: "f" }] });
+  const shard = await storage.readShard("shard-1");
+  assert.equal(shard.status, "ok");
+  assert.deepEqual(shard.array.map(it => it.id), ["a", "b", "c"]);
+});
+
+test("quarantineShard removes bad entries by their stored text and counts what went", async () => {
+  // the Upstash client parses what it reads, so the stored text has to come from a raw client
+  const redis = createFakeRedis({ automaticDeserialization: true });
+  const storage = createRedisStorage({ redis, rawRedis: redis.raw(), prefix: "t:" });
+  // not canonical JSON: re-encoding these wouldn't match the stored text
+  await redis.rpush("t:shard:shard-1", '{"id":"a"}', "[1, 2]", " 42", '"just text"', "[1, 2]", '{"id":"b"}');
+
+  const r = await storage.quarantineShard("shard-1");
+  assert.equal(r.quarantined, 4);
+  assert.equal(r.status, "ok");
+  assert.equal(r.kept, 2);
+  assert.deepEqual((await storage.readShard("shard-1")).array, [{ id: "a" }, { id: "b" }]);
+  assert.deepEqual(JSON.parse(await redis.raw().get(r.file)), ["[1, 2]", " 42", "\"just text\"", "[1, 2]"]);
+});
+
+test("seen ids: membership, count and replace", async () => {
+  const { storage } = setup();
+  await storage.addSeen(["a", "b"]);
+  assert.deepEqual([...(await storage.seenMany(["a", "b", "c"]))].sort(), ["a", "b"]);
+  assert.equal(await storage.seenCount(), 2);
+  await storage.replaceSeen(["c"]);
+  assert.deepEqual([...(await storage.seenMany(["a", "b", "c"]))], ["c"]);
+  assert.equal(await storage.seenCount(), 1);
+});
+
+test("seen ids: membership within the window, first-seen time kept, compaction", async () => {
+  const { redis, storage } = setup();
+  await storage.addSeen(["a", "b"]);
+  assert.deepEqual([...(await storage.seenMany(["a", "b", "c"]))].sort(), ["a", "b"]);
+
+  const [firstSeen] = await redis.zmscore("t:seen_at", ["a"]);
+  await new Promise(r => setTimeout(r, 5));
+  await storage.addSeen(["a"]);
+  assert.deepEqual(await redis.zmscore("t:seen_at", ["a"]), [firstSeen]);
+
+  // an id first seen two hours ago is outside the one-hour window
+  await redis.zadd("t:seen_at", { score: Date.now() - 2 * 3600 * 1000, member: "old" });
+  assert.equal((await storage.seenMany(["old"])).size, 0);
+  assert.equal(await storage.seenCount(), 2);
+  assert.equal(await storage.compactSeen(), 1);
+  assert.deepEqual(await redis.zmscore("t:seen_at", ["old", "a"]), [null, firstSeen]);
+});
+
+test("last_date marker", async () => {
+  const { storage } = setup();
+  assert.equal(await storage.getLastDate(), null);
+  await storage.setLastDate("2026-01-31");
+  assert.equal(await storage.getLastDate(), "2026-01-31");
+});
+
+test("last_date marker: a failed read is an error, not a missing marker", async () => {
+  const redis = createFakeRedis();
+  redis.get = async () => { throw new Error("connection reset"); };
+  const storage = createRedisStorage({ redis, prefix: "t:" });
+  await assert.rejects(storage.getLastDate(), /connection reset/);
+});
+
+test("idempotency records: onlyIfAbsent claims once", async () => {
+  const { storage } = setup();
+  assert.equal(await storage.putIdempotencyRecord("k1", { state: "pending" }, 60, { onlyIfAbsent: true }), true);
+  assert.equal(await storage.putIdempotencyRecord("k1", { state: "pending" }, 60, { onlyIfAbsent: true }), false);
+  assert.deepEqual(await storage.getIdempotencyRecord("k1"), { state: "pending" });
+  // a plain put overwrites (completing the claim)
+  assert.equal(await storage.putIdempotencyRecord("k1", { state: "done", status: 200 }, 60), true);
+  assert.deepEqual(await storage.getIdempotencyRecord("k1"), { state: "done", status: 200 });
+  await storage.deleteIdempotencyRecord("k1");
+  assert.equal(await storage.getIdempotencyRecord("k1"), null);
+});
+
+test("ingest queue: oldest first, leftovers kept with attempts, drained batches removed", async () => {
+  const { storage } = setup();
+  const b1 = await storage.enqueueBatch([{ id: "a" }, { id: "b" }]);
+  await storage.enqueueBatch([{ id: "c" }]);
+  let batches = await storage.listQueueBatches();
+  assert.equal(batches.length, 2);
+  assert.equal(batches[0].batchId, b1.batchId);
+  assert.deepEqual(await storage.queueDepth(), { batches: 2, items: 3, oldest_enqueued_at: batches[0].enqueued_at });
+
+  await storage.completeQueueBatch(batches[0], [{ id: "b" }]);
+  batches = await storage.listQueueBatches(1);
+  assert.equal(batches.length, 1);
+  assert.deepEqual(batches[0].items, [{ id: "b" }]);
+  assert.equal(batches[0].attempts, 1);
+
+  for (const b of await storage.listQueueBatches()) await storage.completeQueueBatch(b);
+  assert.deepEqual(await storage.queueDepth(), { batches: 0, items: 0, oldest_enqueued_at: null });
+});
+
+test("hitRateWindow takes back an increment that goes over the limit", async () => {
+  const { storage } = setup();
+  assert.deepEqual((await storage.hitRateWindow("c1", 60, 3, 5)).allowed, true);
+  const refused = await storage.hitRateWindow("c1", 60, 3, 5);
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.count, 3);
+  const fits = await storage.hitRateWindow("c1", 60, 2, 5);
+  assert.equal(fits.allowed, true);
+  assert.equal(fits.count, 5);
+});
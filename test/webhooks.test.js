@@ -0,0 +1,68 @@
+// Webhook dispatcher (lib/webhooks.js): settle() limited to the deliveries one request started, and
+// bounded by a timeout. The receiver holds daily.reset deliveries until released and answers the rest.
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+
+const held = [];
+const receiver = http.createServer((req, res) => {
+  req.resume();
+  req.on("end", () => {
+    if (req.headers["x-membit-event"] === "daily.reset") held.push(res);
+    else res.end("ok");
+  });
+});
+await new Promise(resolve => receiver.listen(0, "127.0.0.1", resolve));
+
+Object.assign(process.env, {
+  ENV_PATH: "/nonexistent",
+  LOG_LEVEL: "error",
+  WEBHOOK_URLS: `http://127.0.0.1:${receiver.address().port}/hook`,
+  WEBHOOK_MAX_ATTEMPTS: "1",
+  WEBHOOK_TIMEOUT_MS: "5000"
+});
+const { createWebhookDispatcher } = await import("../lib/webhooks.js");
+
+function releaseHeld(){
+  for (const res of held.splice(0)) res.end("ok");
+}
+test.after(async () => {
+  releaseHeld();
+  receiver.closeAllConnections();
+  await new Promise(resolve => receiver.close(resolve));
+});
+
+test("settle(set) waits for the deliveries started under track() only", async () => {
+  const webhooks = createWebhookDispatcher();
+  webhooks.emit("daily.reset", { day: "2026-01-31" }); // another request's delivery, held by the receiver
+
+  const started = new Set();
+  await webhooks.track(started, async () => {
+    await new Promise(resolve => setImmediate(resolve));
+    webhooks.emit("items.stored", { count: 1 });
+  });
+  assert.equal(started.size, 1);
+  assert.equal(webhooks.pending, 2);
+
+  assert.equal(await webhooks.settle(started, 0), true);
+  assert.equal(started.size, 0);
+  assert.equal(webhooks.pending, 1);
+
+  releaseHeld();
+  await webhooks.settle();
+  assert.equal(webhooks.pending, 0);
+});
+
+test("settle gives up after the timeout and reports what is left", async () => {
+  const webhooks = createWebhookDispatcher();
+  const started = new Set();
+  webhooks.track(started, () => webhooks.emit("daily.reset", { day: "2026-01-31" }));
+
+  const t0 = Date.now();
+  assert.equal(await webhooks.settle(started, 100), false);
+  assert.ok(Date.now() - t0 < 1000);
+  assert.equal(started.size, 1);
+
+  releaseHeld();
+  assert.equal(await webhooks.settle(started), true);
+});